@@ -1,8 +1,32 @@
 var fs = require('fs-extra');
+var _ = require('lodash');
 var logger = require(__dirname + '/../lib/logger');
+var roles = require(__dirname + '/../lib/roles');
+var storage = require(__dirname + '/../lib/storage');
 
-var aclListFile = __dirname + '/../acl.json';
-var aclListFileTemplate = aclListFile + '.template';
+var aclListFile = storage.getFile('acl');
+var aclListFileTemplate = __dirname + '/../acl.json.template';
+
+/*
+ * current version of the acl file schema
+ */
+var ACL_VERSION = 3;
+
+/*
+ * migrations from one schema version to the next, keyed by the version they upgrade from
+ */
+var migrations = {
+  // version 1 had no roles, every allowed user could request movies
+  1: function(acl) {
+    _.forEach(acl.allowedUsers, function(user) {
+      user.role = user.role || roles.REQUESTER;
+    });
+  },
+  // version 2 had no group chats
+  2: function(acl) {
+    acl.allowedChats = acl.allowedChats || [];
+  }
+};
 
 var acl;
 
@@ -22,4 +46,25 @@ try {
   }
 }
 
+/*
+ * bring an older acl file up to the current schema, the old file is kept as a backup
+ */
+var version = acl.version || 1;
+
+if (version > ACL_VERSION) {
+  throw new Error('The acl file is version ' + version + ', this bot only supports up to version ' + ACL_VERSION + '.');
+}
+
+if (version < ACL_VERSION) {
+  fs.copySync(aclListFile, aclListFile + '.v' + version + '.bak');
+
+  for (; version < ACL_VERSION; version++) {
+    logger.info('migrating acl file from version %s to %s', version, version + 1);
+    migrations[version](acl);
+  }
+
+  acl.version = ACL_VERSION;
+  fs.writeFileSync(aclListFile, JSON.stringify(acl));
+}
+
 module.exports = acl;
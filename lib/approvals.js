@@ -0,0 +1,76 @@
+var _ = require('lodash');
+var storage = require(__dirname + '/../lib/storage');
+
+var approvals = storage.load('approvals', { 'nextId': 1, 'pending': [] });
+
+/*
+ * save the approvals file
+ */
+function save() {
+  storage.save('approvals', approvals);
+}
+
+/*
+ * file a movie request that waits for an admin
+ */
+function add(movie, profile, user, chatId, instance) {
+  var request = {
+    'id': approvals.nextId++,
+    'movie': movie,
+    'profile': profile,
+    'instance': instance,
+    'user': user,
+    'chatId': chatId,
+    'created': Date.now()
+  };
+
+  approvals.pending.push(request);
+  save();
+  return request;
+}
+
+/*
+ * get a pending request by its id
+ */
+function get(id) {
+  return _.find(approvals.pending, { 'id': parseInt(id, 10) });
+}
+
+/*
+ * take a request off the queue once it has been approved or denied
+ */
+function remove(id) {
+  var request = get(id);
+  if (request) {
+    _.remove(approvals.pending, { 'id': request.id });
+    save();
+  }
+
+  return request;
+}
+
+/*
+ * put a request that was taken off the queue back, in the order it was filed
+ */
+function restore(request) {
+  if (!get(request.id)) {
+    approvals.pending.splice(_.sortedIndex(approvals.pending, request, 'id'), 0, request);
+    save();
+  }
+}
+
+/*
+ * the number of requests of a user that wait for an admin
+ */
+function countPending(userId) {
+  return _.filter(approvals.pending, function(request) { return request.user.id === userId; }).length;
+}
+
+module.exports = {
+  pending: function() { return approvals.pending; },
+  countPending: countPending,
+  add: add,
+  get: get,
+  remove: remove,
+  restore: restore
+};
@@ -0,0 +1,187 @@
+var fs = require('fs-extra');
+var _ = require('lodash');
+var Promise = require('bluebird');
+var logger = require(__dirname + '/../lib/logger');
+var config = require(__dirname + '/../lib/config');
+
+/*
+ * Who did what to whom, one JSON object per line of `audit.file`:
+ *
+ *   {"time":"2024-05-15T10:00:00.000Z","actor":{"id":2,"name":"admin"},"action":"user.revoke",
+ *    "target":{"type":"user","id":3,"name":"requester"},"outcome":"success"}
+ *
+ * Targets are users, movies, requests, chats and invite codes, they all have a type and
+ * a name. Requests also have the user who filed them. Once the file is bigger than
+ * `audit.maxSize` megabytes it is moved to `<file>.1`, replacing the one before.
+ */
+var ACTIONS = [
+  'auth', 'join', 'access.request', 'access.approve', 'access.deny',
+  'user.revoke', 'user.unrevoke', 'user.promote', 'user.demote',
+  'chat.authorize', 'chat.revoke', 'invite.create', 'invite.revoke',
+  'movie.add', 'movie.request', 'request.approve', 'request.deny',
+  'movie.refresh', 'movie.research', 'movie.profile', 'movie.ignore', 'movie.delete'
+];
+
+// entries are appended one after the other so they stay in order
+var writing = Promise.resolve();
+
+// bytes read at a time from the end of the file
+var CHUNK_SIZE = 64 * 1024;
+
+/*
+ * a telegram user as it is kept in the log
+ */
+function user(telegramUser) {
+  return {
+    'id': telegramUser.id,
+    'name': telegramUser.username || _.compact([telegramUser.first_name, telegramUser.last_name]).join(' ')
+  };
+}
+
+/*
+ * append an entry, the outcome is `success`, `failure` or `pending`
+ */
+function record(actor, action, target, outcome) {
+  if (!_.contains(ACTIONS, action)) {
+    throw new Error('Unknown audit action ' + action);
+  }
+
+  var entry = {
+    'time': new Date().toISOString(),
+    'actor': user(actor),
+    'action': action,
+    'target': target,
+    'outcome': outcome || 'success'
+  };
+
+  writing = writing.then(function() {
+    return Promise.fromNode(function(callback) {
+      fs.appendFile(config.audit.file, JSON.stringify(entry) + '\n', callback);
+    });
+  })
+    .then(rotate)
+    .catch(function(err) {
+      logger.error('could not write the audit log %s: %s', config.audit.file, err.message);
+    });
+
+  return entry;
+}
+
+/*
+ * move the log aside once it is too big
+ */
+function rotate() {
+  return Promise.fromNode(function(callback) { fs.stat(config.audit.file, callback); })
+    .then(function(stats) {
+      if (stats.size < config.audit.maxSize * 1024 * 1024) {
+        return;
+      }
+
+      logger.info('the audit log %s is full, moving it to %s.1', config.audit.file, config.audit.file);
+      return Promise.fromNode(function(callback) { fs.rename(config.audit.file, config.audit.file + '.1', callback); });
+    });
+}
+
+/*
+ * call `visit` with the lines of a file from the last one back until it returns false,
+ * resolves to false when it was stopped, a missing file has no lines
+ */
+function readBackwards(file, visit) {
+  return Promise.fromNode(function(callback) { fs.open(file, 'r', callback); })
+    .then(function(fd) {
+      // the start of the first line read, it is completed by the chunk before it
+      var rest = Buffer.alloc(0);
+
+      function readChunk(end) {
+        var start = Math.max(end - CHUNK_SIZE, 0);
+        var chunk = Buffer.alloc(end - start);
+
+        return Promise.fromNode(function(callback) { fs.read(fd, chunk, 0, chunk.length, start, callback); })
+          .then(function() {
+            var text = Buffer.concat([chunk, rest]);
+            var lines = [];
+            var lineEnd = text.length;
+
+            for (var i = text.length - 1; i >= 0; i--) {
+              if (text[i] === 10) {
+                lines.push(text.slice(i + 1, lineEnd).toString('utf8'));
+                lineEnd = i;
+              }
+            }
+
+            rest = text.slice(0, lineEnd);
+            if (start === 0) {
+              lines.push(rest.toString('utf8'));
+            }
+
+            if (!_.every(lines, visit)) {
+              return false;
+            }
+
+            return start === 0 || readChunk(start);
+          });
+      }
+
+      return Promise.fromNode(function(callback) { fs.fstat(fd, callback); })
+        .then(function(stats) {
+          return stats.size ? readChunk(stats.size) : true;
+        })
+        .finally(function() {
+          fs.close(fd, _.noop);
+        });
+    })
+    .catch(function(err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      return true;
+    });
+}
+
+/*
+ * the newest entries the filter is true for, newest first, a line that can't be read is skipped.
+ * The log is read from its end and only as far back as it takes to find them.
+ */
+function find(filter, limit) {
+  var found = [];
+
+  function visit(line) {
+    var entry;
+    try {
+      entry = line ? JSON.parse(line) : null;
+    } catch (err) {
+      entry = null;
+    }
+
+    if (entry && filter(entry)) {
+      found.push(entry);
+    }
+    return found.length < limit;
+  }
+
+  return writing
+    .then(function() {
+      return readBackwards(config.audit.file, visit);
+    })
+    .then(function(more) {
+      return more && readBackwards(config.audit.file + '.1', visit);
+    })
+    .then(function() {
+      return found;
+    });
+}
+
+/*
+ * resolves when every entry recorded so far is written
+ */
+function flush() {
+  return writing;
+}
+
+module.exports = {
+  ACTIONS: ACTIONS,
+  user: user,
+  record: record,
+  find: find,
+  flush: flush
+};
@@ -0,0 +1,130 @@
+var Promise = require('bluebird');
+var CouchPotatoAPI = require('couchpotato-api');
+
+/*
+ * CouchPotato backend
+ *
+ * Every backend has the same methods and answers in the shapes CouchPotato uses, other
+ * backends translate their own:
+ *
+ *   search(text)                 search results, `[{ original_title, year, imdb, tmdb_id, ... }]`
+ *   lookup(movieId)              the search result of an imdb or tmdb id, empty when it can't be found
+ *   list(filters)                library movies, `{ movies: [{ _id, title, status, info, releases }], total }`
+ *   get(id)                      a library movie, undefined when there is no such movie
+ *   profiles()                   quality profiles, `[{ _id, label, hide }]`
+ *   add(movie, profileId)        add `{ identifier, title }` to the library
+ *   searchWanted()               search for every wanted movie
+ *   refresh(id)                  refresh a movie and search for it again
+ *   tryNext(id)                  mark the current release as failed and search for the next one
+ *   setProfile(id, profileId)    change the quality profile of a movie
+ *   ignoreRelease(releaseId)     ignore a release of a movie
+ *   remove(id)                   delete a movie from the library
+ *   ping()                       check that the backend answers
+ *
+ * The actions resolve to true when the backend accepted them.
+ */
+function CouchPotatoBackend(options) {
+  this.api = new CouchPotatoAPI({
+    hostname: options.hostname, apiKey: options.apiKey,
+    port: options.port, urlBase: options.urlBase,
+    ssl: options.ssl, username: options.username,
+    password: options.password
+  });
+}
+
+CouchPotatoBackend.prototype.search = function(text) {
+  return this.api.get('movie.search', { 'q': text })
+    .then(function(result) {
+      return result.movies || [];
+    });
+};
+
+/*
+ * CouchPotato looks up imdb ids it is searched for, it has no way to look up tmdb ids
+ */
+CouchPotatoBackend.prototype.lookup = function(movieId) {
+  return /^tt\d+$/.test(movieId) ? this.search(movieId) : Promise.resolve([]);
+};
+
+/*
+ * filters are the search text, the status (active or done), the release statuses,
+ * the first characters of the title and the offset and limit of a page
+ */
+CouchPotatoBackend.prototype.list = function(filters) {
+  var params = { 'type': 'movie' };
+
+  filters = filters || {};
+  if (filters.limit) { params.limit_offset = filters.limit + ',' + (filters.offset || 0); }
+  if (filters.search) { params.search = filters.search; }
+  if (filters.status) { params.status = filters.status; }
+  if (filters.release) { params.release_status = filters.release; }
+  if (filters.starts) { params.starts_with = filters.starts; }
+
+  return this.api.get('media.list', params)
+    .then(function(result) {
+      var movies = result.movies || [];
+      return { movies: movies, total: result.total || movies.length };
+    });
+};
+
+CouchPotatoBackend.prototype.get = function(id) {
+  return this.api.get('media.get', { 'id': id })
+    .then(function(result) {
+      return result.media;
+    });
+};
+
+CouchPotatoBackend.prototype.profiles = function() {
+  return this.api.get('profile.list')
+    .then(function(result) {
+      return result.list || [];
+    });
+};
+
+CouchPotatoBackend.prototype.add = function(movie, profileId) {
+  return this.success('movie.add', {
+    'identifier': movie.identifier,
+    'title': movie.title,
+    'profile_id': profileId
+  });
+};
+
+CouchPotatoBackend.prototype.searchWanted = function() {
+  return this.api.get('movie.searcher.full_search');
+};
+
+CouchPotatoBackend.prototype.refresh = function(id) {
+  return this.success('media.refresh', { 'id': id });
+};
+
+CouchPotatoBackend.prototype.tryNext = function(id) {
+  return this.success('movie.searcher.try_next', { 'media_id': id });
+};
+
+CouchPotatoBackend.prototype.setProfile = function(id, profileId) {
+  return this.success('movie.edit', { 'id': id, 'profile_id': profileId });
+};
+
+CouchPotatoBackend.prototype.ignoreRelease = function(releaseId) {
+  return this.success('release.ignore', { 'id': releaseId });
+};
+
+CouchPotatoBackend.prototype.remove = function(id) {
+  return this.success('media.delete', { 'id': id, 'delete_from': 'all' });
+};
+
+CouchPotatoBackend.prototype.ping = function() {
+  return this.success('app.available');
+};
+
+/*
+ * run an api command, resolves to its success flag
+ */
+CouchPotatoBackend.prototype.success = function(command, params) {
+  return this.api.get(command, params)
+    .then(function(result) {
+      return !!result.success;
+    });
+};
+
+module.exports = CouchPotatoBackend;
@@ -0,0 +1,264 @@
+var _ = require('lodash');
+var Promise = require('bluebird');
+var request = Promise.promisify(require('request'));
+var listing = require(__dirname + '/../../lib/listing');
+
+/*
+ * Radarr v3 backend, answers in the shapes of the CouchPotato backend
+ *
+ * Radarr has no paged or filtered library call, the library is fetched whole and
+ * filtered the way CouchPotato filters it. Releases are the downloads in the queue of a movie.
+ */
+function RadarrBackend(options) {
+  var hostname = (options.hostname || '').replace(/^https?:\/\//, '');
+  var urlBase = options.urlBase ? '/' + options.urlBase.replace(/^\/|\/$/g, '') : '';
+
+  this.apiKey = options.apiKey;
+  this.rootFolder = options.rootFolder;
+  this.username = options.username;
+  this.password = options.password;
+  this.ssl = options.ssl;
+  this.serverApi = 'http' + (this.ssl ? 's' : '') + '://' + hostname + ':' + (options.port || 7878) +
+    urlBase + '/api/v3/';
+}
+
+/*
+ * send a request to the api, resolves to the parsed body
+ */
+RadarrBackend.prototype._request = function(method, path, query, body) {
+  var options = {
+    url: this.serverApi + path,
+    method: method,
+    qs: query,
+    headers: { 'X-Api-Key': this.apiKey },
+    json: body || true
+  };
+
+  if (this.username && this.password) {
+    options.auth = { user: this.username, pass: this.password };
+  }
+
+  // usually we don't have valid ssl certs, so ignore it
+  if (this.ssl) {
+    options.strictSSL = false;
+  }
+
+  return request(options).spread(function(response, data) {
+    if (response.statusCode >= 400) {
+      var message = (data && (data.message || (data[0] && data[0].errorMessage))) || response.statusMessage;
+      var err = new Error('Radarr: ' + message);
+      err.statusCode = response.statusCode;
+      throw err;
+    }
+
+    return data;
+  });
+};
+
+RadarrBackend.prototype.search = function(text) {
+  return this._request('GET', 'movie/lookup', { term: text })
+    .then(function(movies) {
+      return _.map(movies, toSearchResult);
+    });
+};
+
+RadarrBackend.prototype.lookup = function(movieId) {
+  return this.search((/^tt\d+$/.test(movieId) ? 'imdb:' : 'tmdb:') + movieId);
+};
+
+RadarrBackend.prototype.list = function(filters) {
+  return Promise.all([this._request('GET', 'movie'), this.queue()])
+    .spread(function(movies, queue) {
+      return listing.filter(_.map(_.sortBy(movies, 'sortTitle'), function(movie) {
+        return toLibraryMovie(movie, queue);
+      }), filters);
+    });
+};
+
+RadarrBackend.prototype.get = function(id) {
+  return Promise.all([this._request('GET', 'movie/' + id), this.queue()])
+    .spread(function(movie, queue) {
+      return toLibraryMovie(movie, queue);
+    })
+    .catch(function(err) {
+      if (err.statusCode === 404) {
+        return undefined;
+      }
+      throw err;
+    });
+};
+
+RadarrBackend.prototype.profiles = function() {
+  return this._request('GET', 'qualityprofile')
+    .then(function(profiles) {
+      return _.map(profiles, function(profile) {
+        return { _id: String(profile.id), label: profile.name, hide: false };
+      });
+    });
+};
+
+/*
+ * look the movie up by its imdb or tmdb id and add it to the configured root folder,
+ * or the first one radarr knows when none is configured
+ */
+RadarrBackend.prototype.add = function(movie, profileId) {
+  var self = this;
+  var term = (/^tt\d+$/.test(movie.identifier) ? 'imdb:' : 'tmdb:') + movie.identifier;
+
+  return Promise.all([
+    this._request('GET', 'movie/lookup', { term: term }),
+    this.rootFolder ? [{ path: this.rootFolder }] : this._request('GET', 'rootfolder')
+  ])
+    .spread(function(movies, folders) {
+      if (!movies.length || !folders.length) {
+        return false;
+      }
+
+      return self._request('POST', 'movie', null, _.assign(movies[0], {
+        qualityProfileId: parseInt(profileId, 10),
+        rootFolderPath: folders[0].path,
+        monitored: true,
+        addOptions: { searchForMovie: true }
+      })).return(true);
+    });
+};
+
+RadarrBackend.prototype.searchWanted = function() {
+  return this.command({ name: 'MissingMoviesSearch' });
+};
+
+RadarrBackend.prototype.refresh = function(id) {
+  var self = this;
+  var movieIds = [parseInt(id, 10)];
+
+  return this.command({ name: 'RefreshMovie', movieIds: movieIds })
+    .then(function() {
+      return self.command({ name: 'MoviesSearch', movieIds: movieIds });
+    });
+};
+
+/*
+ * mark the last grab of a movie as failed, radarr blocklists it and searches again
+ */
+RadarrBackend.prototype.tryNext = function(id) {
+  var self = this;
+
+  return this._request('GET', 'history/movie', { movieId: id, eventType: 'grabbed' })
+    .then(function(history) {
+      var grabbed = _.first(history);
+      if (!grabbed) {
+        return false;
+      }
+
+      return self._request('POST', 'history/failed/' + grabbed.id).return(true);
+    });
+};
+
+RadarrBackend.prototype.setProfile = function(id, profileId) {
+  var self = this;
+
+  return this._request('GET', 'movie/' + id)
+    .then(function(movie) {
+      movie.qualityProfileId = parseInt(profileId, 10);
+      return self._request('PUT', 'movie/' + id, null, movie);
+    })
+    .return(true);
+};
+
+/*
+ * releases are queued downloads, ignoring one removes and blocklists it
+ */
+RadarrBackend.prototype.ignoreRelease = function(releaseId) {
+  return this._request('DELETE', 'queue/' + releaseId, { removeFromClient: true, blocklist: true })
+    .return(true);
+};
+
+RadarrBackend.prototype.remove = function(id) {
+  return this._request('DELETE', 'movie/' + id, { deleteFiles: true })
+    .return(true);
+};
+
+RadarrBackend.prototype.ping = function() {
+  return this._request('GET', 'system/status').return(true);
+};
+
+RadarrBackend.prototype.queue = function() {
+  return this._request('GET', 'queue/details');
+};
+
+RadarrBackend.prototype.command = function(body) {
+  return this._request('POST', 'command', null, body).return(true);
+};
+
+/*
+ * url of the poster of a radarr movie
+ */
+function getPoster(movie) {
+  var poster = _.find(movie.images, { coverType: 'poster' });
+  return poster ? poster.remoteUrl || poster.url : undefined;
+}
+
+/*
+ * a radarr lookup result as a couchpotato search result
+ */
+function toSearchResult(movie) {
+  var poster = getPoster(movie);
+  var rating = movie.ratings && (movie.ratings.imdb || movie.ratings);
+
+  var result = {
+    original_title: movie.title,
+    year: movie.year,
+    tmdb_id: movie.tmdbId,
+    plot: movie.overview,
+    genres: movie.genres,
+    runtime: movie.runtime,
+    images: { poster: poster ? [poster] : [] }
+  };
+
+  if (movie.imdbId) {
+    result.imdb = movie.imdbId;
+    result.via_imdb = true;
+  }
+
+  if (rating && rating.value) {
+    result.rating = { imdb: [rating.value] };
+  }
+
+  return result;
+}
+
+/*
+ * a radarr library movie and its queued downloads as a couchpotato library movie
+ */
+function toLibraryMovie(movie, queue) {
+  var poster = getPoster(movie);
+
+  return {
+    _id: String(movie.id),
+    title: movie.title,
+    status: movie.hasFile ? 'done' : 'active',
+    profile_id: String(movie.qualityProfileId),
+    info: {
+      original_title: movie.title,
+      year: movie.year,
+      imdb: movie.imdbId,
+      tmdb_id: movie.tmdbId,
+      plot: movie.overview,
+      genres: movie.genres,
+      images: { poster: poster ? [poster] : [] }
+    },
+    releases: _.map(_.filter(queue, { movieId: movie.id }), function(item) {
+      var downloaded = item.status === 'completed' || item.trackedDownloadState === 'importPending';
+
+      return {
+        _id: String(item.id),
+        status: downloaded ? 'downloaded' : 'snatched',
+        quality: item.quality && item.quality.quality ? item.quality.quality.name : '',
+        identifier: item.downloadId,
+        info: { name: item.title }
+      };
+    })
+  };
+}
+
+module.exports = RadarrBackend;
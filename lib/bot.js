@@ -0,0 +1,355 @@
+'use strict';
+
+var _       = require('lodash');                    // https://www.npmjs.com/package/lodash
+var moment  = require('moment');                    // https://www.npmjs.com/package/moment
+var Promise = require('bluebird');                      // https://www.npmjs.com/package/bluebird
+
+var state   = require(__dirname + '/../lib/state');     // handles command structure
+var logger  = require(__dirname + '/../lib/logger');    // logs to file and console
+var Router  = require(__dirname + '/../lib/router');    // declarative command router
+var roles   = require(__dirname + '/../lib/roles');     // user roles from guest to owner
+var metrics = require(__dirname + '/../lib/metrics');   // counters served on /metrics
+var links   = require(__dirname + '/../lib/links');     // movie links from imdb, tmdb and letterboxd
+
+/*
+ * the helpers every handler can use, they add themselves to the app
+ */
+var HELPERS = [
+  require(__dirname + '/../lib/chat'),                  // roles, languages and messages of users
+  require(__dirname + '/../lib/users'),                 // the users in the acl
+  require(__dirname + '/../lib/movies'),                // library movies and movie requests
+  require(__dirname + '/../lib/notifications')          // tells requesters about their movies
+];
+
+/*
+ * the commands, in the order `/help` and telegram list them, and the handlers of the buttons
+ */
+var COMMANDS = ['auth', 'general', 'search', 'requests', 'library', 'digest', 'invites', 'users', 'manage'];
+var CALLBACKS = ['search', 'library', 'manage', 'approvals', 'users', 'settings'];
+
+// the stores the bot keeps its state in
+var STORES = [
+  'config', 'acl', 'tracker', 'sessions', 'approvals', 'quotas', 'digests', 'invites', 'audit', 'instances', 'library'
+];
+
+/*
+ * Build the bot around the telegram bot and the stores it keeps its state in,
+ * they are passed in so the bot can be run against fakes:
+ *
+ *   bot          telegram bot, polling or fed updates
+ *   config       the concised configuration
+ *   acl          access control list
+ *   tracker      remembers who requested which movie
+ *   sessions     per user conversation state
+ *   approvals    movie requests waiting for an admin
+ *   quotas       limits on how many movies a user can add
+ *   digests      what the last digest saw of the library and who gets it
+ *   invites      invite codes and requests for access
+ *   audit        the log of who did what
+ *   instances    the backends behind the bot
+ *   library      snapshots of the library of every instance
+ *
+ * The commands in lib/commands and the buttons in lib/callbacks are handled with an app
+ * of the bot, the stores, the router, the handlers of the buttons by their action and the
+ * helpers. Handlers return a promise of their replies.
+ *
+ * Returns the bot, a promise that it has started, its router, the check of tracked movies, the digest
+ * and a function that stops the timers. The bot has started once it knows its name and, for the
+ * digest, has taken the first snapshot of the library.
+ */
+function createBot(options) {
+  var bot = options.bot;
+  var config = options.config;
+  var instances = options.instances;
+
+  var app = _.assign(_.pick(options, STORES), { bot: bot, me: null, callbacks: {} });
+
+  _.forEach(HELPERS, function(register) {
+    register(app);
+  });
+
+  /*
+   * set up the command router, roles go from least to most privileged
+   */
+  app.router = new Router({
+    roles: roles.ORDER,
+    getRole: app.getRole,
+    deny: app.denyCommand,
+    invalid: function(msg, command) {
+      var lang = app.getLang(msg.from);
+      var usage = lang.__('usage') + ' `' + app.router.usage(command, lang.__) + '`';
+      return app.replyWithError(msg.from.id, new Error(usage), msg.chat.id);
+    },
+    handled: function(msg, command) {
+      metrics.increment('cpbot_commands_total', { 'command': command.name });
+    }
+  });
+
+  _.forEach(COMMANDS, function(name) {
+    require(__dirname + '/../lib/commands/' + name)(app);
+  });
+
+  _.forEach(CALLBACKS, function(name) {
+    require(__dirname + '/../lib/callbacks/' + name)(app);
+  });
+
+  /*
+  get the bot name, commands and mentions in group chats are addressed to it
+   */
+  var started = bot.getMe()
+    .then(function(msg) {
+      app.me = msg;
+      logger.info('couchpotato bot %s initialized', msg.username);
+      return app.updateBotCommands();
+    })
+    .catch(function(err) {
+      throw new Error(err);
+    });
+
+  /*
+   * errors receiving updates, the bot keeps trying
+   */
+  bot.on('polling_error', function(err) {
+    logger.warn('polling error: %s', err.message);
+    metrics.increment('cpbot_errors_total', { 'type': 'polling' });
+  });
+
+  bot.on('webhook_error', function(err) {
+    logger.warn('webhook error: %s', err.message);
+    metrics.increment('cpbot_errors_total', { 'type': 'webhook' });
+  });
+
+  bot.on('message', function(msg) {
+    return handleMessage(app, msg);
+  });
+
+  bot.on('callback_query', function(query) {
+    return handleCallback(app, query);
+  });
+
+  var alerts = watchBackends(app);
+
+  /*
+   * poll couchpotato for release changes of requested movies
+   */
+  var poller = null;
+  if (config.notifications.enabled) {
+    poller = setInterval(app.checkTrackedMovies, config.notifications.interval * 1000);
+  }
+
+  /*
+   * keep the library snapshots fresh so users don't wait for them
+   */
+  var libraryTimer = setInterval(function() {
+    app.library.refreshAll(instances.list());
+  }, config.couchpotato.libraryRefresh * 1000);
+
+  /*
+   * Send the digest on its schedule. Without a snapshot from an earlier digest one is taken
+   * right away, the first digest reports the changes since the bot started.
+   */
+  var digestTimer = null;
+  var snapshot = null;
+  if (config.digest.enabled) {
+    if (!app.digests.hasSnapshot()) {
+      snapshot = app.getLibraryMovies().then(app.digests.update).catch(function(err) {
+        logger.warn('could not take the first snapshot of the library: %s', err.message);
+      });
+    }
+    scheduleDigest();
+  }
+
+  function scheduleDigest() {
+    var next = app.digests.getNextRun(moment());
+    logger.info('the next digest is due %s', next.format());
+
+    digestTimer = setTimeout(function() {
+      app.sendDigest().finally(scheduleDigest);
+    }, next.diff(moment()));
+  }
+
+  return {
+    bot: bot,
+    ready: Promise.all([started, snapshot]).return(),
+    router: app.router,
+    checkTrackedMovies: app.checkTrackedMovies,
+    sendDigest: app.sendDigest,
+    stop: function() {
+      clearInterval(poller);
+      clearInterval(libraryTimer);
+      clearTimeout(digestTimer);
+      _.forEach(instances.list(), function(instance) {
+        instance.breaker.removeListener('down', alerts[instance.name].down);
+        instance.breaker.removeListener('up', alerts[instance.name].up);
+      });
+    }
+  };
+}
+
+/*
+ Captures any and all messages, hands commands to the router and handles movie names
+ sent as a reply to the `/q` prompt. In group chats only the messages addressed to
+ the bot are handled.
+ */
+function handleMessage(app, msg) {
+  var chatId = msg.chat.id;
+  var userId = msg.from.id;
+  var message = app.getAddressedText(msg);
+  var lang = app.getLang(msg.from);
+
+  if (!message) {
+    return;
+  }
+
+  // other bots in a group have their own commands, only answer the ones named after this bot
+  var named = /^\/\w+@/.test(msg.text);
+  msg = _.assign({}, msg, { text: message });
+
+  if (message[0] === '/') {
+    var handled = app.router.run(msg);
+    if (!handled && (named || !app.isGroup(msg.chat))) {
+      return app.replyWithError(userId, new Error(lang.__('unknownCommand')), chatId);
+    }
+    return handled || undefined;
+  }
+
+  if (app.getRole(msg.from, msg.chat) === roles.GUEST) {
+    return app.replyWithError(userId, new Error(lang.__('notAuthorized')), chatId);
+  }
+
+  // a shared movie link starts adding the movie, whatever the conversation was at
+  if (links.find(message)) {
+    if (!roles.atLeast(app.getRole(msg.from, msg.chat), roles.REQUESTER)) {
+      return app.replyWithError(userId, new Error(lang.__('requesterOnly')), chatId);
+    }
+
+    if (app.checkQuota(msg.from, msg.chat)) {
+      logger.info('user: %s, message: shared the movie link: %s', userId, message);
+      return app.handleMovieSearch(msg, message);
+    }
+    return;
+  }
+
+  // Check the session to determine state, if there is none prompt user to start a movie search
+  var currentState = app.sessions.get(chatId, userId).state;
+  if (!currentState) {
+    return app.replyWithError(userId, new Error(lang.__('noState')), chatId);
+  } else {
+    switch(currentState) {
+      case state.couchpotato.MOVIE_SEARCH:
+        logger.info('user: %s, message: entered the movie name: %s', userId, message);
+        return app.handleMovieSearch(msg, message);
+      case state.couchpotato.MOVIE:
+      case state.couchpotato.INSTANCE:
+      case state.couchpotato.PROFILE:
+      case state.manage.CHANGE_PROFILE:
+      case state.manage.TRY_NEXT_CONFIRM:
+      case state.manage.IGNORE_CONFIRM:
+      case state.manage.DELETE_CONFIRM:
+      case state.admin.REVOKE:
+      case state.admin.REVOKE_CONFIRM:
+      case state.admin.UNREVOKE:
+      case state.admin.UNREVOKE_CONFIRM:
+      case state.admin.PROMOTE:
+      case state.admin.DEMOTE:
+        return app.replyWithError(userId, new Error(lang.__('useButtons')), chatId);
+      default:
+        return app.replyWithError(userId, new Error(lang.__('unknownState')), chatId);
+    }
+  }
+}
+
+/*
+ Captures the buttons pressed on inline keyboards, the callback data is the
+ action followed by its values, e.g. `m:<search>:3` selects the third movie of a search. The handler
+ of the action gets the query, the values and for the buttons of library movies
+ the instance the movie is in.
+ */
+function handleCallback(app, query) {
+  var chatId = query.message.chat.id;
+  var userId = query.from.id;
+  var data = query.data.split(':');
+  var action = data[0];
+  var lang = app.getLang(query.from);
+
+  app.bot.answerCallbackQuery(query.id);
+
+  // only known actions are counted, anyone can send any callback data
+  if (_.has(app.callbacks, action)) {
+    metrics.increment('cpbot_callbacks_total', { 'action': action });
+  }
+
+  var required = getCallbackRole(app, action);
+  if (!roles.atLeast(app.getRole(query.from, query.message.chat), required)) {
+    var reasons = { viewer: 'notAuthorized', requester: 'requesterOnly', admin: 'adminOnly' };
+    return app.replyWithError(userId, new Error(lang.__(reasons[required])), chatId);
+  }
+
+  // buttons of library movies start with the name of the instance the movie is in
+  var instance = app.instances.get(data[1]);
+  var instanceActions = _.without(_.values(state.manage.callback), state.manage.callback.CHANGE_PROFILE_SELECT)
+    .concat([state.couchpotato.callback.LIBRARY_INFO, state.couchpotato.callback.INSTANCE]);
+  if (_.contains(instanceActions, action) && !instance) {
+    return app.replyWithError(userId, new Error(lang.__('instanceNotFound') + ': ' + data[1]), chatId);
+  }
+
+  if (!_.has(app.callbacks, action)) {
+    return app.replyWithError(userId, new Error(lang.__('unknownState')), chatId);
+  }
+
+  return app.callbacks[action](query, data, instance);
+}
+
+/*
+ * the lowest role allowed to press a button with the callback action
+ */
+function getCallbackRole(app, action) {
+  if (_.contains(_.values(state.admin.callback), action)) {
+    return roles.ADMIN;
+  }
+
+  if (_.contains(_.values(state.manage.callback), action)) {
+    return app.config.bot.manageRole;
+  }
+
+  // viewers can only browse the library and pick their language
+  var viewerActions = [
+    state.couchpotato.callback.LIBRARY_PAGE, state.couchpotato.callback.LIBRARY_INFO, state.settings.callback.LANGUAGE
+  ];
+  if (_.contains(viewerActions, action)) {
+    return roles.VIEWER;
+  }
+
+  return roles.REQUESTER;
+}
+
+/*
+ * tell the admins once when a backend goes down and once when it is back, returns the
+ * listeners of every instance by its name
+ */
+function watchBackends(app) {
+  function alertAdmins(getMessage) {
+    _.forEach(app.getAdmins(), function(admin) {
+      app.sendMessage(admin.id, getMessage(app.getLang(admin)), { disable_notification: false });
+    });
+  }
+
+  return _.zipObject(_.map(app.instances.list(), function(instance) {
+    var alert = {
+      down: function(err) {
+        alertAdmins(function(lang) {
+          return lang.__('backendDown', app.getBackendName(instance), err instanceof Error ? err.message : String(err));
+        });
+      },
+      up: function() {
+        alertAdmins(function(lang) { return lang.__('backendUp', app.getBackendName(instance)); });
+      }
+    };
+
+    instance.breaker.on('down', alert.down);
+    instance.breaker.on('up', alert.up);
+    return [instance.name, alert];
+  }));
+}
+
+module.exports = createBot;
@@ -0,0 +1,172 @@
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('lodash');
+var Promise = require('bluebird');
+var logger = require(__dirname + '/../lib/logger');
+var config = require(__dirname + '/../lib/config');
+
+/*
+ * Keeps a backend that is down from making the bot look broken. Every call has a timeout
+ * and is tried again with a growing delay when it could not get through. After
+ * `couchpotato.breakerThreshold` failed calls in a row the breaker opens: calls fail right
+ * away without a request until `couchpotato.breakerCooldown` seconds have passed, then a
+ * single call tries whether the backend is back.
+ *
+ *   var breaker = new Breaker('default');
+ *   breaker.wrap(backend, ['search', 'add'], ['search']);
+ *   breaker.on('down', function(err) {});     // once when it opens
+ *   breaker.on('up', function() {});          // once when it closes again
+ *
+ * Calls that could not get through reject with an UnavailableError, errors the backend
+ * answered with are passed on as they are.
+ */
+function Breaker(name) {
+  EventEmitter.call(this);
+  this.name = name;
+  this.failures = 0;
+  this.openedAt = null;
+  this.trying = false;
+}
+
+util.inherits(Breaker, EventEmitter);
+
+/*
+ * the backend could not be reached, `cause` is the last error when a request was sent
+ */
+function UnavailableError(instance, cause) {
+  Error.call(this);
+  this.name = 'UnavailableError';
+  this.message = instance + ' is unavailable' + (cause ? ': ' + describe(cause) : '');
+  this.instance = instance;
+  this.cause = cause;
+}
+
+util.inherits(UnavailableError, Error);
+
+// the connection was never made, any call can be sent again
+var NOT_CONNECTED = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// the call may have reached the backend, only reads are sent again
+var CONNECTION_LOST = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE'];
+
+/*
+ * check if an error means the call didn't get through, rather than an answer of the backend
+ */
+function isTransportError(err) {
+  return err instanceof Promise.TimeoutError || _.contains(NOT_CONNECTED.concat(CONNECTION_LOST), err && err.code) ||
+    (err && err.statusCode >= 500) ||
+    // the couchpotato api rejects with this string when a proxy or a starting server answers with html
+    (_.isString(err) && _.contains(err, 'JSON expected'));
+}
+
+function describe(err) {
+  return err instanceof Error ? err.message : String(err);
+}
+
+/*
+ * replace the methods of a backend with calls through the breaker, the `reads` are safe to send twice
+ */
+Breaker.prototype.wrap = function(backend, methods, reads) {
+  var self = this;
+
+  _.forEach(methods, function(method) {
+    var call = backend[method];
+
+    backend[method] = function() {
+      var args = arguments;
+      return self.call(function() { return call.apply(backend, args); }, _.contains(reads, method));
+    };
+  });
+
+  return backend;
+};
+
+/*
+ * check if calls fail right away
+ */
+Breaker.prototype.isOpen = function() {
+  return this.openedAt !== null;
+};
+
+/*
+ * run a call of the backend, `repeatable` calls are tried again whenever they didn't get through
+ */
+Breaker.prototype.call = function(call, repeatable) {
+  var self = this;
+
+  if (this.isOpen()) {
+    if (this.trying || Date.now() - this.openedAt < config.couchpotato.breakerCooldown * 1000) {
+      return Promise.reject(new UnavailableError(this.name));
+    }
+
+    this.trying = true;
+  }
+
+  return attempt(this.name, call, repeatable, 0).then(function(result) {
+    self.succeeded();
+    return result;
+  }, function(err) {
+    if (!isTransportError(err)) {
+      // the backend answered, it is up
+      self.succeeded();
+      throw err;
+    }
+
+    self.failed(err);
+    throw new UnavailableError(self.name, err);
+  });
+};
+
+/*
+ * send a call, again after 1, 2, 4... times `couchpotato.retryDelay` while it doesn't get through
+ */
+function attempt(name, call, repeatable, tries) {
+  return Promise.try(call)
+    .timeout(config.couchpotato.timeout * 1000)
+    .catch(function(err) {
+      var again = repeatable ? isTransportError(err) : _.contains(NOT_CONNECTED, err && err.code);
+      if (!again || tries >= config.couchpotato.retries) {
+        throw err;
+      }
+
+      var delay = config.couchpotato.retryDelay * Math.pow(2, tries);
+      logger.warn('%s did not answer (%s), trying again in %sms', name, describe(err), delay);
+
+      return Promise.delay(delay).then(function() {
+        return attempt(name, call, repeatable, tries + 1);
+      });
+    });
+}
+
+Breaker.prototype.succeeded = function() {
+  this.failures = 0;
+  this.trying = false;
+
+  if (this.isOpen()) {
+    this.openedAt = null;
+    logger.info('%s is available again', this.name);
+    this.emit('up');
+  }
+};
+
+Breaker.prototype.failed = function(err) {
+  this.failures++;
+  this.trying = false;
+
+  // still down, wait for another cooldown
+  if (this.isOpen()) {
+    this.openedAt = Date.now();
+    return;
+  }
+
+  if (this.failures >= config.couchpotato.breakerThreshold) {
+    this.openedAt = Date.now();
+    logger.error('%s is unavailable after %s failed calls: %s', this.name, this.failures, describe(err));
+    this.emit('down', err);
+  }
+};
+
+Breaker.UnavailableError = UnavailableError;
+Breaker.isTransportError = isTransportError;
+
+module.exports = Breaker;
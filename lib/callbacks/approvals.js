@@ -0,0 +1,71 @@
+var state   = require(__dirname + '/../../lib/state');
+var logger  = require(__dirname + '/../../lib/logger');
+var targets = require(__dirname + '/../../lib/targets');
+
+/*
+ * the approve and deny buttons of movie requests, sent to the admins and listed by `/requests`
+ */
+module.exports = function(app) {
+  var approvals = app.approvals;
+  var instances = app.instances;
+
+  app.callbacks[state.admin.callback.APPROVE] = function(query, data) {
+    logger.info('user: %s, message: choose to approve request "%s"', query.from.id, data[1]);
+    return handleApproval(query, data[1], true);
+  };
+
+  app.callbacks[state.admin.callback.DENY] = function(query, data) {
+    logger.info('user: %s, message: choose to deny request "%s"', query.from.id, data[1]);
+    return handleApproval(query, data[1], false);
+  };
+
+  function handleApproval(query, requestId, approved) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    // take the request off the queue right away, every admin has the buttons
+    var request = approvals.remove(requestId);
+    if (!request) {
+      return app.replyWithError(userId, new Error(lang.__('requestNotFound')), chatId);
+    }
+
+    var requesterLang = app.getLang(request.user);
+
+    logger.info('user: %s, message: %s request %s', userId, approved ? 'approved' : 'denied', request.id);
+
+    if (!approved) {
+      app.audit.record(query.from, 'request.deny', targets.request(request));
+      app.editMessage(query, app.formatRequest(request) + '\n' + lang.__('requestDenied'));
+      var denied = requesterLang.__('yourRequestDenied') + ' *' +
+        app.escapeMarkdown(request.movie.keyboard_value, '*') + '*.';
+      return app.sendMessage(request.chatId, denied, {
+        disable_notification: false
+      });
+    }
+
+    // requests filed before there were several instances go to the first one
+    var instance = request.instance ? instances.get(request.instance) : instances.list()[0];
+    if (!instance) {
+      approvals.restore(request);
+      return app.replyWithError(userId, new Error(lang.__('instanceNotFound') + ': ' + request.instance), chatId);
+    }
+
+    // the movie is added for the requester, the approval is logged once it is in
+    return app.addMovie(instance, request.movie, request.profile, request.user, request.chatId, lang)
+      .then(function() {
+        app.audit.record(query.from, 'request.approve', targets.request(request));
+        app.editMessage(query, app.formatRequest(request) + '\n' + lang.__('requestApproved'));
+        return app.sendMessage(request.chatId, '[' + requesterLang.__('yourRequestApproved') + '](' +
+          request.movie.thumb + ') ' + '*' + app.escapeMarkdown(request.movie.keyboard_value, '*') + '* - _' +
+          request.profile.label + '_', {
+          disable_notification: false
+        });
+      })
+      .catch(function(err) {
+        // another admin can try again
+        approvals.restore(request);
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+};
@@ -0,0 +1,58 @@
+var state  = require(__dirname + '/../../lib/state');
+var logger = require(__dirname + '/../../lib/logger');
+
+/*
+ * the buttons of `/library`: paging through it and the details of a movie
+ */
+module.exports = function(app) {
+  var sessions = app.sessions;
+  var callback = state.couchpotato.callback;
+
+  app.callbacks[callback.LIBRARY_PAGE] = function(query, data) {
+    logger.info('user: %s, message: choose library page %s', query.from.id, data[1]);
+    return handleLibraryPage(query, data[1]);
+  };
+
+  app.callbacks[callback.LIBRARY_INFO] = function(query, data, instance) {
+    logger.info('user: %s, message: choose library movie %s of %s', query.from.id, data[2], data[1]);
+    return handleLibraryInfo(query, instance, data[2]);
+  };
+
+  function handleLibraryPage(query, page) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var session = sessions.get(chatId, userId);
+    var lang = app.getLang(query.from);
+
+    if (!session.data.library) {
+      return app.replyWithError(userId, new Error(lang.__('libraryAgain')), chatId);
+    }
+
+    // refresh the session so paging keeps it alive
+    sessions.update(chatId, userId, session.state);
+
+    return app.getLibraryPage(session.data.library, parseInt(page, 10) || 0, lang)
+      .then(function(response) {
+        return app.editMessage(query, response.message, {
+          reply_markup: { inline_keyboard: response.keyboard }
+        });
+      })
+      .catch(function(err) {
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+
+  function handleLibraryInfo(query, instance, mediaId) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    return app.getLibraryMovie(instance, mediaId, lang)
+      .then(function(libraryMovie) {
+        return app.sendMovieCard(chatId, query.from, app.getMovieInfo(libraryMovie), instance, libraryMovie);
+      })
+      .catch(function(err) {
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+};
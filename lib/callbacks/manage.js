@@ -0,0 +1,301 @@
+var _ = require('lodash');
+
+var state   = require(__dirname + '/../../lib/state');
+var logger  = require(__dirname + '/../../lib/logger');
+var targets = require(__dirname + '/../../lib/targets');
+
+/*
+ * the management buttons of a library movie, listed by the commands in lib/commands/manage.js
+ * and on movie cards, with the confirmations of the ones that can't be undone
+ */
+module.exports = function(app) {
+  var sessions = app.sessions;
+  var instances = app.instances;
+  var audit = app.audit;
+  var callback = state.manage.callback;
+
+  app.callbacks[callback.REFRESH] = function(query, data, instance) {
+    logger.info('user: %s, message: choose to refresh movie %s of %s', query.from.id, data[2], data[1]);
+    return handleRefresh(query, instance, data[2]);
+  };
+
+  app.callbacks[callback.TRY_NEXT] = function(query, data, instance) {
+    logger.info('user: %s, message: choose to try the next release of movie %s of %s', query.from.id, data[2],
+      data[1]);
+    return handleConfirm(query, state.manage.TRY_NEXT_CONFIRM, 'tryNextConfirm', callback.TRY_NEXT_CONFIRM,
+      instance.name + ':' + data[2]);
+  };
+
+  app.callbacks[callback.TRY_NEXT_CONFIRM] = function(query, data, instance) {
+    logger.info('user: %s, message: choose the try next confirmation "%s"', query.from.id, data[3]);
+    return handleTryNextConfirm(query, instance, data[2], data[3]);
+  };
+
+  app.callbacks[callback.CHANGE_PROFILE] = function(query, data, instance) {
+    logger.info('user: %s, message: choose to change the profile of movie %s of %s', query.from.id, data[2], data[1]);
+    return handleChangeProfile(query, instance, data[2]);
+  };
+
+  app.callbacks[callback.CHANGE_PROFILE_SELECT] = function(query, data) {
+    logger.info('user: %s, message: choose the new profile "%s"', query.from.id, data[1]);
+    return handleChangeProfileSelect(query, data[1]);
+  };
+
+  app.callbacks[callback.IGNORE] = function(query, data, instance) {
+    logger.info('user: %s, message: choose to ignore a release of movie %s of %s', query.from.id, data[2], data[1]);
+    return handleIgnore(query, instance, data[2]);
+  };
+
+  app.callbacks[callback.IGNORE_SELECT] = function(query, data, instance) {
+    logger.info('user: %s, message: choose to ignore release %s of %s', query.from.id, data[2], data[1]);
+    return handleConfirm(query, state.manage.IGNORE_CONFIRM, 'ignoreConfirm', callback.IGNORE_CONFIRM,
+      instance.name + ':' + data[2]);
+  };
+
+  app.callbacks[callback.IGNORE_CONFIRM] = function(query, data, instance) {
+    logger.info('user: %s, message: choose the ignore confirmation "%s"', query.from.id, data[3]);
+    return handleIgnoreConfirm(query, instance, data[2], data[3]);
+  };
+
+  app.callbacks[callback.DELETE] = function(query, data, instance) {
+    logger.info('user: %s, message: choose to delete movie %s of %s', query.from.id, data[2], data[1]);
+    return handleConfirm(query, state.manage.DELETE_CONFIRM, 'deleteConfirm', callback.DELETE_CONFIRM,
+      instance.name + ':' + data[2]);
+  };
+
+  app.callbacks[callback.DELETE_CONFIRM] = function(query, data, instance) {
+    logger.info('user: %s, message: choose the delete confirmation "%s"', query.from.id, data[3]);
+    return handleDeleteConfirm(query, instance, data[2], data[3]);
+  };
+
+  /*
+   * ask to confirm an action on `value`, the instance and the id of a movie or release
+   */
+  function handleConfirm(query, nextState, question, action, value) {
+    var lang = app.getLang(query.from);
+
+    sessions.set(query.message.chat.id, query.from.id, nextState);
+
+    return app.editMessage(query, lang.__(question), {
+      reply_markup: { inline_keyboard: app.getConfirmKeyboard(action, value, lang) }
+    });
+  }
+
+  function handleRefresh(query, instance, mediaId) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    return instance.backend.refresh(mediaId)
+      .then(function(success) {
+        if (!success) {
+          throw new Error(lang.__('tryAgain'));
+        }
+
+        logger.info('user: %s, message: refreshed movie %s', userId, mediaId);
+        audit.record(query.from, 'movie.refresh', targets.media(instance, mediaId));
+        return app.editMessage(query, lang.__('movieRefreshed'));
+      })
+      .catch(function(err) {
+        audit.record(query.from, 'movie.refresh', targets.media(instance, mediaId), 'failure');
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+
+  function handleTryNextConfirm(query, instance, mediaId, tryNextConfirm) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    if (tryNextConfirm !== 'yes') {
+      sessions.clear(chatId, userId);
+      return app.editMessage(query, lang.__('movieNotResearched'));
+    }
+
+    return instance.backend.tryNext(mediaId)
+      .then(function(success) {
+        if (!success) {
+          throw new Error(lang.__('tryAgain'));
+        }
+
+        logger.info('user: %s, message: tried the next release of movie %s', userId, mediaId);
+        audit.record(query.from, 'movie.research', targets.media(instance, mediaId));
+        return app.editMessage(query, lang.__('movieResearched'));
+      })
+      .catch(function(err) {
+        audit.record(query.from, 'movie.research', targets.media(instance, mediaId), 'failure');
+        return app.replyWithError(userId, err, chatId);
+      })
+      .finally(function() {
+        sessions.clear(chatId, userId);
+      });
+  }
+
+  function handleChangeProfile(query, instance, mediaId) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    return instance.backend.profiles()
+      .then(function(result) {
+        var profiles = _.filter(result, function(item) {
+          return (typeof item.hide == 'undefined' || item.hide == false);
+        });
+
+        if (!profiles.length) {
+          throw new Error(lang.__('noProfiles'));
+        }
+
+        // profile ids are too long to send along with the movie id, keep the movie in the session
+        sessions.set(chatId, userId, state.manage.CHANGE_PROFILE, {
+          manageMediaId: mediaId,
+          manageInstance: instance.name
+        });
+
+        var buttons = _.map(profiles, function(n) {
+          return { text: n.label, callback_data: callback.CHANGE_PROFILE_SELECT + ':' + n._id };
+        });
+
+        return app.editMessage(query, '*' + lang.__('foundProfiles') + ': ' + profiles.length + '*' +
+          lang.__('selectFromMenu'), {
+          reply_markup: { inline_keyboard: _.chunk(buttons, 2) }
+        });
+      })
+      .catch(function(err) {
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+
+  function handleChangeProfileSelect(query, profileHash) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var session = sessions.get(chatId, userId);
+    var mediaId = session.data.manageMediaId;
+    var instance = instances.get(session.data.manageInstance);
+    var lang = app.getLang(query.from);
+
+    if (!mediaId || !instance) {
+      return app.replyWithError(userId, new Error(lang.__('tryAgain')), chatId);
+    }
+
+    var target = _.assign(targets.media(instance, mediaId), { 'profile': profileHash });
+
+    return instance.backend.setProfile(mediaId, profileHash)
+      .finally(function() {
+        app.library.invalidate(instance);
+      })
+      .then(function(success) {
+        if (!success) {
+          throw new Error(lang.__('tryAgain'));
+        }
+
+        logger.info('user: %s, message: changed the profile of movie %s to %s', userId, mediaId, profileHash);
+        audit.record(query.from, 'movie.profile', target);
+        return app.editMessage(query, lang.__('profileChanged'));
+      })
+      .catch(function(err) {
+        audit.record(query.from, 'movie.profile', target, 'failure');
+        return app.replyWithError(userId, err, chatId);
+      })
+      .finally(function() {
+        sessions.clear(chatId, userId);
+      });
+  }
+
+  function handleIgnore(query, instance, mediaId) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    return app.getLibraryMovie(instance, mediaId, lang)
+      .then(function(libraryMovie) {
+        var releases = _.filter(libraryMovie.releases, function(release) { return release.status !== 'ignored'; });
+        if (!releases.length) {
+          throw new Error(lang.__('noReleases'));
+        }
+
+        var response = ['*' + lang.__('releases') + ':*'];
+        var keyboard = [];
+        _.forEach(releases, function(release, key) {
+          var name = app.escapeMarkdown((release.info && release.info.name) || release.identifier);
+          response.push('*' + (key + 1) + '*) _' + release.status + '_ - ' + release.quality + ' - ' + name);
+          keyboard.push([{
+            text: (key + 1) + ') ' + release.status + ' - ' + release.quality,
+            callback_data: callback.IGNORE_SELECT + ':' + instance.name + ':' + release._id
+          }]);
+        });
+
+        response.push(lang.__('selectFromMenu'));
+
+        return app.editMessage(query, response.join('\n'), {
+          reply_markup: { inline_keyboard: keyboard }
+        });
+      })
+      .catch(function(err) {
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+
+  function handleIgnoreConfirm(query, instance, releaseId, ignoreConfirm) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    if (ignoreConfirm !== 'yes') {
+      sessions.clear(chatId, userId);
+      return app.editMessage(query, lang.__('releaseNotIgnored'));
+    }
+
+    var target = { 'type': 'release', 'id': releaseId, 'name': releaseId, 'instance': instance.name };
+
+    return instance.backend.ignoreRelease(releaseId)
+      .then(function(success) {
+        if (!success) {
+          throw new Error(lang.__('tryAgain'));
+        }
+
+        logger.info('user: %s, message: ignored release %s', userId, releaseId);
+        audit.record(query.from, 'movie.ignore', target);
+        return app.editMessage(query, lang.__('releaseIgnored'));
+      })
+      .catch(function(err) {
+        audit.record(query.from, 'movie.ignore', target, 'failure');
+        return app.replyWithError(userId, err, chatId);
+      })
+      .finally(function() {
+        sessions.clear(chatId, userId);
+      });
+  }
+
+  function handleDeleteConfirm(query, instance, mediaId, deleteConfirm) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    if (deleteConfirm !== 'yes') {
+      sessions.clear(chatId, userId);
+      return app.editMessage(query, lang.__('movieNotDeleted'));
+    }
+
+    return instance.backend.remove(mediaId)
+      .finally(function() {
+        app.library.invalidate(instance);
+      })
+      .then(function(success) {
+        if (!success) {
+          throw new Error(lang.__('tryAgain'));
+        }
+
+        logger.info('user: %s, message: deleted movie %s', userId, mediaId);
+        audit.record(query.from, 'movie.delete', targets.media(instance, mediaId));
+        return app.editMessage(query, lang.__('movieDeleted'));
+      })
+      .catch(function(err) {
+        audit.record(query.from, 'movie.delete', targets.media(instance, mediaId), 'failure');
+        return app.replyWithError(userId, err, chatId);
+      })
+      .finally(function() {
+        sessions.clear(chatId, userId);
+      });
+  }
+};
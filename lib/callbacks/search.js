@@ -0,0 +1,228 @@
+var _ = require('lodash');
+
+var state  = require(__dirname + '/../../lib/state');
+var logger = require(__dirname + '/../../lib/logger');
+var roles  = require(__dirname + '/../../lib/roles');
+
+/*
+ * the buttons of a search: the details of a movie, and adding it to an instance with a profile
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var sessions = app.sessions;
+  var instances = app.instances;
+  var callback = state.couchpotato.callback;
+
+  // the buttons carry the id of their search, `m:<search>:<movie>`, `n:<instance>:<search>:<movie>`
+  // and `p:<search>:<movie>:<profile>`
+  app.callbacks[callback.INFO] = function(query, data) {
+    logger.info('user: %s, message: choose details of movie %s of search %s', query.from.id, data[2], data[1]);
+    return handleMovieInfo(query, data[1], data[2]);
+  };
+
+  app.callbacks[callback.MOVIE] = function(query, data) {
+    logger.info('user: %s, message: choose the movie %s of search %s', query.from.id, data[2], data[1]);
+    return handleMovie(query, data[1], data[2]);
+  };
+
+  app.callbacks[callback.INSTANCE] = function(query, data, instance) {
+    logger.info('user: %s, message: choose the instance "%s"', query.from.id, data[1]);
+    return handleInstance(query, instance, data[2], data[3]);
+  };
+
+  app.callbacks[callback.PROFILE] = function(query, data) {
+    logger.info('user: %s, message: choose the profile "%s"', query.from.id, data[3]);
+    return handleProfile(query, data[1], data[2], data[3]);
+  };
+
+  function handleMovieInfo(query, searchId, movieId) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    var movie = findMovie(sessions.get(chatId, userId), searchId, movieId);
+    if (!movie) {
+      return app.replyWithError(userId, new Error(lang.__('searchAgain')), chatId);
+    }
+
+    var instance = app.getUserInstance(query.from);
+
+    return app.library.find(instance, movie)
+      .then(function(libraryMovie) {
+        return app.sendMovieCard(chatId, query.from, movie, instance, libraryMovie);
+      })
+      .catch(function(err) {
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+
+  function handleMovie(query, searchId, movieId, instance) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    var movie = findMovie(sessions.get(chatId, userId), searchId, movieId);
+    if (!movie) {
+      return app.replyWithError(userId, new Error(lang.__('searchAgain')), chatId);
+    }
+
+    // ask which couchpotato to add the movie to unless the user or their role has a default
+    instance = instance || instances.getDefault(userId, app.getRole(query.from));
+    if (!instance) {
+      sessions.update(chatId, userId, state.couchpotato.INSTANCE, { movieId: movie.id });
+
+      var buttons = _.map(instances.list(), function(n) {
+        return { text: n.name, callback_data: callback.INSTANCE + ':' + n.name + ':' + movie.search + ':' + movie.id };
+      });
+
+      var title = '*' + app.escapeMarkdown(movie.keyboard_value, '*') + '*';
+      return app.editMessage(query, title + '\n\n' + lang.__('selectInstance'), {
+        reply_markup: { inline_keyboard: _.chunk(buttons, 2) }
+      });
+    }
+
+    logger.info('user: %s, message: looking for existing movie', userId);
+
+    return app.library.find(instance, movie)
+      .then(function(existingMovie) {
+        if (existingMovie) {
+          sessions.set(chatId, userId, state.couchpotato.MOVIE_SEARCH);
+          throw new Error(lang.__('movieExists'));
+        }
+
+        return instance.backend.profiles();
+      })
+      .then(function(profiles) {
+        if (!profiles.length) {
+          throw new Error(lang.__('noProfiles'));
+        }
+
+        if (!findMovie(sessions.get(chatId, userId), searchId, movieId)) {
+          throw new Error(lang.__('searchAgain'));
+        }
+
+        logger.info('user: %s, message: requested to get profile list with ' + profiles.length + ' entries', userId);
+
+        // only select profiles that are enabled in the backend
+        var enabledProfiles = _.filter(profiles, function(item) {
+          return (typeof item.hide == 'undefined' || item.hide == false);
+        });
+
+        var name = instances.isMultiple() ? ' - _' + instance.name + '_' : '';
+        var response = ['*' + app.escapeMarkdown(movie.keyboard_value, '*') + '*' + name + '\n'];
+        response.push('*' + lang.__('foundProfiles') + ': ' + enabledProfiles.length + '*\n');
+        var profileList = [], keyboardList = [], keyboardRow = [];
+        _.forEach(enabledProfiles, function(n, key) {
+          profileList.push({
+            'id': key,
+            'label': n.label,
+            'hash': n._id
+          });
+
+          response.push('*' + (key + 1) + '*) ' + n.label);
+
+          // Profile names are short, put two on each keyboard row to reduce scrolling
+          keyboardRow.push({
+            text: n.label,
+            callback_data: callback.PROFILE + ':' + movie.search + ':' + movie.id + ':' + n._id
+          });
+          if (keyboardRow.length === 2) {
+            keyboardList.push(keyboardRow);
+            keyboardRow = [];
+          }
+        });
+
+        if (keyboardRow.length) {
+          keyboardList.push(keyboardRow);
+        }
+        response.push(lang.__('selectFromMenu'));
+
+        sessions.update(chatId, userId, state.couchpotato.PROFILE, {
+          movieId: movie.id,
+          movieProfileList: profileList,
+          instance: instance.name
+        });
+
+        return app.editMessage(query, response.join('\n'), {
+          reply_markup: { inline_keyboard: keyboardList }
+        });
+      })
+      .catch(function(err) {
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+
+  /*
+   * continue adding the movie to the picked instance, only from the instance buttons of
+   * the movie being added
+   */
+  function handleInstance(query, instance, searchId, movieId) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var session = sessions.get(chatId, userId);
+    var lang = app.getLang(query.from);
+
+    var movie = findMovie(session, searchId, movieId);
+    if (session.state !== state.couchpotato.INSTANCE || !movie || movie.id !== session.data.movieId) {
+      return app.replyWithError(userId, new Error(lang.__('searchAgain')), chatId);
+    }
+
+    return handleMovie(query, searchId, movieId, instance);
+  }
+
+  /*
+   * add the movie with the picked profile, only from the profile buttons of the movie being added
+   */
+  function handleProfile(query, searchId, movieId, profileHash) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var session = sessions.get(chatId, userId);
+    var profileList = session.data.movieProfileList;
+    var movie = findMovie(session, searchId, movieId);
+    var instance = instances.get(session.data.instance);
+    var lang = app.getLang(query.from);
+    if (session.state !== state.couchpotato.PROFILE || !profileList || !movie || movie.id !== session.data.movieId ||
+      !instance) {
+      return app.replyWithError(userId, new Error(lang.__('tryAgain')), chatId);
+    }
+
+    var profile = _.filter(profileList, function(item) { return item.hash === profileHash; })[0];
+    if(!profile) {
+      return app.replyWithError(userId, new Error(lang.__('profileNotFound') + '.'), chatId);
+    }
+
+    if (!app.checkQuota(query.from, query.message.chat)) {
+      return sessions.clear(chatId, userId);
+    }
+
+    // non-admins file a request for an admin to approve instead of adding the movie
+    if (config.bot.requireApproval && !roles.atLeast(app.getRole(query.from), roles.ADMIN)) {
+      sessions.clear(chatId, userId);
+      return app.requestApproval(query, movie, profile, instance);
+    }
+
+    return app.addMovie(instance, movie, profile, query.from, chatId, lang)
+      .then(function() {
+        return app.editMessage(query, '[' + lang.__('movieAdded') + '!](' + movie.thumb + ') ' +
+          '*' + app.escapeMarkdown(movie.keyboard_value, '*') + '* - _' + profile.label + '_');
+      })
+      .catch(function(err) {
+        return app.replyWithError(userId, err, chatId);
+      })
+      .finally(function() {
+        sessions.clear(chatId, userId);
+      });
+  }
+
+  app.handleMovie = handleMovie;
+};
+
+/*
+ * the movie of a button among the search results in the session, a button of an earlier
+ * search finds nothing
+ */
+function findMovie(session, searchId, movieId) {
+  return _.find(session.data.movieList || [], function(item) {
+    return item.search === searchId && String(item.id) === String(movieId);
+  });
+}
@@ -0,0 +1,14 @@
+var state  = require(__dirname + '/../../lib/state');
+var logger = require(__dirname + '/../../lib/logger');
+
+/*
+ * the buttons of `/language`
+ */
+module.exports = function(app) {
+  app.callbacks[state.settings.callback.LANGUAGE] = function(query, data) {
+    logger.info('user: %s, message: choose the language "%s"', query.from.id, data[1]);
+    return app.setLanguage(query.from, data[1], function(message) {
+      return app.editMessage(query, message);
+    });
+  };
+};
@@ -0,0 +1,240 @@
+var _ = require('lodash');
+
+var state   = require(__dirname + '/../../lib/state');
+var logger  = require(__dirname + '/../../lib/logger');
+var roles   = require(__dirname + '/../../lib/roles');
+var targets = require(__dirname + '/../../lib/targets');
+
+/*
+ * the buttons of the admins managing users: revoking, unrevoking, promoting and demoting
+ * them, revoking invite codes and answering requests for access
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var acl = app.acl;
+  var sessions = app.sessions;
+  var audit = app.audit;
+  var callback = state.admin.callback;
+
+  app.callbacks[callback.REVOKE] = function(query, data) {
+    logger.info('user: %s, message: choose to revoke user "%s"', query.from.id, data[1]);
+    return handleRevokeUser(query, data[1]);
+  };
+
+  app.callbacks[callback.REVOKE_CONFIRM] = function(query, data) {
+    logger.info('user: %s, message: choose the revoke confirmation "%s"', query.from.id, data[2]);
+    return handleRevokeUserConfirm(query, data[1], data[2]);
+  };
+
+  app.callbacks[callback.UNREVOKE] = function(query, data) {
+    logger.info('user: %s, message: choose to unrevoke user "%s"', query.from.id, data[1]);
+    return handleUnRevokeUser(query, data[1]);
+  };
+
+  app.callbacks[callback.UNREVOKE_CONFIRM] = function(query, data) {
+    logger.info('user: %s, message: choose the unrevoke confirmation "%s"', query.from.id, data[2]);
+    return handleUnRevokeUserConfirm(query, data[1], data[2]);
+  };
+
+  app.callbacks[callback.PROMOTE] = function(query, data) {
+    logger.info('user: %s, message: choose to promote user "%s"', query.from.id, data[1]);
+    return handleRoleChange(query, data[1], 1);
+  };
+
+  app.callbacks[callback.DEMOTE] = function(query, data) {
+    logger.info('user: %s, message: choose to demote user "%s"', query.from.id, data[1]);
+    return handleRoleChange(query, data[1], -1);
+  };
+
+  app.callbacks[callback.INVITE_REVOKE] = function(query, data) {
+    logger.info('user: %s, message: choose to revoke invite code "%s"', query.from.id, data[1]);
+    return handleInviteRevoke(query, data[1]);
+  };
+
+  app.callbacks[callback.ACCESS_APPROVE] = function(query, data) {
+    logger.info('user: %s, message: choose to approve access request "%s"', query.from.id, data[1]);
+    return handleAccessRequest(query, data[1], true);
+  };
+
+  app.callbacks[callback.ACCESS_DENY] = function(query, data) {
+    logger.info('user: %s, message: choose to deny access request "%s"', query.from.id, data[1]);
+    return handleAccessRequest(query, data[1], false);
+  };
+
+  function handleRevokeUser(query, revokedUserId) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    var revokedUser = _.find(acl.allowedUsers, { 'id': parseInt(revokedUserId, 10) });
+    if (!revokedUser || !app.canManage(query.from, revokedUser)) {
+      return app.replyWithError(userId, new Error(lang.__('userNotFound')), chatId);
+    }
+
+    logger.info('user: %s, message: selected revoke user %s', userId, revokedUser.id);
+
+    sessions.set(chatId, userId, state.admin.REVOKE_CONFIRM);
+
+    var name = '@' + app.escapeMarkdown(app.getTelegramName(revokedUser));
+    return app.editMessage(query, lang.__('revokeConfirm') + ' ' + name + '?', {
+      reply_markup: { inline_keyboard: app.getConfirmKeyboard(callback.REVOKE_CONFIRM, revokedUser.id, lang) }
+    });
+  }
+
+  function handleRevokeUserConfirm(query, revokedUserId, revokedConfirm) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+    logger.info('user: %s, message: selected revoke confirmation %s', userId, revokedConfirm);
+
+    var j = acl.allowedUsers.map(function(e) { return e.id; }).indexOf(parseInt(revokedUserId, 10));
+    if (j === -1 || !app.canManage(query.from, acl.allowedUsers[j])) {
+      sessions.clear(chatId, userId);
+      return app.replyWithError(userId, new Error(lang.__('userNotFound')), chatId);
+    }
+
+    var revokedUser = app.escapeMarkdown(app.getTelegramName(acl.allowedUsers[j]));
+
+    if (revokedConfirm !== 'yes') {
+      sessions.clear(chatId, userId);
+      return app.editMessage(query, lang.__('accessNotRevoked') + ' @' + revokedUser + '.');
+    }
+
+    audit.record(query.from, 'user.revoke', targets.user(acl.allowedUsers[j]));
+
+    acl.revokedUsers.push(acl.allowedUsers[j]);
+    acl.allowedUsers.splice(j, 1);
+    app.updateACL();
+
+    sessions.clear(chatId, userId);
+
+    return app.editMessage(query, lang.__('accessRevoked') + ' @' + revokedUser + '.');
+  }
+
+  function handleUnRevokeUser(query, revokedUserId) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    var revokedUser = _.find(acl.revokedUsers, { 'id': parseInt(revokedUserId, 10) });
+    if (!revokedUser) {
+      return app.replyWithError(userId, new Error(lang.__('userNotFound')), chatId);
+    }
+
+    sessions.set(chatId, userId, state.admin.UNREVOKE_CONFIRM);
+
+    logger.info('user: %s, message: selected unrevoke user %s', userId, revokedUser.id);
+
+    var name = '@' + app.escapeMarkdown(app.getTelegramName(revokedUser));
+    return app.editMessage(query, lang.__('unrevokeConfirm') + ' ' + name + '?', {
+      reply_markup: { inline_keyboard: app.getConfirmKeyboard(callback.UNREVOKE_CONFIRM, revokedUser.id, lang) }
+    });
+  }
+
+  function handleUnRevokeUserConfirm(query, revokedUserId, revokedConfirm) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+    logger.info('user: %s, message: selected unrevoke confirmation %s', userId, revokedConfirm);
+
+    var j = acl.revokedUsers.map(function(e) { return e.id; }).indexOf(parseInt(revokedUserId, 10));
+    if (j === -1) {
+      sessions.clear(chatId, userId);
+      return app.replyWithError(userId, new Error(lang.__('userNotFound')), chatId);
+    }
+
+    var revokedUser = app.escapeMarkdown(app.getTelegramName(acl.revokedUsers[j]));
+
+    if (revokedConfirm !== 'yes') {
+      sessions.clear(chatId, userId);
+      return app.editMessage(query, lang.__('accessNotUnrevoked') + ' @' + revokedUser + '.');
+    }
+
+    audit.record(query.from, 'user.unrevoke', targets.user(acl.revokedUsers[j]));
+
+    acl.revokedUsers.splice(j, 1);
+    app.updateACL();
+
+    sessions.clear(chatId, userId);
+
+    return app.editMessage(query, lang.__('accessUnrevoked') + ' @' + revokedUser + '.');
+  }
+
+  function handleRoleChange(query, changedUserId, step) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    var changedUser = _.find(acl.allowedUsers, { 'id': parseInt(changedUserId, 10) });
+    var role = changedUser && app.getNextRole(changedUser, step);
+    if (!role || !app.canManage(query.from, changedUser) || !roles.atLeast(app.getRole(query.from), role)) {
+      sessions.clear(chatId, userId);
+      return app.replyWithError(userId, new Error(lang.__('userNotFound')), chatId);
+    }
+
+    logger.info('user: %s, message: changed the role of user %s to %s', userId, changedUser.id, role);
+    audit.record(query.from, step > 0 ? 'user.promote' : 'user.demote', _.assign(targets.user(changedUser), {
+      'role': role
+    }));
+
+    changedUser.role = role;
+    app.updateACL();
+    app.updateUserCommands(changedUser);
+
+    var changedLang = app.getLang(changedUser);
+    var roleName = lang.__('role_' + role);
+    app.editMessage(query, '@' + app.escapeMarkdown(app.getTelegramName(changedUser)) + ' ' + lang.__('roleChanged') +
+      ' _' + roleName + '_.');
+    sessions.clear(chatId, userId);
+
+    return app.sendMessage(changedUser.id, changedLang.__('yourRoleChanged') + ' _' +
+      changedLang.__('role_' + role) + '_.\n' + changedLang.__('seeHelp'));
+  }
+
+  function handleInviteRevoke(query, code) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    var invite = app.invites.remove(code);
+    if (!invite) {
+      return app.replyWithError(userId, new Error(lang.__('inviteNotFound')), chatId);
+    }
+
+    logger.info('user: %s, message: revoked the invite code %s', userId, invite.code);
+    audit.record(query.from, 'invite.revoke', targets.invite(invite.code));
+
+    return app.editMessage(query, lang.__('inviteRevoked', invite.code));
+  }
+
+  function handleAccessRequest(query, requestId, approved) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    var request = app.invites.removeRequest(requestId);
+    if (!request) {
+      return app.replyWithError(userId, new Error(lang.__('requestNotFound')), chatId);
+    }
+
+    var name = '@' + app.escapeMarkdown(app.getTelegramName(request.user));
+    var requesterLang = app.getLang(request.user);
+
+    if (!approved) {
+      logger.info('user: %s, message: denied access to user %s', userId, request.user.id);
+      audit.record(query.from, 'access.deny', targets.user(request.user));
+      app.editMessage(query, name + ' ' + lang.__('accessRequestDenied'));
+      return app.sendMessage(request.chatId, requesterLang.__('accessDenied'));
+    }
+
+    // revoked in the meantime, or let in some other way
+    if (!app.isAuthorized(request.user.id) && !app.isRevoked(request.user.id)) {
+      logger.info('user: %s, message: granted access to user %s', userId, request.user.id);
+      audit.record(query.from, 'access.approve', targets.user(request.user));
+      app.addUser(request.user, config.bot.defaultRole);
+      app.sendMessage(request.chatId, requesterLang.__('isAuthorized'));
+    }
+
+    return app.editMessage(query, name + lang.__('userAuthorized'));
+  }
+};
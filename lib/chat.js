@@ -0,0 +1,268 @@
+var _ = require('lodash');                              // https://www.npmjs.com/package/lodash
+
+var logger  = require(__dirname + '/../lib/logger');    // logs to file and console
+var i18n    = require(__dirname + '/../lib/lang');      // set up multilingual support
+var roles   = require(__dirname + '/../lib/roles');     // user roles from guest to owner
+var metrics = require(__dirname + '/../lib/metrics');   // counters served on /metrics
+var Breaker = require(__dirname + '/../lib/breaker');   // keeps a backend that is down from breaking the bot
+
+/*
+ * Talking to the users of the bot: their roles and languages, and the messages the bot
+ * sends them. The helpers are added to the app the commands and buttons are handled with,
+ * see lib/bot.js.
+ */
+module.exports = function(app) {
+  var bot = app.bot;
+  var config = app.config;
+  var acl = app.acl;
+  var instances = app.instances;
+
+  /*
+   * get the role of a telegram user, in an authorized group chat users without a role
+   * of their own have the role of the chat
+   */
+  function getRole(user, chat) {
+    if (config.bot.owner === user.id) {
+      return roles.OWNER;
+    }
+
+    var allowedUser = _.find(acl.allowedUsers, { 'id': user.id });
+    if (allowedUser) {
+      return allowedUser.role;
+    }
+
+    var allowedChat = chat && isGroup(chat) && _.find(acl.allowedChats, { 'id': chat.id });
+    return allowedChat && !app.isRevoked(user.id) ? allowedChat.role : roles.GUEST;
+  }
+
+  /*
+   * The translations for a user, in the language they picked with `/language`, else the
+   * language of their telegram app when there is a locale for it, else `bot.language`.
+   * Users sent along with a message or button bring their language code, it is kept
+   * so replies to just a user id are in the same language.
+   */
+  var languageCodes = {};
+
+  function getLang(user) {
+    var allowedUser = _.find(acl.allowedUsers, { 'id': user.id }) || {};
+
+    if (user.language_code) {
+      languageCodes[user.id] = user.language_code;
+    }
+
+    var code = (languageCodes[user.id] || allowedUser.language_code || '').split('-')[0].toLowerCase();
+    var locale = allowedUser.language || (_.contains(i18n.getLocales(), code) ? code : config.bot.language);
+
+    return i18n.forLocale(locale);
+  }
+
+  /*
+   * check if a chat is a group chat
+   */
+  function isGroup(chat) {
+    return chat.type === 'group' || chat.type === 'supergroup';
+  }
+
+  /*
+   * the text of a message addressed to the bot, without the `@botname` of a command or
+   * mention. In group chats that is a command, a reply to the bot or a mention of it,
+   * other messages come back empty
+   */
+  function getAddressedText(msg) {
+    var text = msg.text || '';
+    var me = app.me;
+    var username = me ? me.username.toLowerCase() : null;
+
+    var command = /^(\/\w+)@(\w+)/.exec(text);
+    if (command) {
+      return command[2].toLowerCase() === username ? command[1] + text.slice(command[0].length) : '';
+    }
+
+    if (!isGroup(msg.chat) || text[0] === '/') {
+      return text;
+    }
+
+    if (me && msg.reply_to_message && msg.reply_to_message.from.id === me.id) {
+      return text;
+    }
+
+    var mention = new RegExp('@' + username + '\\b', 'i');
+    return username && mention.test(text) ? text.replace(mention, '').trim() : '';
+  }
+
+  /*
+   * the instance a user works with when they didn't pick one
+   */
+  function getUserInstance(user) {
+    return instances.getDefault(user.id, getRole(user)) || instances.list()[0];
+  }
+
+  /*
+   * tell a user why they can't run a command
+   */
+  function denyCommand(msg, command, role) {
+    var userId = msg.from.id;
+    var chatId = msg.chat.id;
+    var lang = getLang(msg.from);
+
+    if (app.isRevoked(userId)) {
+      return replyWithError(userId, new Error(lang.__('isRevoked')), chatId);
+    }
+
+    if (role === roles.GUEST) {
+      return replyWithError(userId, new Error(lang.__('notAuthorized')), chatId);
+    }
+
+    if (command.role === roles.REQUESTER) {
+      return replyWithError(userId, new Error(lang.__('requesterOnly')), chatId);
+    }
+
+    promptOwnerConfig(userId);
+    return replyWithError(userId, new Error(lang.__('adminOnly')), chatId);
+  }
+
+  function promptOwnerConfig(userId) {
+    if (!config.bot.owner) {
+      var lang = getLang({ id: userId });
+      var message = [lang.__('yourUserId') + ': ' + userId, lang.__('ownerConfig')];
+      return sendMessage(userId, message.join('\n'));
+    }
+  }
+
+  /*
+   * build a NO/yes inline keyboard for a confirmation step
+   */
+  function getConfirmKeyboard(action, value, lang) {
+    return [
+      [{ text: lang.__('confirmNo'), callback_data: action + ':' + value + ':no' }],
+      [{ text: lang.__('confirmYes'), callback_data: action + ':' + value + ':yes' }]
+    ];
+  }
+
+  /*
+   * build an inline keyboard of users, two on each row
+   */
+  function getUserKeyboard(users, action) {
+    var buttons = _.map(users, function(user) {
+      return { text: getTelegramName(user), callback_data: action + ':' + user.id };
+    });
+
+    return _.chunk(buttons, 2);
+  }
+
+  /*
+   * handle removing the custom keyboard
+   */
+  function replyWithError(userId, err, chatId) {
+    var lang = getLang({ id: userId });
+    chatId = chatId || userId;
+    if (typeof err === 'undefined') {
+      err = new Error(lang.__('unknownError'));
+    }
+
+    // not the error of the request that didn't get through
+    if (err instanceof Breaker.UnavailableError) {
+      err = new Error(lang.__('backendUnavailable', getBackendName(instances.get(err.instance))));
+    }
+    logger.warn('user: %s message: %s', userId, err.message);
+    metrics.increment('cpbot_errors_total', { 'type': 'reply' });
+
+    return sendMessage(chatId, '*' + lang.__('ohNo') + '* ' + err);
+  }
+
+  /*
+   * the name of a backend users see, e.g. `CouchPotato (4k)`
+   */
+  function getBackendName(instance) {
+    return instance.label + (instances.isMultiple() ? ' (' + instance.name + ')' : '');
+  }
+
+  /*
+   * get telegram name
+   */
+  function getTelegramName(user) {
+    return user.username || (user.first_name + (' ' + user.last_name || '')) || user;
+  }
+
+  /*
+   * escape user input, e.g. a name or a movie title, for a markdown message. Inside a bold
+   * or italic part only its own marker has to be escaped, the part is closed and opened
+   * again around it. A link text can't hold its closing bracket, it is left out
+   */
+  function escapeMarkdown(text, opt_part) {
+    text = String(text);
+    if (opt_part === '[') {
+      return text.replace(/\]/g, '');
+    }
+    if (opt_part) {
+      return text.split(opt_part).join(opt_part + '\\' + opt_part + opt_part);
+    }
+
+    return text.replace(/[_*`\[]/g, '\\$&');
+  }
+
+  /*
+   * reply with a message
+   */
+  function sendMessage(chatId, message, opt_opts) {
+    var opts = {
+      disable_notification: true,
+      disable_web_page_preview: true,
+      parse_mode: 'Markdown',
+      reply_markup: {
+        remove_keyboard: true
+      }
+    };
+    if (typeof opt_opts === 'object') { for (var attr in opt_opts) { opts[attr] = opt_opts[attr]; } }
+    return bot.sendMessage(chatId, message, opts).catch(handleTelegramError);
+  }
+
+  /*
+   * replace the text and inline keyboard of the message a button was pressed on
+   */
+  function editMessage(query, message, opt_opts) {
+    var opts = {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown'
+    };
+    if (!query.message.photo) {
+      opts.disable_web_page_preview = true;
+    }
+    if (typeof opt_opts === 'object') { for (var attr in opt_opts) { opts[attr] = opt_opts[attr]; } }
+
+    // movie cards are photos, their text is the caption
+    if (query.message.photo) {
+      return bot.editMessageCaption(message, opts).catch(handleTelegramError);
+    }
+
+    return bot.editMessageText(message, opts).catch(handleTelegramError);
+  }
+
+  /*
+   * log a failed telegram call, the user has already left or the message can't be changed
+   */
+  function handleTelegramError(err) {
+    logger.warn('telegram error: %s', err.message);
+    metrics.increment('cpbot_errors_total', { 'type': 'telegram' });
+  }
+
+  _.assign(app, {
+    getRole: getRole,
+    getLang: getLang,
+    isGroup: isGroup,
+    getAddressedText: getAddressedText,
+    getUserInstance: getUserInstance,
+    denyCommand: denyCommand,
+    promptOwnerConfig: promptOwnerConfig,
+    getConfirmKeyboard: getConfirmKeyboard,
+    getUserKeyboard: getUserKeyboard,
+    replyWithError: replyWithError,
+    getBackendName: getBackendName,
+    getTelegramName: getTelegramName,
+    escapeMarkdown: escapeMarkdown,
+    sendMessage: sendMessage,
+    editMessage: editMessage,
+    handleTelegramError: handleTelegramError
+  });
+};
@@ -0,0 +1,178 @@
+var _ = require('lodash');
+
+var state   = require(__dirname + '/../../lib/state');
+var logger  = require(__dirname + '/../../lib/logger');
+var roles   = require(__dirname + '/../../lib/roles');
+var targets = require(__dirname + '/../../lib/targets');
+
+/*
+ * `/join`, `/auth` and `/access`, the ways for guests to get a role
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var invites = app.invites;
+  var audit = app.audit;
+
+  /*
+   * handle invite codes, deep links like `t.me/<bot>?start=join-CODE` come in as `/start join-CODE`
+   */
+  app.router.command({
+    name: 'join',
+    description: 'command_join',
+    role: roles.GUEST,
+    args: [{ name: 'code', label: 'arg_code', required: true }],
+    patterns: [/^\/start\s+join-(\w+)$/i],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      // everyone in a group could use the code
+      if (app.isGroup(msg.chat)) {
+        return app.replyWithError(userId, new Error(lang.__('joinInPrivate')), chatId);
+      }
+
+      if (app.isAuthorized(userId)) {
+        return app.sendMessage(chatId, lang.__('alreadyAuthorized'));
+      }
+
+      if (app.isRevoked(userId)) {
+        return app.sendMessage(chatId, lang.__('isRevoked'));
+      }
+
+      var lockout = app.getLockout(userId);
+      if (lockout) {
+        return app.replyWithError(userId, new Error(lang.__n('authLocked', lockout)), chatId);
+      }
+
+      var invite = invites.redeem(args.code, userId);
+      if (!invite) {
+        app.recordAuthFailure(msg.from, 'join', targets.invite(args.code.toUpperCase()));
+        return app.replyWithError(userId, new Error(lang.__('invalidInvite')), chatId);
+      }
+
+      logger.info('user: %s, message: joined with the invite code %s as %s', userId, invite.code, invite.role);
+      audit.record(msg.from, 'join', targets.invite(invite.code));
+
+      app.addUser(msg.from, invite.role);
+      app.sendMessage(chatId, lang.__('isAuthorized'));
+
+      // the owner and the admin who made the code
+      _.forEach(_.uniq(_.compact([config.bot.owner, invite.createdBy])), function(id) {
+        var notifyLang = app.getLang({ id: id });
+        app.sendMessage(id, app.escapeMarkdown(app.getTelegramName(msg.from)) + notifyLang.__('userAuthorized') + ' ' +
+          notifyLang.__('joinedWithInvite', invite.code));
+      });
+    }
+  });
+
+  /*
+   * handle authorization
+   */
+  app.router.command({
+    name: 'auth',
+    description: 'command_auth',
+    role: roles.GUEST,
+    args: [{ name: 'password', label: 'arg_password', required: true, rest: true }],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var password = args.password;
+      var lang = app.getLang(msg.from);
+
+      // the password should not stay in the chat history, not even a wrong one
+      app.bot.deleteMessage(chatId, msg.message_id).catch(app.handleTelegramError);
+
+      // everyone in a group would see the password
+      if (app.isGroup(msg.chat)) {
+        return app.replyWithError(userId, new Error(lang.__('authInPrivate')), chatId);
+      }
+
+      if (app.isAuthorized(userId)) {
+        return app.sendMessage(chatId, lang.__('alreadyAuthorized'));
+      }
+
+      // make sure the user is not banned
+      if (app.isRevoked(userId)) {
+        return app.sendMessage(chatId, lang.__('isRevoked'));
+      }
+
+      var lockout = app.getLockout(userId);
+      if (lockout) {
+        return app.replyWithError(userId, new Error(lang.__n('authLocked', lockout)), chatId);
+      }
+
+      // an empty password turns password authorization off
+      if (!config.bot.password || password !== config.bot.password) {
+        app.recordAuthFailure(msg.from, 'auth', targets.user(msg.from));
+        return app.replyWithError(userId, new Error(lang.__('invalidPassword')), chatId);
+      }
+
+      audit.record(msg.from, 'auth', targets.user(msg.from));
+      app.addUser(msg.from, config.bot.defaultRole);
+      app.sendMessage(chatId, lang.__('isAuthorized'));
+
+      if (config.bot.owner) {
+        var ownerLang = app.getLang({ id: config.bot.owner });
+        app.sendMessage(config.bot.owner, app.escapeMarkdown(app.getTelegramName(msg.from)) +
+          ownerLang.__('userAuthorized'));
+      }
+    }
+  });
+
+  /*
+   * handle requests for access, the owner or else the admins are asked to approve them
+   */
+  app.router.command({
+    name: 'access',
+    description: 'command_access',
+    role: roles.GUEST,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      if (app.isAuthorized(userId)) {
+        return app.sendMessage(chatId, lang.__('alreadyAuthorized'));
+      }
+
+      if (app.isRevoked(userId)) {
+        return app.sendMessage(chatId, lang.__('isRevoked'));
+      }
+
+      if (invites.findRequest(userId)) {
+        return app.sendMessage(chatId, lang.__('accessPending'));
+      }
+
+      var admins = app.getAdmins();
+      if (config.bot.owner) {
+        admins = [{ id: config.bot.owner }];
+      }
+
+      if (!admins.length) {
+        return app.replyWithError(userId, new Error(lang.__('accessNobody')), chatId);
+      }
+
+      var request = invites.addRequest(_.pick(msg.from, ['id', 'username', 'first_name', 'last_name']), chatId);
+
+      logger.info('user: %s, message: asked for access', userId);
+      audit.record(msg.from, 'access.request', targets.user(msg.from), 'pending');
+
+      app.sendMessage(chatId, lang.__('accessRequested'));
+
+      _.forEach(admins, function(admin) {
+        var adminLang = app.getLang(admin);
+        var name = '@' + app.escapeMarkdown(app.getTelegramName(request.user));
+        app.sendMessage(admin.id, name + ' ' + adminLang.__('accessRequest'), {
+          disable_notification: false,
+          reply_markup: {
+            inline_keyboard: [[
+              { text: adminLang.__('approve'), callback_data: state.admin.callback.ACCESS_APPROVE + ':' + request.id },
+              { text: adminLang.__('deny'), callback_data: state.admin.callback.ACCESS_DENY + ':' + request.id }
+            ]]
+          }
+        });
+      });
+    }
+  });
+};
@@ -0,0 +1,115 @@
+var _ = require('lodash');
+var moment = require('moment');
+
+var logger = require(__dirname + '/../../lib/logger');
+var roles  = require(__dirname + '/../../lib/roles');
+
+/*
+ * `/subscribe` and `/unsubscribe`, and the digest the subscribers get
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var digests = app.digests;
+
+  /*
+   * handle digest subscriptions
+   */
+  app.router.command({
+    name: 'subscribe',
+    description: 'command_subscribe',
+    role: roles.VIEWER,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      if (!config.digest.enabled) {
+        return app.sendMessage(chatId, lang.__('digestDisabled'));
+      }
+
+      // the digest is sent in private, members of an authorized group need a role of their own
+      if (!roles.atLeast(app.getRole(msg.from), roles.VIEWER)) {
+        return app.sendMessage(chatId, lang.__('digestOwnRole'));
+      }
+
+      if (!digests.subscribe(userId)) {
+        return app.sendMessage(chatId, lang.__('alreadySubscribed'));
+      }
+
+      logger.info('user: %s, message: subscribed to the digest', userId);
+      return app.sendMessage(chatId, lang.__('subscribed', getDigestSchedule(lang)));
+    }
+  });
+
+  app.router.command({
+    name: 'unsubscribe',
+    description: 'command_unsubscribe',
+    role: roles.VIEWER,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      if (!digests.unsubscribe(userId)) {
+        return app.sendMessage(chatId, lang.__('notSubscribed'));
+      }
+
+      logger.info('user: %s, message: unsubscribed from the digest', userId);
+      return app.sendMessage(chatId, lang.__('unsubscribed'));
+    }
+  });
+
+  /*
+   * when the digest is sent, e.g. "every day at 09:00"
+   */
+  function getDigestSchedule(lang) {
+    if (config.digest.schedule === 'weekly') {
+      var day = moment().locale(lang.locale).isoWeekday(digests.DAYS.indexOf(config.digest.day) + 1).format('dddd');
+      return lang.__('digestWeekly', day, config.digest.time);
+    }
+
+    return lang.__('digestDaily', config.digest.time);
+  }
+
+  /*
+   * tell the owner and the subscribers what was added, snatched and completed since the last
+   * digest and what is still wanted
+   */
+  function sendDigest() {
+    return app.getLibraryMovies()
+      .then(function(movies) {
+        var changes = digests.update(movies);
+        var wanted = _.filter(movies, { status: 'wanted' });
+
+        // users who lost their role since they subscribed don't get it anymore
+        var subscribers = _.filter(digests.getSubscribers(), function(userId) {
+          return roles.atLeast(app.getRole({ id: userId }), roles.VIEWER);
+        });
+        var recipients = _.uniq(_.compact([config.bot.owner]).concat(subscribers));
+
+        logger.info('sending the digest to %s users', recipients.length);
+
+        _.forEach(recipients, function(userId) {
+          var lang = app.getLang({ id: userId });
+          var since = changes.since ? moment(changes.since).locale(lang.locale).format('LLL') : null;
+
+          var response = ['*' + (since ? lang.__('digestSince', since) : lang.__('digest')) + '*'];
+          response.push(app.getMovieSection('section_added', changes.added, lang));
+          response.push(app.getMovieSection('section_snatched', changes.snatched, lang));
+          response.push(app.getMovieSection('section_completed', changes.completed, lang));
+
+          if (!changes.added.length && !changes.snatched.length && !changes.completed.length) {
+            response.push(lang.__('digestNoChanges'));
+          }
+          response.push(app.getMovieSection('section_wanted', wanted, lang));
+
+          app.sendMessage(userId, _.compact(response).join('\n'));
+        });
+      })
+      .catch(function(err) {
+        logger.warn('could not send the digest: %s', err.message);
+      });
+  }
+
+  app.sendDigest = sendDigest;
+};
@@ -0,0 +1,122 @@
+var _ = require('lodash');
+
+var state  = require(__dirname + '/../../lib/state');
+var logger = require(__dirname + '/../../lib/logger');
+var i18n   = require(__dirname + '/../../lib/lang');
+var roles  = require(__dirname + '/../../lib/roles');
+
+/*
+ * sections of the `/help` message and the roles listed in them
+ */
+var HELP_SECTIONS = [
+  { title: 'generalCommands', roles: [roles.GUEST, roles.VIEWER, roles.REQUESTER] },
+  { title: 'adminCommands', roles: [roles.ADMIN, roles.OWNER] }
+];
+
+/*
+ * `/start`, `/help`, `/language` and `/clear`
+ */
+module.exports = function(app) {
+  var router = app.router;
+
+  /*
+  handle start command
+   */
+  router.command({
+    name: 'start',
+    description: 'command_start',
+    role: roles.VIEWER,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var lang = app.getLang(msg.from);
+
+      var response = [lang.__('hello') + ' @' + app.escapeMarkdown(app.getTelegramName(msg.from)) + '!'];
+      response.push('\n' + lang.__('helpToContinue'));
+
+      return app.sendMessage(chatId, response.join('\n'));
+    }
+  });
+
+  /*
+   * handle help command
+   */
+  router.command({
+    name: 'help',
+    description: 'command_help',
+    role: roles.GUEST,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var lang = app.getLang(msg.from);
+
+      var commands = router.commandsFor(app.getRole(msg.from, msg.chat));
+
+      var response = [lang.__('commandList', '@' + app.escapeMarkdown(app.getTelegramName(msg.from)))];
+      _.forEach(HELP_SECTIONS, function(section) {
+        var sectionCommands = _.filter(commands, function(command) { return _.contains(section.roles, command.role); });
+        if (!sectionCommands.length) {
+          return;
+        }
+
+        response.push('\n*' + lang.__(section.title) + ':*');
+        _.forEach(sectionCommands, function(command) {
+          response.push('`' + router.usage(command, lang.__) + '` ' + lang.__(command.description));
+        });
+      });
+
+      return app.sendMessage(chatId, response.join('\n'));
+    }
+  });
+
+  /*
+   * handle language selection, without a language the available ones are listed as buttons
+   */
+  router.command({
+    name: 'language',
+    description: 'command_language',
+    role: roles.VIEWER,
+    args: [{ name: 'language', label: 'arg_language' }],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      if (args.language) {
+        return app.setLanguage(msg.from, args.language.toLowerCase(), function(message) {
+          return app.sendMessage(chatId, message);
+        });
+      }
+
+      var buttons = _.map(i18n.getLocales(), function(locale) {
+        return {
+          text: i18n.forLocale(locale).__('languageName'),
+          callback_data: state.settings.callback.LANGUAGE + ':' + locale
+        };
+      });
+
+      logger.info('user: %s, message: listing the languages', userId);
+
+      return app.sendMessage(chatId, lang.__('currentLanguage', lang.__('languageName')) + lang.__('selectFromMenu'), {
+        reply_markup: { inline_keyboard: _.chunk(buttons, 2) }
+      });
+    }
+  });
+
+  /*
+   * handle clear command
+   */
+  router.command({
+    name: 'clear',
+    description: 'command_clear',
+    role: roles.VIEWER,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      app.sessions.clear(chatId, userId);
+      logger.info('user: %s, message: \'/clear\' command successfully executed', userId);
+
+      return app.sendMessage(chatId, lang.__('clear'));
+    }
+  });
+};
@@ -0,0 +1,135 @@
+var _ = require('lodash');
+var moment = require('moment');
+
+var state   = require(__dirname + '/../../lib/state');
+var logger  = require(__dirname + '/../../lib/logger');
+var roles   = require(__dirname + '/../../lib/roles');
+var targets = require(__dirname + '/../../lib/targets');
+
+/*
+ * one line describing an invite code
+ */
+function formatInvite(invite, lang) {
+  var line = '`' + invite.code + '` - _' + lang.__('role_' + invite.role) + '_ - ' +
+    lang.__('inviteUses', invite.uses - invite.used.length, invite.uses);
+
+  if (invite.expires) {
+    line += ' - ' + lang.__('inviteExpires', moment(invite.expires).locale(lang.locale).format('lll'));
+  }
+
+  return line;
+}
+
+/*
+ * `/invite` and `/invites`, the codes that let guests join
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var invites = app.invites;
+
+  /*
+   * the role, uses and expiry of `/invite`, null when a token is none of them
+   */
+  function parseInviteOptions(tokens) {
+    var options = { role: config.bot.defaultRole, uses: 1, expires: null };
+    var units = { h: 'hours', d: 'days', w: 'weeks' };
+
+    var invalid = _.some(tokens, function(token) {
+      var duration = /^(\d+)([hdw])$/i.exec(token);
+      var date = moment(token, 'YYYY-MM-DD', true);
+
+      if (_.contains(roles.ASSIGNABLE, token.toLowerCase())) {
+        options.role = token.toLowerCase();
+      } else if (/^\d+$/.test(token)) {
+        options.uses = parseInt(token, 10);
+        return options.uses < 1;
+      } else if (duration) {
+        options.expires = moment().add(parseInt(duration[1], 10), units[duration[2].toLowerCase()]).valueOf();
+      } else if (date.isValid()) {
+        options.expires = date.endOf('day').valueOf();
+        return options.expires < Date.now();
+      } else {
+        return true;
+      }
+
+      return false;
+    });
+
+    return invalid ? null : options;
+  }
+
+  /*
+   * handle invite codes, `/invite [role] [uses] [expires]` in any order
+   */
+  app.router.command({
+    name: 'invite',
+    description: 'command_invite',
+    role: roles.ADMIN,
+    args: [
+      { name: 'role', label: 'arg_role' },
+      { name: 'uses', label: 'arg_uses' },
+      { name: 'expires', label: 'arg_expires' }
+    ],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      var options = parseInviteOptions(_.compact([args.role, args.uses, args.expires]));
+      if (!options) {
+        return app.replyWithError(userId, new Error(lang.__('inviteOptions')), chatId);
+      }
+
+      // anyone with a code gets in, admins can't hand out their own role
+      if (roles.atLeast(options.role, app.getRole(msg.from))) {
+        return app.replyWithError(userId, new Error(lang.__('inviteRoleTooHigh')), chatId);
+      }
+
+      var invite = invites.create(options.role, options.uses, options.expires, userId);
+
+      logger.info('user: %s, message: created the invite code %s for %s', userId, invite.code, invite.role);
+      app.audit.record(msg.from, 'invite.create', targets.invite(invite.code));
+
+      var response = [lang.__('inviteCreated'), formatInvite(invite, lang), '', lang.__('inviteShare', invite.code)];
+      if (app.me) {
+        // usernames of bots often have underscores, they would start italics
+        response.push(('https://t.me/' + app.me.username + '?start=join-' + invite.code).replace(/_/g, '\\_'));
+      }
+
+      return app.sendMessage(chatId, response.join('\n'));
+    }
+  });
+
+  /*
+   * handle the list of invite codes that can still be used
+   */
+  app.router.command({
+    name: 'invites',
+    description: 'command_invites',
+    role: roles.ADMIN,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var lang = app.getLang(msg.from);
+      var active = invites.list();
+
+      if (!active.length) {
+        return app.sendMessage(chatId, lang.__('noInvites'));
+      }
+
+      var response = ['*' + lang.__('activeInvites') + ':*'].concat(_.map(active, function(invite) {
+        return formatInvite(invite, lang);
+      }));
+
+      return app.sendMessage(chatId, response.join('\n'), {
+        reply_markup: {
+          inline_keyboard: _.map(active, function(invite) {
+            return [{
+              text: lang.__('revokeInvite') + ' ' + invite.code,
+              callback_data: state.admin.callback.INVITE_REVOKE + ':' + invite.code
+            }];
+          })
+        }
+      });
+    }
+  });
+};
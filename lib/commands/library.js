@@ -0,0 +1,208 @@
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var state  = require(__dirname + '/../../lib/state');
+var logger = require(__dirname + '/../../lib/logger');
+var roles  = require(__dirname + '/../../lib/roles');
+
+/*
+ * split `/library` input into the search text and the filters of the library list
+ *
+ *   status         wanted (active) or done
+ *   release        status of the releases, e.g. snatched, downloaded or available
+ *   starts         first characters of the title
+ *   in             name of the couchpotato instance
+ */
+function parseLibraryQuery(input) {
+  var browsing = { search: [], status: null, release: null, starts: null, instance: null };
+  var statuses = { wanted: 'active', active: 'active', done: 'done' };
+
+  _.forEach(input.split(/\s+/), function(token) {
+    var filter = /^(status|release|starts|in):(.+)$/i.exec(token);
+    if (!filter) {
+      return token && browsing.search.push(token);
+    }
+
+    var name = filter[1].toLowerCase() === 'in' ? 'instance' : filter[1].toLowerCase();
+    browsing[name] = (name === 'status' ? statuses[filter[2].toLowerCase()] : filter[2]) || null;
+  });
+
+  browsing.search = browsing.search.join(' ');
+  return browsing;
+}
+
+/*
+ * `/library`, `/status` and `/wanted`, what is in the library
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var instances = app.instances;
+
+  /*
+   * handle library search
+   */
+  app.router.command({
+    name: 'library',
+    description: 'command_library',
+    role: roles.VIEWER,
+    args: [{ name: 'query', label: 'arg_movieName', rest: true }],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      var browsing = parseLibraryQuery(args.query || '');
+      if (browsing.instance && !instances.get(browsing.instance)) {
+        return app.replyWithError(userId, new Error(lang.__('instanceNotFound') + ': ' + browsing.instance), chatId);
+      }
+
+      browsing.instance = browsing.instance || app.getUserInstance(msg.from).name;
+
+      logger.info('user: %s, message: browsing the library with %j', userId, browsing);
+
+      // keep any flow in progress, the library only needs its own data in the session
+      app.sessions.update(chatId, userId, app.sessions.get(chatId, userId).state, { library: browsing });
+
+      return getLibraryPage(browsing, 0, lang)
+        .then(function(response) {
+          return app.sendMessage(chatId, response.message, {
+            reply_markup: { inline_keyboard: response.keyboard }
+          });
+        })
+        .catch(function(err) {
+          return app.replyWithError(userId, err, chatId);
+        });
+    }
+  });
+
+  /*
+   * fetch one page of the library, returns the message and its next/prev keyboard
+   */
+  function getLibraryPage(browsing, page, lang) {
+    var instance = instances.get(browsing.instance);
+    var pageSize = config.bot.libraryPageSize;
+
+    if (!instance) {
+      return Promise.reject(new Error(lang.__('instanceNotFound') + ': ' + browsing.instance));
+    }
+
+    // the snapshot matches titles without case, accents and punctuation
+    var filters = _.assign({ limit: pageSize, offset: page * pageSize }, _.omit(browsing, 'instance'));
+
+    return Promise.all([app.library.list(instance, filters), instance.backend.profiles()])
+      .spread(function(result, profiles) {
+        var movies = result.movies;
+        var total = result.total;
+
+        if (!movies.length) {
+          var searched = browsing.search ? ': ' + app.escapeMarkdown(browsing.search) : '.';
+          throw new Error(lang.__('queryNoResults') + searched);
+        }
+
+        var name = instances.isMultiple() ? ' _' + instance.name + '_' : '';
+        var response = ['*' + lang.__('libraryFound') + '*' + name +
+          ' (' + (page * pageSize + 1) + '-' + (page * pageSize + movies.length) + ' / ' + total + ')\n'];
+
+        _.forEach(movies, function(n, key) {
+          var profile = _.find(profiles, { '_id': n.profile_id });
+          var year = n.info && n.info.year;
+
+          response.push(
+            '*' + (page * pageSize + key + 1) + '*) ' + app.getMovieLink(n) +
+            (year ? ' - _' + year + '_' : '') +
+            ' - _' + app.getLibraryStatus(n, lang) + '_' +
+            (profile ? ' - _' + profile.label + '_' : '')
+          );
+        });
+
+        // numbered buttons open the details of a movie, five on each row
+        var infoButtons = _.map(movies, function(n, key) {
+          return {
+            text: String(page * pageSize + key + 1),
+            callback_data: state.couchpotato.callback.LIBRARY_INFO + ':' + instance.name + ':' + n._id
+          };
+        });
+
+        var keyboard = [];
+        var action = state.couchpotato.callback.LIBRARY_PAGE + ':';
+        if (page > 0) {
+          keyboard.push({ text: '« ' + lang.__('previous'), callback_data: action + (page - 1) });
+        }
+        if ((page + 1) * pageSize < total) {
+          keyboard.push({ text: lang.__('next') + ' »', callback_data: action + (page + 1) });
+        }
+
+        return {
+          message: response.join('\n'),
+          keyboard: _.chunk(infoButtons, 5).concat(keyboard.length ? [keyboard] : [])
+        };
+      });
+  }
+
+  /*
+   * handle library status, what is wanted and on its way
+   */
+  app.router.command({
+    name: 'status',
+    description: 'command_status',
+    role: roles.VIEWER,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      return app.getLibraryMovies()
+        .then(function(movies) {
+          logger.info('user: %s, message: requested the library status', userId);
+
+          var counts = _.countBy(movies, 'status');
+          var response = ['*' + lang.__('libraryStatus') + ':*'];
+          response.push(_.map(['wanted', 'snatched', 'downloaded', 'done'], function(status) {
+            return lang.__('status_' + status) + ': ' + (counts[status] || 0);
+          }).join(', '));
+
+          response.push(app.getMovieSection('section_wanted', _.filter(movies, { status: 'wanted' }), lang));
+          response.push(app.getMovieSection('section_snatched', _.filter(movies, function(movie) {
+            return _.contains(['snatched', 'downloaded'], movie.status);
+          }), lang));
+
+          return app.sendMessage(chatId, _.compact(response).join('\n'));
+        })
+        .catch(function(err) {
+          return app.replyWithError(userId, err, chatId);
+        });
+    }
+  });
+
+  /*
+   * handle full search of movies
+   */
+  app.router.command({
+    name: 'wanted',
+    description: 'command_wanted',
+    role: roles.ADMIN,
+    args: [{ name: 'instance', label: 'arg_instance' }],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      var searched = args.instance ? _.compact([instances.get(args.instance)]) : instances.list();
+      if (!searched.length) {
+        return app.replyWithError(userId, new Error(lang.__('instanceNotFound') + ': ' + args.instance), chatId);
+      }
+
+      return Promise.all(_.map(searched, function(instance) {
+        return instance.backend.searchWanted();
+      }))
+        .then(function() {
+          var names = instances.isMultiple() ? ' (' + _.map(searched, 'name').join(', ') + ')' : '';
+          return app.sendMessage(chatId, lang.__('moviesWanted') + names);
+        }).catch(function(err) {
+          return app.replyWithError(userId, err, chatId);
+        });
+    }
+  });
+
+  app.getLibraryPage = getLibraryPage;
+};
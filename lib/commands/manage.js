@@ -0,0 +1,78 @@
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var state = require(__dirname + '/../../lib/state');
+
+/*
+ * `/refresh`, `/research`, `/profile`, `/ignore` and `/delete`, each lists the matching
+ * library movies to act on, the buttons are handled in lib/callbacks/manage.js
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var instances = app.instances;
+
+  _.forEach([
+    { name: 'refresh', action: 'REFRESH' },
+    { name: 'research', action: 'TRY_NEXT' },
+    { name: 'profile', action: 'CHANGE_PROFILE' },
+    { name: 'ignore', action: 'IGNORE' },
+    { name: 'delete', action: 'DELETE' }
+  ], function(command) {
+    app.router.command({
+      name: command.name,
+      description: 'command_' + command.name,
+      role: config.bot.manageRole,
+      args: [{ name: 'movieName', label: 'arg_movieName', required: true, rest: true }],
+      handler: function(msg, args) {
+        return listLibraryMovies(msg, args.movieName, state.manage.callback[command.action]);
+      }
+    });
+  });
+
+  /*
+   * list the library movies of every instance matching a name, each button runs the action on its movie
+   */
+  function listLibraryMovies(msg, movieName, action) {
+    var chatId = msg.chat.id;
+    var userId = msg.from.id;
+    var filters = { search: movieName, limit: config.bot.maxResults };
+    var lang = app.getLang(msg.from);
+
+    return Promise.all(_.map(instances.list(), function(instance) {
+      return instance.backend.list(filters).then(function(result) {
+        return _.map(result.movies, function(movie) {
+          return { instance: instance, movie: movie };
+        });
+      });
+    }))
+      .then(function(results) {
+        var found = _.flatten(results);
+        if (!found.length) {
+          throw new Error(lang.__('queryNoResults') + ': ' + app.escapeMarkdown(movieName));
+        }
+
+        var response = ['*' + lang.__('libraryFound') + ':*'];
+        var keyboard = [];
+        _.forEach(found, function(item, key) {
+          var n = item.movie;
+          var year = n.info && n.info.year;
+          var name = instances.isMultiple() ? ' (' + item.instance.name + ')' : '';
+          response.push('*' + (key + 1) + '*) ' + app.getMovieLink(n) + (year ? ' - _' + year + '_' : '') +
+            ' - _' + app.getLibraryStatus(n, lang) + '_' + name);
+          keyboard.push([{
+            text: (key + 1) + ') ' + n.title + name,
+            callback_data: action + ':' + item.instance.name + ':' + n._id
+          }]);
+        });
+
+        response.push(lang.__('selectFromMenu'));
+
+        return app.sendMessage(chatId, response.join('\n'), {
+          reply_markup: { inline_keyboard: keyboard }
+        });
+      })
+      .catch(function(err) {
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+};
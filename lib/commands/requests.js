@@ -0,0 +1,174 @@
+var _ = require('lodash');
+var moment = require('moment');
+
+var roles = require(__dirname + '/../../lib/roles');
+
+// the actions of a user's own `/history`, and how many entries it shows
+var REQUEST_ACTIONS = ['movie.request', 'request.approve', 'request.deny', 'movie.add'];
+var HISTORY_SIZE = 20;
+
+/*
+ * check if an audit entry is one `/history` shows for the filter
+ */
+function matchesHistory(entry, filter) {
+  if (filter.actions && !_.contains(filter.actions, entry.action)) {
+    return false;
+  }
+
+  // the user who acted, was acted on or filed the request
+  var people = _.compact([entry.actor, entry.target.type === 'user' && entry.target, entry.target.user]);
+  return !filter.user || _.some(people, function(person) {
+    return String(person.id) === filter.user || String(person.name).toLowerCase() === filter.user;
+  });
+}
+
+/*
+ * `/quota`, `/history` and `/requests`, the movie requests of users
+ */
+module.exports = function(app) {
+  var audit = app.audit;
+
+  /*
+   * the filter of `/history`, a user as `@name` or id and actions as `action:movie.add`
+   * or a group like `action:movie`, null when a token is neither
+   */
+  function parseHistoryFilter(input) {
+    var filter = { user: null, actions: null };
+
+    var invalid = _.some(input ? input.split(/\s+/) : [], function(token) {
+      var action = /^action:([\w.]+)$/i.exec(token);
+      if (!action) {
+        filter.user = token.replace(/^@/, '').toLowerCase();
+        return false;
+      }
+
+      var name = action[1].toLowerCase();
+      filter.actions = _.filter(audit.ACTIONS, function(known) {
+        return known === name || known.indexOf(name + '.') === 0;
+      });
+      return !filter.actions.length;
+    });
+
+    return invalid ? null : filter;
+  }
+
+  /*
+   * one line of `/history`, e.g. `15/05/2024 10:00 @admin revoked @requester`, the names
+   * of users, movies and chats are escaped for markdown
+   */
+  function formatHistory(entry, lang) {
+    var actor = '@' + app.escapeMarkdown(entry.actor.name);
+    var target = entry.target.type === 'user' ? '@' + app.escapeMarkdown(entry.target.name) :
+      entry.target.type === 'invite' ? '`' + entry.target.name + '`' : app.escapeMarkdown(entry.target.name);
+    var self = entry.target.type === 'user' && entry.target.id === entry.actor.id;
+    var phrase = 'action_' + entry.action.replace('.', '_');
+
+    var line = moment(entry.time).locale(lang.locale).format('L LT') + ' ' +
+      (self ? lang.__(phrase, actor) : lang.__(phrase, actor, target));
+
+    return entry.outcome === 'success' ? line : line + ' - _' + lang.__('outcome_' + entry.outcome) + '_';
+  }
+
+  /*
+   * handle quota command
+   */
+  app.router.command({
+    name: 'quota',
+    description: 'command_quota',
+    role: roles.REQUESTER,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var role = app.getRole(msg.from, msg.chat);
+      var lang = app.getLang(msg.from);
+
+      if (roles.atLeast(role, roles.ADMIN)) {
+        return app.sendMessage(chatId, lang.__('quotaExempt'));
+      }
+
+      var status = app.quotas.getStatus(userId, role, app.approvals.countPending(userId));
+      var limited = _.filter(app.quotas.PERIODS, function(period) { return status[period].limit; });
+
+      if (!limited.length) {
+        return app.sendMessage(chatId, lang.__('quotaUnlimited'));
+      }
+
+      var response = ['*' + lang.__('quotaLeft') + ':*'];
+      _.forEach(limited, function(period) {
+        response.push(lang.__('quotaPeriod_' + period, status[period].left, status[period].limit));
+      });
+
+      return app.sendMessage(chatId, response.join('\n'));
+    }
+  });
+
+  /*
+   * handle the history of requests, admins see the audit log of anyone and can filter it
+   */
+  app.router.command({
+    name: 'history',
+    description: 'command_history',
+    role: roles.REQUESTER,
+    args: [{ name: 'filter', label: 'arg_filter', rest: true }],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+      var isAdmin = roles.atLeast(app.getRole(msg.from), roles.ADMIN);
+
+      if (args.filter && !isAdmin) {
+        return app.replyWithError(userId, new Error(lang.__('historyOwn')), chatId);
+      }
+
+      var filter = isAdmin ? parseHistoryFilter(args.filter) : { user: String(userId), actions: REQUEST_ACTIONS };
+      if (!filter) {
+        return app.replyWithError(userId, new Error(lang.__('historyFilter', audit.ACTIONS.join(', '))), chatId);
+      }
+
+      return audit.find(function(entry) { return matchesHistory(entry, filter); }, HISTORY_SIZE)
+        .then(function(entries) {
+          if (!entries.length) {
+            return app.sendMessage(chatId, lang.__('noHistory'));
+          }
+
+          // the newest last, like a chat
+          var lines = _.map(entries.reverse(), function(entry) { return formatHistory(entry, lang); });
+          return app.sendMessage(chatId, ['*' + lang.__('history') + ':*'].concat(lines).join('\n'));
+        })
+        .catch(function(err) {
+          return app.replyWithError(userId, err, chatId);
+        });
+    }
+  });
+
+  /*
+   * handle pending movie requests
+   */
+  app.router.command({
+    name: 'requests',
+    description: 'command_requests',
+    role: roles.ADMIN,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var pending = app.approvals.pending();
+      var lang = app.getLang(msg.from);
+
+      if (!pending.length) {
+        return app.sendMessage(chatId, lang.__('noPendingRequests'));
+      }
+
+      var response = ['*' + lang.__('pendingRequests') + ':*'];
+      _.forEach(pending, function(request) {
+        response.push(app.formatRequest(request));
+      });
+
+      response.push(lang.__('selectFromMenu'));
+
+      return app.sendMessage(chatId, response.join('\n'), {
+        reply_markup: {
+          inline_keyboard: _.map(pending, function(request) { return app.getApprovalButtons(request, lang); })
+        }
+      });
+    }
+  });
+};
@@ -0,0 +1,331 @@
+var crypto = require('crypto');
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var state   = require(__dirname + '/../../lib/state');
+var logger  = require(__dirname + '/../../lib/logger');
+var roles   = require(__dirname + '/../../lib/roles');
+var metrics = require(__dirname + '/../../lib/metrics');
+var links   = require(__dirname + '/../../lib/links');
+
+/*
+ * a new id for the results of a search, their buttons carry it so the buttons of an
+ * earlier search can't pick from the later results
+ */
+function newSearchId() {
+  return crypto.randomBytes(3).toString('hex');
+}
+
+/*
+ * split `/q` input into the search text and its options
+ *
+ *   link           an imdb id, or an imdb, tmdb or letterboxd url, see lib/links.js
+ *   year           y:1979 or year:1979, or a year after the title that is dropped when no result has it
+ *   sort           relevance, titles matching the text first, or year, the newest first
+ */
+function parseSearchQuery(input) {
+  var search = { text: [], year: null, exactYear: false, sort: 'relevance', link: links.find(input), input: input };
+
+  if (search.link) {
+    search.text = search.link.title || '';
+    return search;
+  }
+
+  _.forEach(input.split(/\s+/), function(token) {
+    var option = /^(y|year|sort):(.+)$/i.exec(token);
+    if (!option) {
+      return token && search.text.push(token);
+    }
+
+    if (option[1].toLowerCase() === 'sort') {
+      search.sort = option[2].toLowerCase() === 'year' ? 'year' : 'relevance';
+    } else {
+      search.year = parseInt(option[2], 10) || null;
+      search.exactYear = true;
+    }
+  });
+
+  // a year after the title, but not a title that is a year like 1917
+  if (!search.year && search.text.length > 1 && /^(18|19|20)\d\d$/.test(_.last(search.text))) {
+    search.year = parseInt(search.text.pop(), 10);
+  }
+
+  search.text = search.text.join(' ');
+  return search;
+}
+
+/*
+ * find the movies of a search, ids are looked up and years filtered
+ */
+function findMovies(backend, search) {
+  if (search.link) {
+    return links.resolve(search.link).then(function(ids) {
+      return lookupMovie(backend, ids);
+    });
+  }
+
+  return backend.search(search.text).then(function(movies) {
+    var matching = !search.year ? movies : _.filter(movies, { year: search.year });
+
+    // the year after the title may be part of it, like in "blade runner 2049"
+    if (search.year && !search.exactYear && !matching.length) {
+      return backend.search(search.input);
+    }
+
+    return matching;
+  });
+}
+
+/*
+ * look a movie up by its imdb id, else its tmdb id, else search for its title
+ */
+function lookupMovie(backend, ids) {
+  return Promise.resolve(ids.imdb ? backend.lookup(ids.imdb) : [])
+    .then(function(movies) {
+      return movies.length || !ids.tmdb ? movies : backend.lookup(ids.tmdb);
+    })
+    .then(function(movies) {
+      if (movies.length || !ids.title) {
+        return movies;
+      }
+
+      // backends that can't look up tmdb ids search for the title in the url instead
+      return backend.search(ids.title).then(function(found) {
+        return !ids.tmdb ? found : _.filter(found, function(movie) { return movie.tmdb_id == ids.tmdb; });
+      });
+    });
+}
+
+/*
+ * order search results by relevance, titles that match the text come first, or by year
+ */
+function sortMovies(movies, search) {
+  if (search.sort === 'year') {
+    return _.sortBy(movies, function(movie) { return -(movie.year || 0); });
+  }
+
+  var text = (search.text || '').toLowerCase();
+  return _.sortBy(movies, function(movie) {
+    return (movie.original_title || '').toLowerCase() === text ? 0 : 1;
+  });
+}
+
+/*
+ * `/q` and `/info`, searching for movies to add
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var sessions = app.sessions;
+  var library = app.library;
+
+  /*
+  handle query command
+   */
+  app.router.command({
+    name: 'q',
+    aliases: ['query'],
+    description: 'command_q',
+    role: roles.REQUESTER,
+    args: [{ name: 'movieName', label: 'arg_movieName', rest: true }],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var movieName = args.movieName;
+      var lang = app.getLang(msg.from);
+
+      if (!app.checkQuota(msg.from, msg.chat)) {
+        return;
+      }
+
+      if (movieName) {
+        return handleMovieSearch(msg, movieName);
+      }
+
+      logger.info('user: %s message: entered movie query mode (state: %s)', userId, state.couchpotato.MOVIE_SEARCH);
+      sessions.set(chatId, userId, state.couchpotato.MOVIE_SEARCH);
+      return app.sendMessage(chatId, lang.__('moviesLookup'), {
+        reply_to_message_id: msg.message_id,
+        reply_markup: {
+          force_reply: true,
+          selective: true
+        }
+      });
+    }
+  });
+
+  /*
+   * the library snapshot to mark search results with, the search shows results without
+   * marks when the library can't be fetched
+   */
+  function getLibrarySnapshot(instance) {
+    return library.get(instance)
+      .catch(function(err) {
+        logger.warn('could not fetch the library to mark search results: %s', err.message);
+        return null;
+      });
+  }
+
+  function handleMovieSearch(msg, movieName) {
+    var chatId = msg.chat.id;
+    var userId = msg.from.id;
+    var lang = app.getLang(msg.from);
+    var instance = app.getUserInstance(msg.from);
+    var search = parseSearchQuery(movieName);
+
+    metrics.increment('cpbot_searches_total');
+
+    var found = findMovies(instance.backend, search);
+    var snapshot = getLibrarySnapshot(instance);
+
+    // a failed search still waits for the library, the search ends with everything it started
+    return Promise.all([found.catch(function(err) { return snapshot.thenThrow(err); }), snapshot])
+      .spread(function(movies, snapshot) {
+        if (!movies.length) {
+          sessions.set(chatId, userId, state.couchpotato.MOVIE_SEARCH);
+          throw new Error(lang.__('searchNoResults', movieName));
+        }
+        return [movies, snapshot];
+      })
+      .spread(function(movies, snapshot) {
+        logger.info('user: %s, message: requested to search for movie "%s"', userId, movieName);
+
+        var total = movies.length;
+        var movieList = [];
+        var message = ['*' + lang.__n('foundMovies', total) + ':*'];
+        var keyboardList = [];
+        var searchId = newSearchId();
+
+        movies = sortMovies(movies, search).slice(0, config.bot.maxResults);
+
+        _.forEach(movies, function(n, key) {
+
+          var id = key + 1;
+          var title = n.original_title;
+          var year = ('year' in n ? n.year : '');
+          var rating = ('rating' in n ? ('imdb' in n.rating ? n.rating.imdb[0] + '/10' : '') : '');
+          var movieId = ('imdb' in n ? n.imdb : n.tmdb_id);
+          var thumb = ('images' in n ? ('poster' in n.images ? n.images.poster[0] : '') : '');
+          var runtime = ('runtime' in n ? n.runtime : '');
+          var onIMDb = ('via_imdb' in n ? true : false);
+          var keyboardValue = title + (year ? ' - ' + year : '');
+          var link = (onIMDb ? 'http://imdb.com/title/' + movieId : 'https://www.themoviedb.org/movie/' + movieId);
+          var inLibrary = !!snapshot &&
+            !!library.lookup(snapshot, { imdb: n.imdb, tmdb_id: n.tmdb_id, title: title, year: n.year });
+          var buttonText = (inLibrary ? '✅ ' : '') + keyboardValue;
+
+          movieList.push({
+            id: id,
+            search: searchId,
+            title: title,
+            year: year,
+            rating: rating,
+            movie_id: movieId,
+            imdb: n.imdb,
+            tmdb_id: n.tmdb_id,
+            thumb: thumb,
+            plot: n.plot,
+            genres: n.genres,
+            via_imdb: onIMDb,
+            in_library: inLibrary,
+            keyboard_value: keyboardValue
+          });
+
+          message.push(
+            '*' + id + '*) [' + app.escapeMarkdown(title, '[') + '](' + link + ')' +
+            (year ? ' - _' + year + '_' : '') +
+            (rating ? ' - _' + rating + '_' : '') +
+            (runtime ? ' - _' + runtime + 'm_' : '') +
+            (inLibrary ? ' - ✅ _' + lang.__('inLibrary') + '_' : '')
+          );
+
+          // One movie per row of the inline keyboard, with a button for its details
+          keyboardList.push([
+            { text: buttonText, callback_data: state.couchpotato.callback.MOVIE + ':' + searchId + ':' + id },
+            { text: 'ℹ', callback_data: state.couchpotato.callback.INFO + ':' + searchId + ':' + id }
+          ]);
+        });
+
+        if (total > movies.length) {
+          message.push('\n' + lang.__('moreResults', movies.length));
+        }
+        message.push(lang.__('selectFromMenu'));
+
+        sessions.set(chatId, userId, state.couchpotato.MOVIE, { movieList: movieList });
+
+        return {
+          message: message.join('\n'),
+          keyboard: keyboardList,
+          searchId: searchId,
+          // a link to a single movie goes straight on to picking its profile
+          direct: !!search.link && movieList.length === 1
+        };
+      })
+      .then(function(response) {
+        return app.sendMessage(chatId, response.message, {
+          reply_to_message_id: msg.message_id,
+          reply_markup: { inline_keyboard: response.keyboard }
+        }).then(function(sent) {
+          if (response.direct && sent) {
+            var query = { from: msg.from, message: { message_id: sent.message_id, chat: msg.chat } };
+            return app.handleMovie(query, response.searchId, 1);
+          }
+        });
+      })
+      .catch(function(err) {
+        return app.replyWithError(userId, err, chatId);
+      });
+  }
+
+  /*
+   * handle movie details
+   */
+  app.router.command({
+    name: 'info',
+    description: 'command_info',
+    role: roles.VIEWER,
+    args: [{ name: 'movieName', label: 'arg_movieName', required: true, rest: true }],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      var instance = app.getUserInstance(msg.from);
+
+      metrics.increment('cpbot_searches_total');
+
+      return instance.backend.search(args.movieName)
+        .then(function(movies) {
+          var n = _.first(movies);
+          if (!n) {
+            throw new Error(lang.__('movieNotFound') + ' "' + args.movieName + '".');
+          }
+
+          var movie = {
+            id: 1,
+            search: newSearchId(),
+            title: n.original_title,
+            year: n.year,
+            movie_id: n.imdb || n.tmdb_id,
+            imdb: n.imdb,
+            tmdb_id: n.tmdb_id,
+            thumb: (n.images && n.images.poster) ? n.images.poster[0] : '',
+            plot: n.plot,
+            genres: n.genres,
+            keyboard_value: n.original_title + (n.year ? ' - ' + n.year : '')
+          };
+
+          // the card's add button picks the movie from the session like a search result
+          sessions.set(chatId, userId, state.couchpotato.MOVIE, { movieList: [movie] });
+
+          return library.find(instance, movie).then(function(libraryMovie) {
+            return app.sendMovieCard(chatId, msg.from, movie, instance, libraryMovie);
+          });
+        })
+        .catch(function(err) {
+          return app.replyWithError(userId, err, chatId);
+        });
+    }
+  });
+
+  app.handleMovieSearch = handleMovieSearch;
+};
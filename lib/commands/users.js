@@ -0,0 +1,237 @@
+var _ = require('lodash');
+
+var state   = require(__dirname + '/../../lib/state');
+var logger  = require(__dirname + '/../../lib/logger');
+var roles   = require(__dirname + '/../../lib/roles');
+var targets = require(__dirname + '/../../lib/targets');
+
+/*
+ * `/users`, `/revoke`, `/unrevoke`, `/promote`, `/demote`, `/authchat` and `/revokechat`,
+ * the admins managing who can use the bot
+ */
+module.exports = function(app) {
+  var router = app.router;
+  var config = app.config;
+  var acl = app.acl;
+  var sessions = app.sessions;
+
+  /*
+   * handle users
+   */
+  router.command({
+    name: 'users',
+    description: 'command_users',
+    role: roles.ADMIN,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var lang = app.getLang(msg.from);
+
+      if (!acl.allowedUsers.length && !acl.allowedChats.length) {
+        return app.sendMessage(chatId, lang.__('noAllowedUsers'));
+      }
+
+      var response = ['*' + lang.__('allowedUsers') + ':*'];
+      _.forEach(acl.allowedUsers, function(user, key) {
+        var role = lang.__('role_' + app.getRole(user));
+        response.push('*' + (key + 1) + '*) ' + app.escapeMarkdown(app.getTelegramName(user)) + ' - _' + role + '_');
+      });
+
+      if (acl.allowedChats.length) {
+        response.push('\n*' + lang.__('allowedChats') + ':*');
+        _.forEach(acl.allowedChats, function(chat, key) {
+          response.push('*' + (key + 1) + '*) ' + app.escapeMarkdown(chat.title) + ' - _' +
+            lang.__('role_' + chat.role) + '_');
+        });
+      }
+
+      return app.sendMessage(chatId, response.join('\n'));
+    }
+  });
+
+  /*
+   * handle user access revocation
+   */
+  router.command({
+    name: 'revoke',
+    description: 'command_revoke',
+    role: roles.ADMIN,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      // admins can only revoke users with a lower role than their own
+      var users = _.filter(acl.allowedUsers, function(user) { return app.canManage(msg.from, user); });
+      if (!users.length) {
+        return app.sendMessage(chatId, lang.__('noAllowedUsers'));
+      }
+
+      var response = ['*' + lang.__('allowedUsers') + ':*'];
+      _.forEach(users, function(user, key) {
+        response.push('*' + (key + 1) + '*) ' + app.escapeMarkdown(app.getTelegramName(user)));
+      });
+
+      response.push(lang.__('selectFromMenu'));
+
+      sessions.set(chatId, userId, state.admin.REVOKE);
+
+      return app.sendMessage(chatId, response.join('\n'), {
+        reply_markup: { inline_keyboard: app.getUserKeyboard(users, state.admin.callback.REVOKE) }
+      });
+    }
+  });
+
+  /*
+   * handle user access unrevocation
+   */
+  router.command({
+    name: 'unrevoke',
+    description: 'command_unrevoke',
+    role: roles.ADMIN,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      if (!acl.revokedUsers.length) {
+        return app.sendMessage(chatId, lang.__('noRevokedUsers'));
+      }
+
+      var response = ['*' + lang.__('revokedUsers') + ':*'];
+      _.forEach(acl.revokedUsers, function(user, key) {
+        response.push('*' + (key + 1) + '*) ' + app.escapeMarkdown(app.getTelegramName(user)));
+      });
+
+      response.push(lang.__('selectFromMenu'));
+
+      sessions.set(chatId, userId, state.admin.UNREVOKE);
+
+      return app.sendMessage(chatId, response.join('\n'), {
+        reply_markup: { inline_keyboard: app.getUserKeyboard(acl.revokedUsers, state.admin.callback.UNREVOKE) }
+      });
+    }
+  });
+
+  /*
+   * handle user promotion
+   */
+  router.command({
+    name: 'promote',
+    description: 'command_promote',
+    role: roles.ADMIN,
+    handler: function(msg) {
+      return listRoleChanges(msg, state.admin.PROMOTE, state.admin.callback.PROMOTE, 1);
+    }
+  });
+
+  /*
+   * handle user demotion
+   */
+  router.command({
+    name: 'demote',
+    description: 'command_demote',
+    role: roles.ADMIN,
+    handler: function(msg) {
+      return listRoleChanges(msg, state.admin.DEMOTE, state.admin.callback.DEMOTE, -1);
+    }
+  });
+
+  /*
+   * list the users whose role can be moved up or down a step by the admin
+   */
+  function listRoleChanges(msg, nextState, action, step) {
+    var chatId = msg.chat.id;
+    var userId = msg.from.id;
+    var lang = app.getLang(msg.from);
+
+    var users = _.filter(acl.allowedUsers, function(user) {
+      var role = app.getNextRole(user, step);
+      return role && app.canManage(msg.from, user) && roles.atLeast(app.getRole(msg.from), role);
+    });
+
+    if (!users.length) {
+      return app.sendMessage(chatId, lang.__('noUsersToChange'));
+    }
+
+    var response = ['*' + lang.__('allowedUsers') + ':*'];
+    _.forEach(users, function(user, key) {
+      response.push('*' + (key + 1) + '*) ' + app.escapeMarkdown(app.getTelegramName(user)) +
+        ' - _' + lang.__('role_' + user.role) + '_ → _' + lang.__('role_' + app.getNextRole(user, step)) + '_');
+    });
+
+    response.push(lang.__('selectFromMenu'));
+
+    sessions.set(chatId, userId, nextState);
+
+    return app.sendMessage(chatId, response.join('\n'), {
+      reply_markup: { inline_keyboard: app.getUserKeyboard(users, action) }
+    });
+  }
+
+  /*
+   * handle group chat authorization, members of the chat without a role of their own get the role of the chat
+   */
+  router.command({
+    name: 'authchat',
+    description: 'command_authchat',
+    role: roles.ADMIN,
+    args: [{ name: 'role', label: 'arg_role' }],
+    handler: function(msg, args) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var role = args.role || config.bot.defaultRole;
+      var lang = app.getLang(msg.from);
+
+      if (!app.isGroup(msg.chat)) {
+        return app.replyWithError(userId, new Error(lang.__('groupOnly')), chatId);
+      }
+
+      if (!_.contains([roles.VIEWER, roles.REQUESTER], role)) {
+        return app.replyWithError(userId, new Error(lang.__('chatRoles')), chatId);
+      }
+
+      var chat = _.find(acl.allowedChats, { 'id': chatId });
+      if (chat) {
+        chat.role = role;
+      } else {
+        acl.allowedChats.push({ id: chatId, title: msg.chat.title, role: role });
+      }
+      app.updateACL();
+
+      logger.info('user: %s, message: authorized chat %s with the role %s', userId, chatId, role);
+      app.audit.record(msg.from, 'chat.authorize', targets.chat(msg.chat));
+
+      return app.sendMessage(chatId, lang.__('chatAuthorized') + ' _' + lang.__('role_' + role) + '_.');
+    }
+  });
+
+  /*
+   * handle group chat revocation, members keep the roles of their own
+   */
+  router.command({
+    name: 'revokechat',
+    description: 'command_revokechat',
+    role: roles.ADMIN,
+    handler: function(msg) {
+      var chatId = msg.chat.id;
+      var userId = msg.from.id;
+      var lang = app.getLang(msg.from);
+
+      if (!app.isGroup(msg.chat)) {
+        return app.replyWithError(userId, new Error(lang.__('groupOnly')), chatId);
+      }
+
+      if (!_.some(acl.allowedChats, { 'id': chatId })) {
+        return app.sendMessage(chatId, lang.__('chatNotAuthorized'));
+      }
+
+      _.remove(acl.allowedChats, { 'id': chatId });
+      app.updateACL();
+
+      logger.info('user: %s, message: revoked chat %s', userId, chatId);
+      app.audit.record(msg.from, 'chat.revoke', targets.chat(msg.chat));
+
+      return app.sendMessage(chatId, lang.__('chatRevoked'));
+    }
+  });
+};
@@ -1,45 +1,24 @@
-var fs = require('fs-extra');
-
+var _ = require('lodash');
 var logger = require(__dirname + '/../lib/logger');
-var configFile = __dirname + '/../config.json';
-
-var config;
-
-try {
-  logger.info('config file found %s', configFile);
-  config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-} catch (err) {
-
-  // JSON file is not correct
-  if (err.name === 'SyntaxError') {
-    throw new Error('Invalid configuration file, please make sure the file is in JSON format.');
-  }
-
-  // config file not found
-  if (err.code === 'ENOENT') {
-    logger.info('config file not found');
-    config = {};
-    config.telegram = {};
-    config.bot = {};
-    config.couchpotato = {};
-  }
-}
+var settings = require(__dirname + '/../lib/settings');
 
 /*
- * set up config options, they can be passed in thru the enviroment
+ * load the configuration from the config file and the enviroment, the bot doesn't
+ * start with an invalid configuration, every problem is reported at once
  */
-config.telegram.botToken = config.telegram.botToken || process.env.TELEGRAM_BOTTOKEN;
+var configFile = settings.getFile();
+var result = settings.load(configFile);
 
-config.bot.password = config.bot.password || process.env.BOT_PASSWORD || '';
-config.bot.owner = config.bot.owner || process.env.BOT_OWNER || 0;
-config.bot.maxResults = config.bot.maxResults || process.env.BOT_MAXRESULTS || 15;
+logger.info('config file %s', configFile);
 
-config.couchpotato.hostname = config.couchpotato.hostname || process.env.COUCHPOTATO_HOST || 'localhost';
-config.couchpotato.apiKey = config.couchpotato.apiKey || process.env.COUCHPOTATO_APIKEY;
-config.couchpotato.port = config.couchpotato.port || process.env.COUCHPOTATO_PORT || 5050;
-config.couchpotato.urlBase = config.couchpotato.urlBase || process.env.COUCHPOTATO_URLBASE;
-config.couchpotato.ssl = config.couchpotato.ssl || process.env.COUCHPOTATO_SSL || false;
-config.couchpotato.username = config.couchpotato.username || process.env.COUCHPOTATO_USERNAME;
-config.couchpotato.password = config.couchpotato.password || process.env.COUCHPOTATO_PASSWORD;
+_.forEach(result.warnings, function(warning) {
+  logger.warn('config: %s', warning);
+});
+
+if (result.errors.length) {
+  var report = settings.formatErrors(configFile, result.errors);
+  logger.error(report);
+  throw new Error(report);
+}
 
-module.exports = config;
+module.exports = result.config;
@@ -0,0 +1,130 @@
+var _ = require('lodash');
+var moment = require('moment');
+var storage = require(__dirname + '/../lib/storage');
+var config = require(__dirname + '/../lib/config');
+
+/*
+ * The library as it was at the last digest, `{ key: { title, status } }`, and the users
+ * who get the digest. Changes between two digests are found by comparing the library
+ * with this snapshot, so movies added outside the bot are reported too.
+ */
+var digest = storage.load('digest', { 'lastSent': null, 'snapshot': null, 'subscribers': [] });
+
+var DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/*
+ * save the digest file
+ */
+function save() {
+  storage.save('digest', digest);
+}
+
+/*
+ * the next time the digest is due after `now`, at `digest.time` every day or every `digest.day`
+ */
+function getNextRun(now) {
+  var time = config.digest.time.split(':');
+  var next = moment(now).hours(parseInt(time[0], 10)).minutes(parseInt(time[1], 10)).startOf('minute');
+
+  if (config.digest.schedule === 'weekly') {
+    next.isoWeekday(DAYS.indexOf(config.digest.day) + 1);
+  }
+
+  while (!next.isAfter(now)) {
+    next.add(1, config.digest.schedule === 'weekly' ? 'weeks' : 'days');
+  }
+
+  return next;
+}
+
+/*
+ * check if there is a snapshot to compare the library with
+ */
+function hasSnapshot() {
+  return !!digest.snapshot;
+}
+
+/*
+ * Compare the library, `[{ key, title, status }]`, with the snapshot and keep it as the new one.
+ * Returns the movies added, snatched and completed since, and the time of the last digest.
+ */
+function update(movies) {
+  var previous = digest.snapshot || {};
+  var since = digest.lastSent;
+  var changes = { since: since, added: [], snatched: [], completed: [] };
+
+  _.forEach(movies, function(movie) {
+    var before = previous[movie.key];
+
+    if (!before) {
+      changes.added.push(movie);
+    }
+
+    if (_.contains(['snatched', 'downloaded'], movie.status) && (!before || before.status === 'wanted')) {
+      changes.snatched.push(movie);
+    }
+
+    if (movie.status === 'done' && (!before || before.status !== 'done')) {
+      changes.completed.push(movie);
+    }
+  });
+
+  digest.snapshot = _.zipObject(_.map(movies, function(movie) {
+    return [movie.key, { title: movie.title, status: movie.status }];
+  }));
+  digest.lastSent = Date.now();
+  save();
+
+  return changes;
+}
+
+/*
+ * the users who asked for the digest
+ */
+function getSubscribers() {
+  return digest.subscribers;
+}
+
+/*
+ * check if a user gets the digest
+ */
+function isSubscribed(userId) {
+  return _.contains(digest.subscribers, userId);
+}
+
+/*
+ * send the digest to a user too, returns false when they already get it
+ */
+function subscribe(userId) {
+  if (isSubscribed(userId)) {
+    return false;
+  }
+
+  digest.subscribers.push(userId);
+  save();
+  return true;
+}
+
+/*
+ * stop sending the digest to a user, returns false when they didn't get it
+ */
+function unsubscribe(userId) {
+  if (!isSubscribed(userId)) {
+    return false;
+  }
+
+  _.pull(digest.subscribers, userId);
+  save();
+  return true;
+}
+
+module.exports = {
+  DAYS: DAYS,
+  getNextRun: getNextRun,
+  hasSnapshot: hasSnapshot,
+  update: update,
+  getSubscribers: getSubscribers,
+  isSubscribed: isSubscribed,
+  subscribe: subscribe,
+  unsubscribe: unsubscribe
+};
@@ -0,0 +1,67 @@
+var _ = require('lodash');
+var config = require(__dirname + '/../lib/config');
+var metrics = require(__dirname + '/../lib/metrics');
+var Breaker = require(__dirname + '/../lib/breaker');
+
+var backends = {
+  couchpotato: require(__dirname + '/../lib/backends/couchpotato'),
+  radarr: require(__dirname + '/../lib/backends/radarr')
+};
+
+// the backend interface, every call is timed and goes through the breaker of its instance
+var METHODS = [
+  'search', 'lookup', 'list', 'get', 'profiles', 'add', 'searchWanted', 'refresh', 'tryNext',
+  'setProfile', 'ignoreRelease', 'remove', 'ping'
+];
+
+// the calls that only read, they can be sent again when it's unknown whether they got through
+var READS = ['search', 'lookup', 'list', 'get', 'profiles', 'ping'];
+
+// the names users see
+var LABELS = { couchpotato: 'CouchPotato', radarr: 'Radarr' };
+
+/*
+ * one backend per configured instance, in the order of the config file
+ */
+var instances = _.map(config.couchpotato.instances, function(options) {
+  if (!backends[options.backend]) {
+    throw new Error('Unknown backend "' + options.backend + '" for instance ' + options.name + '.');
+  }
+
+  var breaker = new Breaker(options.name);
+
+  return {
+    name: options.name,
+    label: LABELS[options.backend],
+    breaker: breaker,
+    backend: breaker.wrap(metrics.instrument(options.name, new backends[options.backend](options), METHODS), METHODS,
+      READS)
+  };
+});
+
+/*
+ * get an instance by its name
+ */
+function get(name) {
+  return _.find(instances, { 'name': name });
+}
+
+/*
+ * the instance movies of a user are added to without asking, a user default wins over
+ * a role default, undefined when there are several instances and neither is set
+ */
+function getDefault(userId, role) {
+  var name = config.couchpotato.defaults.users[userId] || config.couchpotato.defaults.roles[role];
+  if (name) {
+    return get(name);
+  }
+
+  return instances.length === 1 ? instances[0] : undefined;
+}
+
+module.exports = {
+  list: function() { return instances; },
+  isMultiple: function() { return instances.length > 1; },
+  get: get,
+  getDefault: getDefault
+};
@@ -0,0 +1,147 @@
+var _ = require('lodash');
+var crypto = require('crypto');
+var storage = require(__dirname + '/../lib/storage');
+
+/*
+ * The ways in besides the password: invite codes made by admins and requests for access
+ * waiting for the owner. A code has a role, a number of uses and an optional expiry:
+ *
+ *   { code: 'K7QX2M9P', role: 'viewer', uses: 5, used: [12345], expires: 1718000000000, createdBy: 1 }
+ */
+var invites = storage.load('invites', { 'nextId': 1, 'codes': [], 'requests': [] });
+
+// no 0/O or 1/I, codes are typed in by hand
+var ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+var CODE_LENGTH = 8;
+
+/*
+ * save the invites file
+ */
+function save() {
+  storage.save('invites', invites);
+}
+
+/*
+ * a random code, the alphabet divides 256 so every letter is as likely
+ */
+function generateCode() {
+  return _.map(crypto.randomBytes(CODE_LENGTH), function(byte) {
+    return ALPHABET[byte % ALPHABET.length];
+  }).join('');
+}
+
+/*
+ * check if a code can still be used
+ */
+function isActive(invite) {
+  return invite.used.length < invite.uses && (!invite.expires || invite.expires > Date.now());
+}
+
+/*
+ * make a new code
+ */
+function create(role, uses, expires, createdBy) {
+  var invite = {
+    'code': generateCode(),
+    'role': role,
+    'uses': uses,
+    'used': [],
+    'expires': expires || null,
+    'createdBy': createdBy,
+    'created': Date.now()
+  };
+
+  invites.codes.push(invite);
+  save();
+  return invite;
+}
+
+/*
+ * the active code, codes are not case sensitive
+ */
+function get(code) {
+  var invite = _.find(invites.codes, { 'code': String(code).toUpperCase() });
+  return invite && isActive(invite) ? invite : undefined;
+}
+
+/*
+ * the codes that can still be used, used up and expired ones are dropped
+ */
+function list() {
+  var active = _.filter(invites.codes, isActive);
+  if (active.length !== invites.codes.length) {
+    invites.codes = active;
+    save();
+  }
+
+  return active;
+}
+
+/*
+ * use a code for a user, returns the invite or undefined when the code can't be used
+ */
+function redeem(code, userId) {
+  var invite = get(code);
+  if (!invite) {
+    return undefined;
+  }
+
+  invite.used.push(userId);
+  save();
+  return invite;
+}
+
+/*
+ * stop a code from being used, returns the invite or undefined when there was none
+ */
+function remove(code) {
+  var invite = _.find(invites.codes, { 'code': String(code).toUpperCase() });
+  if (invite) {
+    _.pull(invites.codes, invite);
+    save();
+  }
+
+  return invite;
+}
+
+/*
+ * file a request for access by a user
+ */
+function addRequest(user, chatId) {
+  var request = { 'id': invites.nextId++, 'user': user, 'chatId': chatId, 'created': Date.now() };
+
+  invites.requests.push(request);
+  save();
+  return request;
+}
+
+/*
+ * the request for access of a user, or undefined
+ */
+function findRequest(userId) {
+  return _.find(invites.requests, function(request) { return request.user.id === userId; });
+}
+
+/*
+ * take a request off the list once it has been approved or denied, returns the request
+ */
+function removeRequest(id) {
+  var request = _.find(invites.requests, { 'id': parseInt(id, 10) });
+  if (request) {
+    _.pull(invites.requests, request);
+    save();
+  }
+
+  return request;
+}
+
+module.exports = {
+  create: create,
+  get: get,
+  list: list,
+  redeem: redeem,
+  remove: remove,
+  addRequest: addRequest,
+  findRequest: findRequest,
+  removeRequest: removeRequest
+};
@@ -1,11 +1,103 @@
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var _ = require('lodash');
 var i18n = require('i18n'); // https://www.npmjs.com/package/i18n
 
+var DIRECTORY = __dirname + '/../locales';
+
+// the language of phrases missing in the other locales
+var DEFAULT_LOCALE = 'en';
+
+var options = {
+  locales: getLocales(),
+  directory: DIRECTORY,
+  defaultLocale: DEFAULT_LOCALE,
+  // the locale files are watched, a missing key must not rewrite them
+  updateFiles: false
+};
+
+/*
+ * every locale with a file in the locales directory, e.g. `de` for `locales/de.json`
+ */
+function getLocales() {
+  return _.map(_.filter(fs.readdirSync(DIRECTORY), function(file) {
+    return path.extname(file) === '.json';
+  }), function(file) {
+    return path.basename(file, '.json');
+  });
+}
+
 /*
  * set up multilingual support
  */
-i18n.configure({
-    locales: ['en'],
-    directory: __dirname + '/../locales'
-});
+i18n.configure(options);
+
+/*
+ * read the locale files again after they changed
+ */
+i18n.reload = function() {
+  options.locales = getLocales();
+  i18n.configure(options);
+};
+
+/*
+ * the locale files, e.g. `locales/en.json`
+ */
+i18n.getFiles = function() {
+  return options.locales.map(function(locale) {
+    return options.directory + '/' + locale + '.json';
+  });
+};
+
+/*
+ * the locales there are files for, e.g. `['de', 'en']`
+ */
+i18n.getLocales = function() {
+  return options.locales;
+};
+
+/*
+ * a phrase of a locale, phrases missing in the locale come from the default locale
+ */
+function getPhrase(locale, key) {
+  var catalog = i18n.getCatalog(locale) || {};
+  return _.has(catalog, key) ? catalog[key] : (i18n.getCatalog(DEFAULT_LOCALE) || {})[key];
+}
+
+/*
+ * Translations into one locale, unknown locales get the default one:
+ *
+ *   var lang = i18n.forLocale('de');
+ *   lang.__('quotaPeriod_day', 1, 3);    // "Heute: 1 von 3"
+ *   lang.__n('foundMovies', 2);          // "2 Filme gefunden"
+ *
+ * Plural phrases have a form for every plural category of the language, e.g.
+ * `{ "one": "%d movie", "other": "%d movies" }`, the count comes first in the arguments.
+ */
+i18n.forLocale = function(locale) {
+  locale = _.contains(options.locales, locale) ? locale : DEFAULT_LOCALE;
+  var plurals = new Intl.PluralRules(locale);
+
+  return {
+    locale: locale,
+
+    __: function(key) {
+      var phrase = getPhrase(locale, key);
+      if (!_.isString(phrase)) {
+        return key;
+      }
+
+      return arguments.length > 1 ? util.format.apply(util, [phrase].concat(_.rest(arguments))) : phrase;
+    },
+
+    __n: function(key, count) {
+      var phrase = getPhrase(locale, key) || {};
+      var form = phrase[plurals.select(count)] || phrase.other || key;
+
+      return util.format.apply(util, [form, count].concat(_.drop(arguments, 2)));
+    }
+  };
+};
 
 module.exports = i18n;
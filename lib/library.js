@@ -0,0 +1,140 @@
+var _ = require('lodash');
+var Promise = require('bluebird');
+var logger = require(__dirname + '/../lib/logger');
+var listing = require(__dirname + '/../lib/listing');
+
+/*
+ * A snapshot of the library of every instance, so checking a movie or searching the
+ * library doesn't fetch thousands of movies each time. A snapshot is fetched when it is
+ * first needed, refreshed in the background every `couchpotato.libraryRefresh` seconds
+ * and thrown away when the bot changes the library:
+ *
+ *   {
+ *     movies: [...],                                  // as the backend lists them
+ *     ids: { 'tt0078748': movie, '348': movie },      // by imdb and tmdb id
+ *     titles: { 'alien': [movie] },                   // by normalized title
+ *     fetchedAt: 1715767200000
+ *   }
+ */
+var snapshots = {};
+
+// the fetch in progress for an instance, callers share it
+var fetching = {};
+
+/*
+ * a snapshot of the movies with their ids and titles indexed
+ */
+function index(movies) {
+  var snapshot = { movies: movies, ids: {}, titles: {}, fetchedAt: Date.now() };
+
+  _.forEach(movies, function(movie) {
+    var info = movie.info || {};
+    _.forEach(_.compact([info.imdb, info.tmdb_id]), function(id) {
+      snapshot.ids[String(id)] = movie;
+    });
+
+    var title = listing.normalize(movie.title || info.original_title);
+    (snapshot.titles[title] = snapshot.titles[title] || []).push(movie);
+  });
+
+  return snapshot;
+}
+
+/*
+ * the snapshot of an instance, fetched when there is none yet
+ */
+function get(instance) {
+  return snapshots[instance.name] ? Promise.resolve(snapshots[instance.name]) : refresh(instance);
+}
+
+/*
+ * fetch the library of an instance again, a snapshot that is thrown away while it is
+ * fetched isn't kept
+ */
+function refresh(instance) {
+  var name = instance.name;
+  if (fetching[name]) {
+    return fetching[name];
+  }
+
+  var started = Date.now();
+  var fetch = fetching[name] = instance.backend.list()
+    .then(function(result) {
+      var snapshot = index(result.movies);
+      if (fetching[name] === fetch) {
+        snapshots[name] = snapshot;
+        logger.debug('fetched the library of %s, %s movies in %sms', name, snapshot.movies.length,
+          Date.now() - started);
+      }
+      return snapshot;
+    })
+    .finally(function() {
+      if (fetching[name] === fetch) {
+        delete fetching[name];
+      }
+    });
+
+  return fetch;
+}
+
+/*
+ * refresh every instance, a failed refresh keeps the snapshot there is
+ */
+function refreshAll(instances) {
+  return Promise.all(_.map(instances, function(instance) {
+    return refresh(instance).catch(function(err) {
+      logger.warn('could not refresh the library of %s: %s', instance.name, err.message || err);
+    });
+  }));
+}
+
+/*
+ * the library of an instance has changed, it is fetched again when it is next needed
+ */
+function invalidate(instance) {
+  delete snapshots[instance.name];
+  delete fetching[instance.name];
+}
+
+/*
+ * the movie of a snapshot matching a search result `{ imdb, tmdb_id, title, year }`, by its
+ * ids or else by its title and year, undefined when it isn't there
+ */
+function lookup(snapshot, movie) {
+  var id = _.find(_.compact([movie.imdb, movie.tmdb_id]), function(n) { return _.has(snapshot.ids, String(n)); });
+  if (id) {
+    return snapshot.ids[String(id)];
+  }
+
+  return movie.year ? _.find(snapshot.titles[listing.normalize(movie.title)], function(item) {
+    return item.info && item.info.year == movie.year;
+  }) : undefined;
+}
+
+/*
+ * the library movie of a search result in an instance
+ */
+function find(instance, movie) {
+  return get(instance).then(function(snapshot) {
+    return lookup(snapshot, movie);
+  });
+}
+
+/*
+ * the library movies matching the filters of a backend list, `{ movies, total }`
+ */
+function list(instance, filters) {
+  return get(instance).then(function(snapshot) {
+    return listing.filter(snapshot.movies, filters);
+  });
+}
+
+module.exports = {
+  get: get,
+  refresh: refresh,
+  refreshAll: refreshAll,
+  invalidate: invalidate,
+  lookup: lookup,
+  find: find,
+  list: list
+};
@@ -0,0 +1,84 @@
+var _ = require('lodash');
+var Promise = require('bluebird');
+var request = Promise.promisify(require('request'));
+var logger = require(__dirname + '/../lib/logger');
+
+/*
+ * Movie links shared from IMDb, TMDb and Letterboxd, and bare IMDb ids:
+ *
+ *   links.find('look https://www.imdb.com/title/tt0078748/')   // { site: 'imdb', id: 'tt0078748' }
+ *   links.find('https://www.themoviedb.org/movie/348-alien')   // { site: 'tmdb', id: '348', title: 'alien' }
+ *   links.find('https://letterboxd.com/film/alien/')           // { site: 'letterboxd', url, title: 'alien' }
+ *
+ * Letterboxd has no ids of its own, its film pages link to IMDb and TMDb.
+ */
+var PATTERNS = {
+  imdb: /(?:imdb\.com\/(?:[a-z]{2}\/)?title\/|^|\s)(tt\d{7,})\b/i,
+  tmdb: /themoviedb\.org\/movie\/(\d+)(?:-([\w-]+))?/i,
+  letterboxd: /https?:\/\/(?:(?:www\.)?letterboxd\.com\/film\/([\w-]+)|boxd\.it\/\w+)\/?/i
+};
+
+// letterboxd pages are fetched while the user waits
+var TIMEOUT = 10000;
+
+/*
+ * the first movie link in a text, undefined when there is none
+ */
+function find(text) {
+  var imdb = PATTERNS.imdb.exec(text || '');
+  if (imdb) {
+    return { site: 'imdb', id: imdb[1].toLowerCase() };
+  }
+
+  var tmdb = PATTERNS.tmdb.exec(text || '');
+  if (tmdb) {
+    return { site: 'tmdb', id: tmdb[1], title: toTitle(tmdb[2]) };
+  }
+
+  var letterboxd = PATTERNS.letterboxd.exec(text || '');
+  if (letterboxd) {
+    return { site: 'letterboxd', url: letterboxd[0], title: toTitle(letterboxd[1]) };
+  }
+}
+
+/*
+ * the ids of a link as `{ imdb, tmdb, title }`, a letterboxd page that can't be fetched
+ * leaves just the title from its url
+ */
+function resolve(link) {
+  if (link.site === 'imdb') {
+    return Promise.resolve({ imdb: link.id, tmdb: null, title: null });
+  }
+
+  if (link.site === 'tmdb') {
+    return Promise.resolve({ imdb: null, tmdb: link.id, title: link.title });
+  }
+
+  return request({ url: link.url, timeout: TIMEOUT })
+    .spread(function(response, body) {
+      if (response.statusCode >= 400) {
+        throw new Error('status ' + response.statusCode);
+      }
+
+      var imdb = /imdb\.com\/title\/(tt\d+)/i.exec(body);
+      var tmdb = /themoviedb\.org\/movie\/(\d+)/i.exec(body) || /data-tmdb-id="(\d+)"/i.exec(body);
+
+      return { imdb: imdb ? imdb[1].toLowerCase() : null, tmdb: tmdb ? tmdb[1] : null, title: link.title };
+    })
+    .catch(function(err) {
+      logger.warn('could not fetch the letterboxd page %s: %s', link.url, err.message);
+      return { imdb: null, tmdb: null, title: link.title };
+    });
+}
+
+/*
+ * the title in the slug of a url, e.g. `alien` for `.../film/alien/`
+ */
+function toTitle(slug) {
+  return slug ? _.trim(slug.replace(/-\d{4}$/, '').replace(/-/g, ' ')) : null;
+}
+
+module.exports = {
+  find: find,
+  resolve: resolve
+};
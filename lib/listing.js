@@ -0,0 +1,57 @@
+var _ = require('lodash');
+
+/*
+ * Filter and page library movies like the media.list call of CouchPotato, for the
+ * backends and snapshots that have the whole library at hand:
+ *
+ *   search      text in the title
+ *   starts      first characters of the title
+ *   status      active or done
+ *   release     comma separated release statuses, done movies count as done
+ *   limit       movies on a page, all of them without one
+ *   offset      movies before the page
+ *
+ * Titles are matched without case, accents and punctuation.
+ */
+
+// spaces and ascii punctuation, "Spider-Man: Homecoming" is found as "spider man homecoming"
+var SEPARATORS = /[\s!-\/:-@\[-`{-~]+/g;
+
+/*
+ * a title without case, accents and punctuation
+ */
+function normalize(title) {
+  return _.deburr(String(title || '')).toLowerCase().replace(SEPARATORS, ' ').trim();
+}
+
+/*
+ * the movies matching the filters, `{ movies, total }`
+ */
+function filter(movies, filters) {
+  filters = filters || {};
+
+  var search = normalize(filters.search);
+  var starts = normalize(filters.starts);
+  var releases = filters.release ? filters.release.split(',') : null;
+
+  var found = _.filter(movies, function(movie) {
+    var title = normalize(movie.title);
+    var statuses = _.map(movie.releases, 'status').concat(movie.status === 'done' ? ['done'] : []);
+
+    return (!search || title.indexOf(search) !== -1) &&
+      (!starts || title.indexOf(starts) === 0) &&
+      (!filters.status || movie.status === filters.status) &&
+      (!releases || _.intersection(releases, statuses).length > 0);
+  });
+
+  var offset = filters.offset || 0;
+  return {
+    movies: filters.limit ? found.slice(offset, offset + filters.limit) : found,
+    total: found.length
+  };
+}
+
+module.exports = {
+  normalize: normalize,
+  filter: filter
+};
@@ -0,0 +1,127 @@
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+/*
+ * metrics the bot keeps, served in the prometheus text format
+ */
+var DEFINITIONS = {
+  'cpbot_commands_total': { type: 'counter', help: 'Commands handled, by command.' },
+  'cpbot_callbacks_total': { type: 'counter', help: 'Inline keyboard buttons pressed, by action.' },
+  'cpbot_searches_total': { type: 'counter', help: 'Movie searches.' },
+  'cpbot_movies_added_total': { type: 'counter', help: 'Movies added to the library, by instance.' },
+  'cpbot_errors_total': { type: 'counter', help: 'Errors, by type.' },
+  'cpbot_auth_failures_total': { type: 'counter', help: 'Failed /auth and /join attempts.' },
+  'cpbot_api_request_duration_seconds': { type: 'histogram', help: 'Backend api calls, by instance and method.' }
+};
+
+// upper bounds of the histogram buckets, in seconds
+var BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+var values = {};
+
+/*
+ * series of a metric with the labels, created empty the first time
+ */
+function getSeries(name, labels, empty) {
+  if (!DEFINITIONS[name]) {
+    throw new Error('Unknown metric ' + name);
+  }
+
+  var key = JSON.stringify(labels || {});
+  values[name] = values[name] || {};
+  values[name][key] = values[name][key] || _.assign({ labels: labels || {} }, empty);
+
+  return values[name][key];
+}
+
+/*
+ * add one to a counter
+ */
+function increment(name, labels) {
+  getSeries(name, labels, { value: 0 }).value++;
+}
+
+/*
+ * record a value in a histogram
+ */
+function observe(name, labels, value) {
+  var series = getSeries(name, labels, { buckets: _.map(BUCKETS, _.constant(0)), sum: 0, count: 0 });
+
+  _.forEach(BUCKETS, function(bound, key) {
+    if (value <= bound) {
+      series.buckets[key]++;
+    }
+  });
+
+  series.sum += value;
+  series.count++;
+}
+
+/*
+ * wrap the methods of a backend so every call is timed, failed calls count as backend errors
+ */
+function instrument(instanceName, backend, methods) {
+  _.forEach(methods, function(method) {
+    var call = backend[method];
+
+    backend[method] = function() {
+      var args = arguments;
+      var started = Date.now();
+      var labels = { instance: instanceName, method: method };
+
+      return Promise.try(function() { return call.apply(backend, args); })
+        .catch(function(err) {
+          increment('cpbot_errors_total', { type: 'backend' });
+          throw err;
+        })
+        .finally(function() {
+          observe('cpbot_api_request_duration_seconds', labels, (Date.now() - started) / 1000);
+        });
+    };
+  });
+
+  return backend;
+}
+
+/*
+ * every metric in the prometheus text format
+ */
+function render() {
+  var lines = [];
+
+  _.forEach(DEFINITIONS, function(definition, name) {
+    lines.push('# HELP ' + name + ' ' + definition.help);
+    lines.push('# TYPE ' + name + ' ' + definition.type);
+
+    _.forEach(values[name], function(series) {
+      if (definition.type === 'counter') {
+        return lines.push(name + formatLabels(series.labels) + ' ' + series.value);
+      }
+
+      _.forEach(BUCKETS, function(bound, key) {
+        lines.push(name + '_bucket' + formatLabels(_.assign({}, series.labels, { le: String(bound) })) + ' ' +
+          series.buckets[key]);
+      });
+      lines.push(name + '_bucket' + formatLabels(_.assign({}, series.labels, { le: '+Inf' })) + ' ' + series.count);
+      lines.push(name + '_sum' + formatLabels(series.labels) + ' ' + series.sum);
+      lines.push(name + '_count' + formatLabels(series.labels) + ' ' + series.count);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels) {
+  var pairs = _.map(labels, function(value, name) {
+    return name + '="' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+  });
+
+  return pairs.length ? '{' + pairs.join(',') + '}' : '';
+}
+
+module.exports = {
+  increment: increment,
+  observe: observe,
+  instrument: instrument,
+  render: render
+};
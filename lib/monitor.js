@@ -0,0 +1,137 @@
+var http = require('http');
+var url = require('url');
+var _ = require('lodash');
+var Promise = require('bluebird');
+var logger = require(__dirname + '/../lib/logger');
+var metrics = require(__dirname + '/../lib/metrics');
+
+/*
+ * Local http server to watch the bot:
+ *
+ *   /healthz     telegram updates come in and every backend answers, 503 when not
+ *   /metrics     the metrics in the prometheus text format
+ *   /acl         the users and chats and their roles, read-only
+ *   /sessions    the conversations in progress, read-only
+ *
+ * options.isReceiving tells if the bot still receives updates from telegram. When
+ * options.config.token is set, /acl and /sessions need it as a bearer token.
+ */
+function Monitor(options) {
+  this.bot = options.bot;
+  this.config = options.config;
+  this.acl = options.acl;
+  this.sessions = options.sessions;
+  this.instances = options.instances;
+  this.isReceiving = options.isReceiving;
+  this.server = null;
+}
+
+Monitor.prototype.start = function() {
+  var self = this;
+  this.server = http.createServer(this.handle.bind(this));
+
+  return new Promise(function(resolve, reject) {
+    self.server.once('error', reject);
+    self.server.listen(self.config.port, self.config.host, resolve);
+  })
+    .then(function() {
+      logger.info('monitor listening on %s:%s', self.config.host, self.server.address().port);
+    });
+};
+
+Monitor.prototype.stop = function() {
+  if (!this.server) {
+    return Promise.resolve();
+  }
+
+  return Promise.promisify(this.server.close, this.server)();
+};
+
+/*
+ * check telegram and every backend, resolves to the result of each
+ */
+Monitor.prototype.check = function() {
+  var self = this;
+  var timeout = this.config.timeout * 1000;
+
+  var telegram = Promise.try(function() {
+    if (!self.isReceiving()) {
+      throw new Error('not receiving updates');
+    }
+    return self.bot.getMe();
+  });
+
+  var backends = _.map(this.instances.list(), function(instance) {
+    return instance.backend.ping().then(function(available) {
+      if (!available) {
+        throw new Error('not available');
+      }
+    });
+  });
+
+  return Promise.all(_.map([telegram].concat(backends), function(promise) {
+    return promise.timeout(timeout)
+      .then(function() {
+        return { ok: true };
+      })
+      .catch(function(err) {
+        return { ok: false, error: err.message };
+      });
+  }))
+    .then(function(results) {
+      var names = _.map(self.instances.list(), 'name');
+      return {
+        ok: _.every(results, 'ok'),
+        telegram: results[0],
+        instances: _.zipObject(names, results.slice(1))
+      };
+    });
+};
+
+Monitor.prototype.handle = function(req, res) {
+  var self = this;
+  var path = url.parse(req.url).pathname;
+
+  if (req.method !== 'GET') {
+    return send(res, 405);
+  }
+
+  switch (path) {
+    case '/healthz':
+      return this.check().then(function(health) {
+        if (!health.ok) {
+          logger.warn('health check failed: %j', health);
+        }
+        send(res, health.ok ? 200 : 503, health);
+      });
+    case '/metrics':
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+      return res.end(metrics.render());
+    case '/acl':
+    case '/sessions':
+      if (this.config.token && req.headers.authorization !== 'Bearer ' + this.config.token) {
+        return send(res, 401);
+      }
+
+      return send(res, 200, path === '/acl' ?
+        _.pick(self.acl, ['allowedUsers', 'revokedUsers', 'allowedChats']) :
+        self.sessions.list());
+    default:
+      return send(res, 404);
+  }
+};
+
+/*
+ * answer with a status code and an optional JSON body
+ */
+function send(res, statusCode, body) {
+  res.statusCode = statusCode;
+  if (typeof body === 'undefined') {
+    return res.end();
+  }
+
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body, null, 2));
+}
+
+module.exports = Monitor;
@@ -0,0 +1,328 @@
+var _ = require('lodash');                              // https://www.npmjs.com/package/lodash
+var Promise = require('bluebird');                      // https://www.npmjs.com/package/bluebird
+
+var state   = require(__dirname + '/../lib/state');     // handles command structure
+var logger  = require(__dirname + '/../lib/logger');    // logs to file and console
+var roles   = require(__dirname + '/../lib/roles');     // user roles from guest to owner
+var metrics = require(__dirname + '/../lib/metrics');   // counters served on /metrics
+var targets = require(__dirname + '/../lib/targets');   // what audit entries are about
+
+// the most movies listed in a section of `/status` or the digest
+var SECTION_SIZE = 20;
+
+/*
+ * The movies of the library and the requests to add them: how they are shown to users,
+ * added, requested and counted against the quotas. The helpers are added to the app,
+ * see lib/bot.js.
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var instances = app.instances;
+  var tracker = app.tracker;
+
+  /*
+   * markdown link to the imdb or tmdb page of a library movie
+   */
+  function getMovieLink(movie) {
+    var info = movie.info || {};
+    if (info.imdb) {
+      return '[' + app.escapeMarkdown(movie.title, '[') + '](http://imdb.com/title/' + info.imdb + ')';
+    }
+
+    return '[' + app.escapeMarkdown(movie.title, '[') + '](https://www.themoviedb.org/movie/' + info.tmdb_id + ')';
+  }
+
+  /*
+   * wanted, snatched, downloaded or done in the language of the user
+   */
+  function getLibraryStatus(movie, lang) {
+    return lang.__('status_' + getMovieStatus(movie));
+  }
+
+  /*
+   * wanted, snatched, downloaded or done
+   */
+  function getMovieStatus(movie) {
+    var status = getReleaseStatus(movie);
+    return status === tracker.STATUSES[0] ? 'wanted' : status;
+  }
+
+  /*
+   * get the furthest state any release of a movie has reached
+   */
+  function getReleaseStatus(movie) {
+    if (movie.status === 'done') {
+      return 'done';
+    }
+
+    var statuses = _.map(movie.releases, 'status');
+    return _.findLast(tracker.STATUSES, function(status) {
+      return _.contains(statuses, status);
+    }) || tracker.STATUSES[0];
+  }
+
+  /*
+   * every movie of every instance as `{ key, title, status }`, the key is unique across instances
+   */
+  function getLibraryMovies() {
+    return Promise.all(_.map(instances.list(), function(instance) {
+      var name = instances.isMultiple() ? ' - ' + instance.name : '';
+
+      return instance.backend.list().then(function(result) {
+        return _.map(result.movies, function(movie) {
+          var year = movie.info && movie.info.year;
+          return {
+            key: instance.name + ':' + movie._id,
+            title: movie.title + (year ? ' (' + year + ')' : '') + name,
+            status: getMovieStatus(movie)
+          };
+        });
+      });
+    })).then(_.flatten);
+  }
+
+  /*
+   * a heading with the number of movies and their titles, long lists are cut short,
+   * nothing for an empty list
+   */
+  function getMovieSection(heading, movies, lang) {
+    if (!movies.length) {
+      return '';
+    }
+
+    var response = ['\n*' + lang.__(heading) + ' (' + movies.length + '):*'];
+    _.forEach(_.take(movies, SECTION_SIZE), function(movie) {
+      response.push('- ' + app.escapeMarkdown(movie.title));
+    });
+
+    if (movies.length > SECTION_SIZE) {
+      response.push('_' + lang.__n('andMore', movies.length - SECTION_SIZE) + '_');
+    }
+
+    return response.join('\n');
+  }
+
+  /*
+   * get a movie from the library by its backend id
+   */
+  function getLibraryMovie(instance, mediaId, lang) {
+    return instance.backend.get(mediaId)
+      .then(function(media) {
+        if (!media) {
+          throw new Error(lang.__('libraryMovieNotFound'));
+        }
+
+        return media;
+      });
+  }
+
+  /*
+   * the details of a library movie in the same shape as a search result
+   */
+  function getMovieInfo(libraryMovie) {
+    var info = libraryMovie.info || {};
+
+    return {
+      title: libraryMovie.title || info.original_title,
+      year: info.year,
+      movie_id: info.imdb || info.tmdb_id,
+      imdb: info.imdb,
+      tmdb_id: info.tmdb_id,
+      thumb: (info.images && info.images.poster) ? info.images.poster[0] : '',
+      plot: info.plot,
+      genres: info.genres
+    };
+  }
+
+  /*
+   * send the poster of a movie with its details and the actions the user can take on it
+   */
+  function sendMovieCard(chatId, user, movie, instance, libraryMovie) {
+    var role = app.getRole(user);
+    var lang = app.getLang(user);
+
+    return instance.backend.profiles()
+      .then(function(profiles) {
+        var caption = [
+          '*' + app.escapeMarkdown(movie.title, '*') + '*' + (movie.year ? ' (' + movie.year + ')' : ''),
+          movie.genres && movie.genres.length ? '_' + app.escapeMarkdown(movie.genres.join(', '), '_') + '_' : '',
+          '',
+          app.escapeMarkdown(_.trunc(movie.plot || '', { length: 600, separator: ' ' })),
+          '',
+          _.compact([
+            movie.imdb ? '[IMDb](http://imdb.com/title/' + movie.imdb + ')' : '',
+            movie.tmdb_id ? '[TMDb](https://www.themoviedb.org/movie/' + movie.tmdb_id + ')' : ''
+          ]).join(' | ')
+        ];
+
+        var keyboard = [];
+
+        if (libraryMovie) {
+          var profile = _.find(profiles, { '_id': libraryMovie.profile_id });
+          caption.push('*' + lang.__('inLibrary') + (instances.isMultiple() ? ' ' + instance.name : '') + ':* _' +
+            getLibraryStatus(libraryMovie, lang) + '_' + (profile ? ' - _' + profile.label + '_' : ''));
+
+          if (roles.atLeast(role, config.bot.manageRole)) {
+            keyboard = getManageButtons(instance, libraryMovie, lang);
+          }
+        } else {
+          caption.push('*' + lang.__('notInLibrary') + '*');
+
+          // only movies picked from a search can be added straight from the card
+          if (movie.id && roles.atLeast(role, roles.REQUESTER)) {
+            keyboard.push([{
+              text: lang.__('add'),
+              callback_data: state.couchpotato.callback.MOVIE + ':' + movie.search + ':' + movie.id
+            }]);
+          }
+        }
+
+        var opts = { reply_markup: { inline_keyboard: keyboard } };
+        var text = caption.join('\n').replace(/\n{3,}/g, '\n\n');
+
+        if (!movie.thumb) {
+          return app.sendMessage(chatId, text, opts);
+        }
+
+        // a poster telegram can't fetch doesn't lose the card, it is sent as text instead
+        return app.bot.sendPhoto(chatId, movie.thumb, _.assign({
+          caption: text,
+          parse_mode: 'Markdown',
+          disable_notification: true
+        }, opts)).catch(function(err) {
+          logger.warn('user: %s, message: could not send the poster %s: %s', user.id, movie.thumb, err.message);
+          return app.sendMessage(chatId, text, opts);
+        });
+      });
+  }
+
+  /*
+   * management buttons of a library movie
+   */
+  function getManageButtons(instance, libraryMovie, lang) {
+    var buttons = _.map(['REFRESH', 'TRY_NEXT', 'CHANGE_PROFILE', 'IGNORE', 'DELETE'], function(action) {
+      return {
+        text: lang.__('manage_' + action),
+        callback_data: state.manage.callback[action] + ':' + instance.name + ':' + libraryMovie._id
+      };
+    });
+
+    return _.chunk(buttons, 3);
+  }
+
+  /*
+   * add a movie to an instance and remember who requested it, failures are told in `lang`
+   */
+  function addMovie(instance, movie, profile, user, chatId, lang) {
+    return instance.backend.add({ 'identifier': movie.movie_id, 'title': movie.title }, profile.hash)
+      .finally(function() {
+        // a movie may have been added even when the call failed
+        app.library.invalidate(instance);
+      })
+      .then(function(success) {
+        logger.info('user: %s, message: added movie "%s" to %s', user.id, movie.title, instance.name);
+
+        if (!success) {
+          throw new Error(lang.__('movieAddFail'));
+        }
+
+        app.audit.record(user, 'movie.add', targets.movie(instance, movie));
+        tracker.track({ 'identifier': movie.movie_id, 'title': movie.title, 'instance': instance.name }, user, chatId);
+        metrics.increment('cpbot_movies_added_total', { 'instance': instance.name });
+        app.quotas.record(user.id);
+      })
+      .catch(function(err) {
+        app.audit.record(user, 'movie.add', targets.movie(instance, movie), 'failure');
+        throw err;
+      });
+  }
+
+  /*
+   * check if a user can still add movies, replies with the reason when they can't
+   */
+  function checkQuota(user, chat) {
+    var role = app.getRole(user, chat);
+    if (roles.atLeast(role, roles.ADMIN)) {
+      return true;
+    }
+
+    // requests waiting for an admin would go over the quota once approved
+    var period = app.quotas.getExceeded(user.id, role, app.approvals.countPending(user.id));
+    if (period) {
+      logger.info('user: %s, message: reached the quota of the %s', user.id, period);
+      var limit = app.quotas.getLimits(user.id, role)[period];
+      app.replyWithError(user.id, new Error(app.getLang(user).__n('quotaReached_' + period, limit)), chat.id);
+      return false;
+    }
+
+    return true;
+  }
+
+  /*
+   * put a movie request on the approval queue and ask the admins about it
+   */
+  function requestApproval(query, movie, profile, instance) {
+    var chatId = query.message.chat.id;
+    var userId = query.from.id;
+    var lang = app.getLang(query.from);
+
+    var request = app.approvals.add(
+      _.pick(movie, ['movie_id', 'title', 'thumb', 'keyboard_value']),
+      _.pick(profile, ['hash', 'label']),
+      query.from,
+      chatId,
+      instance.name
+    );
+
+    logger.info('user: %s, message: requested approval for movie "%s"', userId, movie.title);
+    app.audit.record(query.from, 'movie.request', targets.request(request), 'pending');
+
+    app.editMessage(query, lang.__('requestPending') + ' *' + app.escapeMarkdown(movie.keyboard_value, '*') + '* - _' +
+      profile.label + '_');
+
+    _.forEach(app.getAdmins(), function(admin) {
+      var adminLang = app.getLang(admin);
+      app.sendMessage(admin.id, '*' + adminLang.__('newRequest') + ':*\n' + formatRequest(request), {
+        disable_notification: false,
+        reply_markup: { inline_keyboard: [getApprovalButtons(request, adminLang)] }
+      });
+    });
+  }
+
+  /*
+   * one line describing a pending request
+   */
+  function formatRequest(request) {
+    return '*' + request.id + '*) @' + app.escapeMarkdown(app.getTelegramName(request.user)) + ': ' +
+      app.escapeMarkdown(request.movie.keyboard_value) + ' - _' + request.profile.label + '_' +
+      (instances.isMultiple() && request.instance ? ' - _' + request.instance + '_' : '');
+  }
+
+  /*
+   * approve and deny buttons of a pending request
+   */
+  function getApprovalButtons(request, lang) {
+    return [
+      { text: lang.__('approve') + ' ' + request.id, callback_data: state.admin.callback.APPROVE + ':' + request.id },
+      { text: lang.__('deny') + ' ' + request.id, callback_data: state.admin.callback.DENY + ':' + request.id }
+    ];
+  }
+
+  _.assign(app, {
+    getMovieLink: getMovieLink,
+    getLibraryStatus: getLibraryStatus,
+    getMovieStatus: getMovieStatus,
+    getReleaseStatus: getReleaseStatus,
+    getLibraryMovies: getLibraryMovies,
+    getMovieSection: getMovieSection,
+    getLibraryMovie: getLibraryMovie,
+    getMovieInfo: getMovieInfo,
+    sendMovieCard: sendMovieCard,
+    getManageButtons: getManageButtons,
+    addMovie: addMovie,
+    checkQuota: checkQuota,
+    requestApproval: requestApproval,
+    formatRequest: formatRequest,
+    getApprovalButtons: getApprovalButtons
+  });
+};
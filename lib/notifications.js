@@ -0,0 +1,81 @@
+var _ = require('lodash');                              // https://www.npmjs.com/package/lodash
+var Promise = require('bluebird');                      // https://www.npmjs.com/package/bluebird
+
+var logger  = require(__dirname + '/../lib/logger');    // logs to file and console
+
+/*
+ * Tell the users who requested a movie when it is snatched, downloaded and done, the
+ * check of tracked movies is added to the app, see lib/bot.js.
+ */
+module.exports = function(app) {
+  var config = app.config;
+  var tracker = app.tracker;
+  var instances = app.instances;
+
+  /*
+   * poll the backends for release changes of requested movies
+   */
+  function checkTrackedMovies() {
+    // movies tracked before there were several instances belong to the first one
+    var tracked = _.groupBy(tracker.movies(), function(entry) {
+      return entry.instance || instances.list()[0].name;
+    });
+
+    return Promise.all(_.map(tracked, function(entries, name) {
+      var instance = instances.get(name);
+      if (!instance) {
+        return logger.warn('could not check tracked movies of unknown instance %s', name);
+      }
+
+      return instance.backend.list({ release: 'snatched,downloaded,done' })
+        .then(function(result) {
+          // finished movies are removed from the tracker while looping, the group is a copy
+          _.forEach(entries, function(entry) {
+            var movie = _.filter(result.movies, function(item) {
+              return item.info.imdb == entry.identifier || item.info.tmdb_id == entry.identifier;
+            })[0];
+
+            if (!movie) {
+              return;
+            }
+
+            var updated = tracker.update(entry.identifier, app.getReleaseStatus(movie), entry.instance);
+            if (updated) {
+              logger.info('movie "%s" is now %s', updated.title, updated.status);
+              notifyRequesters(updated);
+            }
+          });
+        })
+        .catch(function(err) {
+          logger.warn('could not check tracked movies of %s: %s', name, err);
+        });
+    }));
+  }
+
+  /*
+   * tell the requesters, and optionally the owner, that a movie changed state
+   */
+  function notifyRequesters(entry) {
+    var opts = { disable_notification: false };
+
+    // every requester is told in their own language
+    function getMessage(lang) {
+      return '*' + app.escapeMarkdown(entry.title, '*') + '* ' + lang.__('movieStatus_' + entry.status);
+    }
+
+    _.forEach(entry.requesters, function(requester) {
+      app.sendMessage(requester.chatId, getMessage(app.getLang(requester.user)), opts);
+    });
+
+    if (config.notifications.notifyOwner && config.bot.owner && !_.some(entry.requesters, { 'id': config.bot.owner })) {
+      var lang = app.getLang({ id: config.bot.owner });
+      var names = _.map(entry.requesters, function(requester) {
+        return '@' + app.escapeMarkdown(app.getTelegramName(requester.user), '_');
+      });
+      app.sendMessage(config.bot.owner, getMessage(lang) + '\n_' + lang.__('requestedBy') + ' ' + names.join(', ') +
+        '_', opts);
+    }
+  }
+
+  app.checkTrackedMovies = checkTrackedMovies;
+};
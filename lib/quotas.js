@@ -0,0 +1,93 @@
+var _ = require('lodash');
+var moment = require('moment');
+var storage = require(__dirname + '/../lib/storage');
+var config = require(__dirname + '/../lib/config');
+
+var usage = storage.load('usage', { 'users': {} });
+
+/*
+ * quota periods and where each of them starts
+ */
+var PERIODS = {
+  day: function() { return moment().startOf('day'); },
+  week: function() { return moment().startOf('isoWeek'); }
+};
+
+/*
+ * save the usage file
+ */
+function save() {
+  storage.save('usage', usage);
+}
+
+/*
+ * get the limit of every period for a user, user overrides win over role overrides
+ * which win over the global limits, a limit of 0 means unlimited
+ */
+function getLimits(userId, role) {
+  var quotas = config.quotas;
+  var limits = {};
+
+  _.forEach(_.keys(PERIODS), function(period) {
+    limits[period] = _.find([
+      (quotas.users[userId] || {})[period],
+      (quotas.roles[role] || {})[period],
+      quotas[period]
+    ], function(limit) { return typeof limit !== 'undefined'; }) || 0;
+  });
+
+  return limits;
+}
+
+/*
+ * limit, used and left movies of every period for a user, `opt_pending` requests that
+ * wait for an admin count as used in every period, they take a movie once approved
+ */
+function getStatus(userId, role, opt_pending) {
+  var limits = getLimits(userId, role);
+  var added = usage.users[userId] || [];
+  var status = {};
+
+  _.forEach(PERIODS, function(start, period) {
+    var since = start().valueOf();
+    var used = _.filter(added, function(time) { return time >= since; }).length + (opt_pending || 0);
+
+    status[period] = {
+      limit: limits[period],
+      used: used,
+      left: limits[period] ? Math.max(limits[period] - used, 0) : Infinity
+    };
+  });
+
+  return status;
+}
+
+/*
+ * the first period a user has no movies left in, or undefined
+ */
+function getExceeded(userId, role, opt_pending) {
+  var status = getStatus(userId, role, opt_pending);
+  return _.find(_.keys(PERIODS), function(period) {
+    return status[period].left === 0;
+  });
+}
+
+/*
+ * count a movie added by a user, times outside the longest period are dropped
+ */
+function record(userId) {
+  var since = PERIODS.week().valueOf();
+  var added = _.filter(usage.users[userId] || [], function(time) { return time >= since; });
+
+  added.push(Date.now());
+  usage.users[userId] = added;
+  save();
+}
+
+module.exports = {
+  PERIODS: _.keys(PERIODS),
+  getLimits: getLimits,
+  getStatus: getStatus,
+  getExceeded: getExceeded,
+  record: record
+};
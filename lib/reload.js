@@ -0,0 +1,129 @@
+var fs = require('fs-extra');
+var _ = require('lodash');
+var logger = require(__dirname + '/../lib/logger');
+var settings = require(__dirname + '/../lib/settings');
+var config = require(__dirname + '/../lib/config');
+var acl = require(__dirname + '/../lib/acl');
+var i18n = require(__dirname + '/../lib/lang');
+var storage = require(__dirname + '/../lib/storage');
+
+// how often the files are checked for changes, in milliseconds
+var INTERVAL = 2000;
+
+var watched = [];
+
+/*
+ * load the config file again and apply the settings that are safe to change while the
+ * bot runs, an invalid file is reported and the running configuration is kept
+ */
+function reloadConfig() {
+  var configFile = settings.getFile();
+  var result = settings.load(configFile);
+
+  if (result.errors.length) {
+    logger.error('%s\nthe running configuration is kept', settings.formatErrors(configFile, result.errors));
+    return false;
+  }
+
+  var changed = [];
+  var restart = [];
+
+  _.forEach(settings.getPaths(), function(setting) {
+    var value = _.get(result.config, setting.path);
+    if (_.isEqual(value, _.get(config, setting.path))) {
+      return;
+    }
+
+    if (!setting.reload) {
+      return restart.push(setting.path);
+    }
+
+    _.set(config, setting.path, value);
+    changed.push(setting.path);
+  });
+
+  if (changed.length) {
+    logger.info('config reloaded, changed %s', changed.join(', '));
+  }
+
+  if (restart.length) {
+    logger.warn('config: restart the bot to apply %s', restart.join(', '));
+  }
+
+  return true;
+}
+
+/*
+ * load the acl file again after it was edited by hand, the bot saving its own changes
+ * leaves the users as they are
+ */
+function reloadAcl() {
+  var aclFile = storage.getFile('acl');
+  var data;
+
+  try {
+    data = JSON.parse(fs.readFileSync(aclFile, 'utf8'));
+  } catch (err) {
+    logger.warn('could not reload the acl file, keeping the users: %s', err.message);
+    return false;
+  }
+
+  var lists = ['allowedUsers', 'revokedUsers', 'allowedChats'];
+
+  if (data.version !== acl.version || !_.every(lists, function(list) { return _.isArray(data[list]); })) {
+    logger.warn('could not reload the acl file, it is not acl version %s', acl.version);
+    return false;
+  }
+
+  if (_.isEqual(_.pick(data, lists), _.pick(acl, lists))) {
+    return false;
+  }
+
+  _.assign(acl, _.pick(data, lists));
+  logger.info('acl reloaded, %s allowed and %s revoked users, %s allowed chats',
+    acl.allowedUsers.length, acl.revokedUsers.length, acl.allowedChats.length);
+
+  return true;
+}
+
+function reloadLocales() {
+  i18n.reload();
+  logger.info('locales reloaded');
+}
+
+/*
+ * check a file for changes, a missing file is picked up once it is there
+ */
+function watchFile(file, reload) {
+  fs.watchFile(file, { persistent: false, interval: INTERVAL }, function(current, previous) {
+    if (current.mtime.getTime() !== previous.mtime.getTime() && current.nlink > 0) {
+      reload();
+    }
+  });
+  watched.push(file);
+}
+
+/*
+ * reload the config, acl and locale files when they change
+ */
+function watch() {
+  watchFile(settings.getFile(), reloadConfig);
+  watchFile(storage.getFile('acl'), reloadAcl);
+  _.forEach(i18n.getFiles(), function(file) {
+    watchFile(file, reloadLocales);
+  });
+}
+
+function unwatch() {
+  _.forEach(watched, function(file) {
+    fs.unwatchFile(file);
+  });
+  watched = [];
+}
+
+module.exports = {
+  watch: watch,
+  unwatch: unwatch,
+  reloadConfig: reloadConfig,
+  reloadAcl: reloadAcl
+};
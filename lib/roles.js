@@ -0,0 +1,26 @@
+/*
+ * roles from least to most privileged, guests are users that are not in the acl
+ * and the owner is the user configured as `bot.owner`
+ */
+var ORDER = ['guest', 'viewer', 'requester', 'admin', 'owner'];
+
+module.exports = {
+  GUEST: 'guest',
+  VIEWER: 'viewer',
+  REQUESTER: 'requester',
+  ADMIN: 'admin',
+  OWNER: 'owner',
+  ORDER: ORDER,
+
+  /*
+   * roles that can be given to a user through the bot
+   */
+  ASSIGNABLE: ['viewer', 'requester', 'admin'],
+
+  /*
+   * check if a role is at least the required role
+   */
+  atLeast: function(role, required) {
+    return ORDER.indexOf(role) >= ORDER.indexOf(required);
+  }
+};
@@ -0,0 +1,166 @@
+var _ = require('lodash');
+var Promise = require('bluebird');
+var logger = require(__dirname + '/../lib/logger');
+
+/*
+ * Declarative command router
+ *
+ * Every command declares how it is matched, who may use it and what arguments it takes:
+ *
+ *   router.command({
+ *     name: 'q',                      // `/q`, also the name registered with telegram
+ *     aliases: ['query'],             // other names for the same command
+ *     patterns: [/^\/s(?:\s+(.+))?$/], // extra regexes, the first group holds the arguments
+ *     description: 'command_q',       // shown in `/help` and by telegram
+ *     role: roles.REQUESTER,          // lowest role allowed to run the command
+ *     args: [{ name: 'movieName', label: 'arg_movieName', rest: true }],
+ *     handler: function(msg, args) {}
+ *   });
+ *
+ * Descriptions and argument labels are passed through the `translate` function of
+ * `usage` and `botCommands`, so they can be locale keys.
+ *
+ * options.roles lists the role names from least to most privileged, options.getRole
+ * returns the role of a telegram user in a chat and options.deny is called when a user is
+ * not allowed to run a command. The optional options.handled is called with every
+ * command that is run.
+ */
+function Router(options) {
+  this.roles = options.roles;
+  this.getRole = options.getRole;
+  this.deny = options.deny;
+  this.invalid = options.invalid;
+  this.handled = options.handled || _.noop;
+  this.commands = [];
+}
+
+/*
+ * register a command
+ */
+Router.prototype.command = function(command) {
+  var names = [command.name].concat(command.aliases || []);
+
+  command.args = command.args || [];
+  command.role = command.role || this.roles[0];
+  command.patterns = [
+    new RegExp('^\\/(?:' + names.join('|') + ')(?:\\s+([\\s\\S]+))?$', 'i')
+  ].concat(command.patterns || []);
+
+  if (!_.contains(this.roles, command.role)) {
+    throw new Error('Unknown role "' + command.role + '" for command /' + command.name);
+  }
+
+  this.commands.push(command);
+  return this;
+};
+
+/*
+ * find the command a message is for, returns the command and the unparsed arguments
+ */
+Router.prototype.match = function(text) {
+  var found;
+
+  _.some(this.commands, function(command) {
+    return _.some(command.patterns, function(pattern) {
+      var match = pattern.exec(text);
+      if (match) {
+        found = { command: command, input: (match[1] || '').trim() };
+      }
+      return !!match;
+    });
+  });
+
+  return found;
+};
+
+/*
+ * split the argument string following the command schema
+ */
+Router.prototype.parseArgs = function(command, input) {
+  var tokens = input ? input.split(/\s+/) : [];
+  var args = {};
+  var missing = [];
+
+  _.forEach(command.args, function(arg, key) {
+    var value = arg.rest ? tokens.slice(key).join(' ') : tokens[key];
+
+    if (!value && arg.required) {
+      missing.push(arg.name);
+    }
+
+    args[arg.name] = value || undefined;
+  });
+
+  return missing.length ? null : args;
+};
+
+/*
+ * check if a role is at least the required role
+ */
+Router.prototype.hasRole = function(role, required) {
+  return this.roles.indexOf(role) >= this.roles.indexOf(required);
+};
+
+/*
+ * run the command a message is for, returns a promise of what the handler, or the deny
+ * or invalid callback, returns, false when the message is not a known command
+ */
+Router.prototype.run = function(msg) {
+  var found = this.match(msg.text);
+  if (!found) {
+    return false;
+  }
+
+  var command = found.command;
+  var role = this.getRole(msg.from, msg.chat);
+
+  if (!this.hasRole(role, command.role)) {
+    logger.info('user: %s, message: not allowed to use /%s', msg.from.id, command.name);
+    return Promise.resolve(this.deny(msg, command, role));
+  }
+
+  var args = this.parseArgs(command, found.input);
+  if (!args) {
+    return Promise.resolve(this.invalid(msg, command));
+  }
+
+  logger.info('user: %s, message: sent `/%s` command', msg.from.id, command.name);
+  this.handled(msg, command);
+  return Promise.resolve(command.handler(msg, args));
+};
+
+/*
+ * commands a role is allowed to run
+ */
+Router.prototype.commandsFor = function(role) {
+  var self = this;
+  return _.filter(this.commands, function(command) {
+    return !command.hidden && self.hasRole(role, command.role);
+  });
+};
+
+/*
+ * usage line of a command, e.g. `/q [movie name]`
+ */
+Router.prototype.usage = function(command, translate) {
+  translate = translate || _.identity;
+
+  var args = _.map(command.args, function(arg) {
+    return '[' + (arg.label ? translate(arg.label) : arg.name) + ']';
+  });
+
+  return ['/' + command.name].concat(args).join(' ');
+};
+
+/*
+ * command list in the format of telegram's `setMyCommands`
+ */
+Router.prototype.botCommands = function(role, translate) {
+  translate = translate || _.identity;
+
+  return _.map(this.commandsFor(role), function(command) {
+    return { command: command.name, description: translate(command.description) };
+  });
+};
+
+module.exports = Router;
@@ -0,0 +1,138 @@
+var fs = require('fs-extra');
+var _ = require('lodash');
+var logger = require(__dirname + '/../lib/logger');
+var config = require(__dirname + '/../lib/config');
+
+/*
+ * keeps sessions for the lifetime of the process only
+ */
+function MemoryBackend() {}
+
+MemoryBackend.prototype.load = function() {
+  return {};
+};
+
+MemoryBackend.prototype.save = function() {};
+
+/*
+ * keeps sessions in a JSON file so a flow survives a restart
+ */
+function FileBackend(file) {
+  this.file = file;
+}
+
+FileBackend.prototype.load = function() {
+  try {
+    logger.info('session file found %s', this.file);
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('could not read session file, starting without sessions: %s', err.message);
+    }
+    return {};
+  }
+};
+
+FileBackend.prototype.save = function(sessions) {
+  try {
+    fs.writeFileSync(this.file, JSON.stringify(sessions));
+  } catch (err) {
+    logger.warn('could not write session file: %s', err.message);
+  }
+};
+
+/*
+ * one session per user in every chat, holding the current state and the data that goes with it
+ */
+function SessionStore(backend, ttl) {
+  this.backend = backend;
+  this.ttl = ttl;
+  this.sessions = backend.load();
+}
+
+/*
+ * sessions of private chats are keyed by the user only, the chat has the id of the user
+ */
+function getKey(chatId, userId) {
+  return chatId === userId ? String(userId) : chatId + ':' + userId;
+}
+
+/*
+ * get the session of a user in a chat, expired or missing sessions come back empty
+ */
+SessionStore.prototype.get = function(chatId, userId) {
+  var session = this.sessions[getKey(chatId, userId)];
+  if (!session || session.expires < Date.now()) {
+    return { state: null, data: {} };
+  }
+
+  return session;
+};
+
+/*
+ * move a user in a chat to a new state with only the data given, a new flow starts
+ * without anything left over from the one before
+ */
+SessionStore.prototype.set = function(chatId, userId, state, data) {
+  this._save(chatId, userId, state, _.assign({}, data));
+};
+
+/*
+ * move a user in a chat to the next state of the same flow, the data is merged into
+ * the data of the steps before, e.g. the picked movie joins the search results
+ */
+SessionStore.prototype.update = function(chatId, userId, state, data) {
+  this._save(chatId, userId, state, _.assign({}, this.get(chatId, userId).data, data));
+};
+
+SessionStore.prototype._save = function(chatId, userId, state, data) {
+  this.sessions[getKey(chatId, userId)] = {
+    state: state,
+    data: data,
+    expires: Date.now() + this.ttl * 1000
+  };
+
+  this.prune();
+  this.backend.save(this.sessions);
+};
+
+/*
+ * reset a user in a chat back to no state at all
+ */
+SessionStore.prototype.clear = function(chatId, userId) {
+  delete this.sessions[getKey(chatId, userId)];
+  this.backend.save(this.sessions);
+};
+
+/*
+ * every session that has not expired, with the chat and the user it belongs to
+ */
+SessionStore.prototype.list = function() {
+  this.prune();
+  return _.map(this.sessions, function(session, key) {
+    var ids = key.split(':');
+    var userId = parseInt(_.last(ids), 10);
+    return _.assign({ chatId: parseInt(ids[0], 10), userId: userId }, session);
+  });
+};
+
+/*
+ * drop every session that has expired
+ */
+SessionStore.prototype.prune = function() {
+  var now = Date.now();
+  this.sessions = _.omit(this.sessions, function(session) {
+    return session.expires < now;
+  });
+};
+
+var backends = {
+  memory: function() { return new MemoryBackend(); },
+  file: function() { return new FileBackend(config.session.file); }
+};
+
+if (!backends[config.session.backend]) {
+  throw new Error('Unknown session backend "' + config.session.backend + '", use "memory" or "file".');
+}
+
+module.exports = new SessionStore(backends[config.session.backend](), config.session.ttl);
@@ -0,0 +1,435 @@
+var fs = require('fs-extra');
+var crypto = require('crypto');
+var _ = require('lodash');
+var i18n = require(__dirname + '/../lib/lang');
+var roles = require(__dirname + '/../lib/roles');
+
+/*
+ * Schema of the configuration
+ *
+ * Every setting declares its type and where else it can come from:
+ *
+ *   maxResults: {
+ *     type: 'integer',              // string, integer, boolean, object or list
+ *     env: 'BOT_MAXRESULTS',        // environment variable used when the file has no value
+ *     default: 15,                  // or function(config, section) for defaults built from other settings
+ *     min: 1,                       // lowest and highest integer, max is optional too
+ *     values: [...],                // the values allowed, or function() for values known at runtime
+ *     pattern: /.../,               // regex a string has to match
+ *     hint: '...',                  // what the pattern asks for, for the error report
+ *     required: true,               // there is no default, the bot can't start without it
+ *     reload: true                  // safe to change while the bot runs
+ *   }
+ *
+ * Empty strings count as not set, so the empty values of config.json.template fall
+ * back to the environment and the defaults. Values from the environment are strings,
+ * they are coerced to the type of the setting.
+ */
+var INSTANCE = {
+  backend: { type: 'string', env: 'COUCHPOTATO_BACKEND', default: 'couchpotato', values: ['couchpotato', 'radarr'] },
+  hostname: { type: 'string', env: 'COUCHPOTATO_HOST', default: 'localhost' },
+  apiKey: { type: 'string', env: 'COUCHPOTATO_APIKEY', required: true },
+  port: {
+    type: 'integer', env: 'COUCHPOTATO_PORT', min: 1, max: 65535,
+    default: function(config, instance) { return instance.backend === 'radarr' ? 7878 : 5050; }
+  },
+  urlBase: { type: 'string', env: 'COUCHPOTATO_URLBASE' },
+  ssl: { type: 'boolean', env: 'COUCHPOTATO_SSL', default: false },
+  username: { type: 'string', env: 'COUCHPOTATO_USERNAME' },
+  password: { type: 'string', env: 'COUCHPOTATO_PASSWORD' },
+  rootFolder: { type: 'string', env: 'COUCHPOTATO_ROOTFOLDER' }
+};
+
+// instance names are sent along with telegram buttons, keep them short
+var INSTANCE_NAME = {
+  type: 'string', required: true, pattern: /^[\w-]{1,16}$/, hint: 'up to 16 letters, digits, - or _'
+};
+
+// the limits of a role in `quotas.roles` or of a user in `quotas.users`
+var QUOTA_LIMITS = {
+  day: { type: 'integer', min: 0 },
+  week: { type: 'integer', min: 0 }
+};
+
+var SCHEMA = {
+  telegram: {
+    botToken: { type: 'string', env: 'TELEGRAM_BOTTOKEN', required: true },
+    mode: { type: 'string', env: 'TELEGRAM_MODE', default: 'polling', values: ['polling', 'webhook'] },
+    webhook: {
+      host: { type: 'string', env: 'WEBHOOK_HOST', default: '0.0.0.0' },
+      port: { type: 'integer', env: 'WEBHOOK_PORT', default: 8443, min: 0, max: 65535 },
+      path: { type: 'string', env: 'WEBHOOK_PATH', default: '/telegram', pattern: /^\//, hint: 'a path from /' },
+      url: { type: 'string', env: 'WEBHOOK_URL', pattern: /^https:\/\//, hint: 'an https url' },
+      key: { type: 'string', env: 'WEBHOOK_KEY' },
+      cert: { type: 'string', env: 'WEBHOOK_CERT' },
+      // telegram only accepts letters, digits, _ and - in the secret token
+      secretToken: {
+        type: 'string', env: 'WEBHOOK_SECRETTOKEN', pattern: /^[\w-]{1,256}$/,
+        hint: 'up to 256 letters, digits, - or _',
+        default: function(config) {
+          return crypto.createHash('sha256').update(config.telegram.botToken || '').digest('hex');
+        }
+      }
+    }
+  },
+  bot: {
+    password: { type: 'string', env: 'BOT_PASSWORD', default: '', reload: true },
+    authAttempts: { type: 'integer', env: 'BOT_AUTHATTEMPTS', default: 5, min: 1, reload: true },
+    authLockout: { type: 'integer', env: 'BOT_AUTHLOCKOUT', default: 15, min: 1, reload: true },
+    dataDir: { type: 'string', env: 'BOT_DATADIR', default: __dirname + '/..' },
+    owner: { type: 'integer', env: 'BOT_OWNER', default: 0, min: 0 },
+    defaultRole: {
+      type: 'string', env: 'BOT_DEFAULTROLE', default: 'requester', values: ['viewer', 'requester'], reload: true
+    },
+    manageRole: { type: 'string', env: 'BOT_MANAGEROLE', default: 'admin', values: ['requester', 'admin'] },
+    language: { type: 'string', env: 'BOT_LANGUAGE', default: 'en', values: i18n.getLocales },
+    requireApproval: { type: 'boolean', env: 'BOT_REQUIREAPPROVAL', default: false, reload: true },
+    maxResults: { type: 'integer', env: 'BOT_MAXRESULTS', default: 15, min: 1, reload: true },
+    libraryPageSize: { type: 'integer', env: 'BOT_LIBRARYPAGESIZE', default: 20, min: 1, max: 50, reload: true }
+  },
+  couchpotato: {
+    instances: { type: 'list' },
+    defaults: {
+      roles: { type: 'object', default: {}, reload: true },
+      users: { type: 'object', default: {}, reload: true }
+    },
+    timeout: { type: 'integer', env: 'COUCHPOTATO_TIMEOUT', default: 10, min: 1, reload: true },
+    retries: { type: 'integer', env: 'COUCHPOTATO_RETRIES', default: 2, min: 0, reload: true },
+    retryDelay: { type: 'integer', env: 'COUCHPOTATO_RETRYDELAY', default: 500, min: 0, reload: true },
+    breakerThreshold: { type: 'integer', env: 'COUCHPOTATO_BREAKERTHRESHOLD', default: 3, min: 1, reload: true },
+    breakerCooldown: { type: 'integer', env: 'COUCHPOTATO_BREAKERCOOLDOWN', default: 30, min: 1, reload: true },
+    libraryRefresh: { type: 'integer', env: 'COUCHPOTATO_LIBRARYREFRESH', default: 300, min: 10 }
+  },
+  notifications: {
+    enabled: { type: 'boolean', env: 'NOTIFY_ENABLED', default: true },
+    interval: { type: 'integer', env: 'NOTIFY_INTERVAL', default: 300, min: 10 },
+    notifyOwner: { type: 'boolean', env: 'NOTIFY_OWNER', default: false, reload: true }
+  },
+  digest: {
+    enabled: { type: 'boolean', env: 'DIGEST_ENABLED', default: false },
+    schedule: { type: 'string', env: 'DIGEST_SCHEDULE', default: 'daily', values: ['daily', 'weekly'] },
+    time: {
+      type: 'string', env: 'DIGEST_TIME', default: '09:00',
+      pattern: /^([01]\d|2[0-3]):[0-5]\d$/, hint: 'a time like 09:00'
+    },
+    day: {
+      type: 'string', env: 'DIGEST_DAY', default: 'monday',
+      values: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+    }
+  },
+  quotas: {
+    day: { type: 'integer', env: 'QUOTA_DAY', default: 0, min: 0, reload: true },
+    week: { type: 'integer', env: 'QUOTA_WEEK', default: 0, min: 0, reload: true },
+    roles: { type: 'object', default: {}, reload: true },
+    users: { type: 'object', default: {}, reload: true }
+  },
+  session: {
+    backend: { type: 'string', env: 'SESSION_BACKEND', default: 'memory', values: ['memory', 'file'] },
+    ttl: { type: 'integer', env: 'SESSION_TTL', default: 600, min: 1 },
+    file: {
+      type: 'string', env: 'SESSION_FILE',
+      default: function(config) { return config.bot.dataDir + '/sessions.json'; }
+    }
+  },
+  audit: {
+    file: {
+      type: 'string', env: 'AUDIT_FILE',
+      default: function(config) { return config.bot.dataDir + '/audit.jsonl'; }
+    },
+    maxSize: { type: 'integer', env: 'AUDIT_MAXSIZE', default: 10, min: 1, reload: true }
+  },
+  http: {
+    enabled: { type: 'boolean', env: 'HTTP_ENABLED', default: false },
+    host: { type: 'string', env: 'HTTP_HOST', default: '127.0.0.1' },
+    port: { type: 'integer', env: 'HTTP_PORT', default: 8080, min: 0, max: 65535 },
+    token: { type: 'string', env: 'HTTP_TOKEN', default: '', reload: true },
+    timeout: { type: 'integer', env: 'HTTP_TIMEOUT', default: 5, min: 1, reload: true }
+  }
+};
+
+/*
+ * turn a value into the type of a setting, undefined when it can't be
+ */
+var COERCE = {
+  string: function(value) {
+    return _.isString(value) || _.isNumber(value) ? String(value) : undefined;
+  },
+  integer: function(value) {
+    if (_.isString(value) && /^\s*-?\d+\s*$/.test(value)) {
+      value = parseInt(value, 10);
+    }
+    return _.isNumber(value) && value % 1 === 0 ? value : undefined;
+  },
+  boolean: function(value) {
+    if (_.isBoolean(value)) {
+      return value;
+    }
+    var text = String(value).trim().toLowerCase();
+    return _.contains(['true', 'yes', '1'], text) ? true : _.contains(['false', 'no', '0'], text) ? false : undefined;
+  },
+  object: function(value) {
+    return _.isPlainObject(value) ? value : undefined;
+  },
+  list: function(value) {
+    return _.isArray(value) ? value : undefined;
+  }
+};
+
+var EXPECTED = {
+  string: 'a string',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  list: 'a list'
+};
+
+function isSet(value) {
+  return typeof value !== 'undefined' && value !== null && value !== '';
+}
+
+function isSetting(spec) {
+  return _.isString(spec.type);
+}
+
+/*
+ * resolve every setting of a schema from the file, the environment and the defaults into
+ * the target section, problems are collected in result.errors and result.warnings
+ */
+function build(schema, source, target, path, env, result) {
+  if (!_.isPlainObject(source)) {
+    if (isSet(source)) {
+      result.errors.push(path + ' must be an object, got ' + JSON.stringify(source));
+    }
+    source = {};
+  }
+
+  _.forEach(_.difference(_.keys(source), _.keys(schema)), function(key) {
+    result.warnings.push('unknown setting ' + path + '.' + key + ' is ignored');
+  });
+
+  _.forEach(schema, function(spec, key) {
+    var name = path + '.' + key;
+
+    if (!isSetting(spec)) {
+      target[key] = target[key] || {};
+      return build(spec, source[key], target[key], name, env, result);
+    }
+
+    target[key] = resolve(spec, source[key], name, target, env, result);
+  });
+
+  return target;
+}
+
+/*
+ * the value of one setting, coerced and checked
+ */
+function resolve(spec, fileValue, name, section, env, result) {
+  var raw = fileValue;
+  var from = '';
+  var envName = spec.env && env === process.env ? spec.env : null;
+
+  if (!isSet(raw) && envName && isSet(env[envName])) {
+    raw = env[envName];
+    from = ' (from ' + envName + ')';
+  }
+
+  var fallback = _.isFunction(spec.default) ? spec.default(result.config, section) : _.clone(spec.default);
+
+  if (!isSet(raw)) {
+    if (spec.required) {
+      result.errors.push(name + ' is required' + (envName ? ', set it in the config file or ' + envName : ''));
+    }
+    return fallback;
+  }
+
+  var value = COERCE[spec.type](raw);
+  var values = _.isFunction(spec.values) ? spec.values() : spec.values;
+  var problem;
+
+  if (typeof value === 'undefined') {
+    problem = 'must be ' + EXPECTED[spec.type];
+  } else if (values && !_.contains(values, value)) {
+    problem = 'must be one of ' + values.join(', ');
+  } else if (typeof spec.min !== 'undefined' && value < spec.min) {
+    problem = 'must be at least ' + spec.min;
+  } else if (typeof spec.max !== 'undefined' && value > spec.max) {
+    problem = 'must be at most ' + spec.max;
+  } else if (spec.pattern && !spec.pattern.test(value)) {
+    problem = 'must be ' + (spec.hint || 'like ' + spec.pattern);
+  }
+
+  if (problem) {
+    result.errors.push(name + ' ' + problem + ', got ' + JSON.stringify(raw) + from);
+    return fallback;
+  }
+
+  return value;
+}
+
+/*
+ * a single instance is configured in the couchpotato section itself or thru the enviroment,
+ * several instances go in a named list, `backend` picks couchpotato or radarr for each of them
+ */
+function buildInstances(source, result) {
+  var section = result.config.couchpotato;
+
+  if (!isSet(source.instances)) {
+    build(INSTANCE, _.omit(source, _.keys(SCHEMA.couchpotato)), section, 'couchpotato', process.env, result);
+    section.instances = [_.assign({ 'name': 'default' }, _.pick(section, _.keys(INSTANCE)))];
+    return;
+  }
+
+  if (!section.instances) {
+    return;
+  }
+
+  section.instances = _.map(section.instances, function(instance, key) {
+    return build(_.assign({ name: INSTANCE_NAME }, INSTANCE), instance, {}, 'couchpotato.instances[' + key + ']', {},
+      result);
+  });
+
+  if (_.uniq(_.map(section.instances, 'name')).length !== section.instances.length) {
+    result.errors.push('couchpotato.instances must have unique names');
+  }
+}
+
+/*
+ * the limits of roles and users are checked like the global ones, by role name and by
+ * telegram user id
+ */
+function buildQuotas(result) {
+  var section = result.config.quotas;
+
+  function buildLimits(limits, path) {
+    return _.omit(build(QUOTA_LIMITS, limits, {}, path, {}, result), _.isUndefined);
+  }
+
+  section.roles = _.mapValues(section.roles, function(limits, role) {
+    if (!_.contains(roles.ORDER, role)) {
+      result.errors.push('quotas.roles.' + role + ' is not a role, use one of ' + roles.ORDER.join(', '));
+    }
+    return buildLimits(limits, 'quotas.roles.' + role);
+  });
+
+  section.users = _.mapValues(section.users, function(limits, userId) {
+    if (!/^\d+$/.test(userId)) {
+      result.errors.push('quotas.users.' + userId + ' is not a telegram user id');
+    }
+    return buildLimits(limits, 'quotas.users.' + userId);
+  });
+}
+
+/*
+ * checks across settings
+ */
+function check(config, errors) {
+  var webhook = config.telegram.webhook;
+  if (config.telegram.mode === 'webhook') {
+    if (!webhook.url) {
+      errors.push('telegram.webhook.url is required in webhook mode, set it in the config file or WEBHOOK_URL');
+    }
+
+    if (Boolean(webhook.key) !== Boolean(webhook.cert)) {
+      errors.push('telegram.webhook.key and telegram.webhook.cert are needed together to listen over https');
+    }
+  }
+
+  _.forEach(config.couchpotato.defaults, function(defaults, kind) {
+    _.forEach(defaults, function(name, key) {
+      if (!_.some(config.couchpotato.instances, { 'name': name })) {
+        errors.push('couchpotato.defaults.' + kind + '.' + key + ' is the unknown instance "' + name + '"');
+      }
+    });
+  });
+}
+
+/*
+ * path of the config file
+ */
+function getFile() {
+  return process.env.CONFIG_FILE || __dirname + '/../config.json';
+}
+
+/*
+ * read and check the config file and the environment, returns `{ config, errors, warnings }`,
+ * the config is only complete without errors
+ */
+function load(file) {
+  var source = {};
+  var result = { config: {}, errors: [], warnings: [] };
+
+  try {
+    source = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.name === 'SyntaxError') {
+      result.errors.push(file + ' is not valid JSON: ' + err.message);
+      return result;
+    }
+
+    if (err.code !== 'ENOENT') {
+      result.errors.push('could not read ' + file + ': ' + err.message);
+      return result;
+    }
+
+    result.warnings.push(file + ' not found, using the environment');
+  }
+
+  if (!_.isPlainObject(source)) {
+    result.errors.push(file + ' must hold an object');
+    return result;
+  }
+
+  _.forEach(_.difference(_.keys(source), _.keys(SCHEMA)), function(key) {
+    result.warnings.push('unknown section ' + key + ' is ignored');
+  });
+
+  _.forEach(SCHEMA, function(schema, key) {
+    result.config[key] = {};
+    var sectionSource = key === 'couchpotato' ? _.pick(source[key], _.keys(schema)) : source[key];
+    build(schema, sectionSource, result.config[key], key, process.env, result);
+  });
+
+  buildInstances(_.isPlainObject(source.couchpotato) ? source.couchpotato : {}, result);
+  buildQuotas(result);
+
+  if (!result.errors.length) {
+    check(result.config, result.errors);
+  }
+
+  return result;
+}
+
+/*
+ * every setting as `{ path, reload }`, e.g. `{ path: 'bot.password', reload: true }`
+ */
+function getPaths() {
+  var paths = [];
+
+  (function walk(schema, path) {
+    _.forEach(schema, function(spec, key) {
+      if (!isSetting(spec)) {
+        return walk(spec, path + key + '.');
+      }
+      paths.push({ path: path + key, reload: !!spec.reload });
+    });
+  })(SCHEMA, '');
+
+  return paths;
+}
+
+/*
+ * a readable report of the problems of a load
+ */
+function formatErrors(file, errors) {
+  return 'Invalid configuration in ' + file + ':\n' + _.map(errors, function(error) {
+    return '  - ' + error;
+  }).join('\n');
+}
+
+module.exports = {
+  getFile: getFile,
+  load: load,
+  getPaths: getPaths,
+  formatErrors: formatErrors
+};
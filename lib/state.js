@@ -2,12 +2,59 @@ module.exports = {
   couchpotato: {
     MOVIE_SEARCH: 'cpMovieSearch',
     MOVIE: 'cpMovie',
-    PROFILE: 'cpProfile'
+    INSTANCE: 'cpInstance',
+    PROFILE: 'cpProfile',
+    callback: {
+      MOVIE: 'm',
+      INSTANCE: 'n',
+      PROFILE: 'p',
+      LIBRARY_PAGE: 'lp',
+      LIBRARY_INFO: 'li',
+      INFO: 'i'
+    }
+  },
+  manage: {
+    TRY_NEXT_CONFIRM: 'manageTryNextConfirm',
+    CHANGE_PROFILE: 'manageChangeProfile',
+    IGNORE_CONFIRM: 'manageIgnoreConfirm',
+    DELETE_CONFIRM: 'manageDeleteConfirm',
+    callback: {
+      REFRESH: 'mr',
+      TRY_NEXT: 'mt',
+      TRY_NEXT_CONFIRM: 'mtc',
+      CHANGE_PROFILE: 'mp',
+      CHANGE_PROFILE_SELECT: 'mps',
+      IGNORE: 'mi',
+      IGNORE_SELECT: 'mis',
+      IGNORE_CONFIRM: 'mic',
+      DELETE: 'md',
+      DELETE_CONFIRM: 'mdc'
+    }
   },
   admin: {
     REVOKE: 'adminRevoke',
     REVOKE_CONFIRM: 'adminRevokeConfirm',
     UNREVOKE: 'adminUnrevoke',
-    UNREVOKE_CONFIRM: 'adminUnrevokeConfirm'
+    UNREVOKE_CONFIRM: 'adminUnrevokeConfirm',
+    PROMOTE: 'adminPromote',
+    DEMOTE: 'adminDemote',
+    callback: {
+      REVOKE: 'r',
+      REVOKE_CONFIRM: 'rc',
+      UNREVOKE: 'u',
+      UNREVOKE_CONFIRM: 'uc',
+      APPROVE: 'ap',
+      DENY: 'dn',
+      PROMOTE: 'pr',
+      DEMOTE: 'dm',
+      INVITE_REVOKE: 'ir',
+      ACCESS_APPROVE: 'aa',
+      ACCESS_DENY: 'ad'
+    }
+  },
+  settings: {
+    callback: {
+      LANGUAGE: 'lg'
+    }
   }
 };
@@ -0,0 +1,73 @@
+var fs = require('fs-extra');
+var _ = require('lodash');
+var Promise = require('bluebird');
+var logger = require(__dirname + '/../lib/logger');
+var config = require(__dirname + '/../lib/config');
+
+/*
+ * path of a data file in the data directory
+ */
+function getFile(name) {
+  return config.bot.dataDir + '/' + name + '.json';
+}
+
+/*
+ * load a JSON data file, a missing file is created with the defaults
+ */
+function load(name, defaults) {
+  var file = getFile(name);
+
+  try {
+    logger.info('%s file found %s', name, file);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.name === 'SyntaxError') {
+      throw new Error('Invalid ' + name + ' file, please make sure the file is in JSON format.');
+    }
+
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+
+    logger.warn('%s file not found, creating it', name);
+    fs.writeFileSync(file, JSON.stringify(defaults));
+    return defaults;
+  }
+}
+
+// the writes of each file, chained so an older save can't overwrite a newer one
+var writing = {};
+
+/*
+ * save a JSON data file, the file is written in the background
+ */
+function save(name, data) {
+  var file = getFile(name);
+  var json = JSON.stringify(data);
+
+  writing[name] = (writing[name] || Promise.resolve()).then(function() {
+    return Promise.fromNode(function(callback) {
+      fs.writeFile(file, json, callback);
+    });
+  })
+    .then(function() {
+      logger.info('the %s file was updated', name);
+    })
+    .catch(function(err) {
+      logger.error('could not write the %s file %s: %s', name, file, err.message);
+    });
+}
+
+/*
+ * resolves when every file saved so far is written
+ */
+function flush() {
+  return Promise.all(_.values(writing));
+}
+
+module.exports = {
+  getFile: getFile,
+  load: load,
+  save: save,
+  flush: flush
+};
@@ -0,0 +1,45 @@
+var _ = require('lodash');
+var audit = require(__dirname + '/../lib/audit');
+
+/*
+ * the targets of audit entries, see lib/audit.js
+ */
+function user(telegramUser) {
+  return _.assign({ 'type': 'user' }, audit.user(telegramUser));
+}
+
+function chat(telegramChat) {
+  return { 'type': 'chat', 'id': telegramChat.id, 'name': telegramChat.title };
+}
+
+function invite(code) {
+  return { 'type': 'invite', 'id': code, 'name': code };
+}
+
+function movie(instance, searchResult) {
+  return {
+    'type': 'movie', 'id': searchResult.movie_id, 'name': searchResult.keyboard_value || searchResult.title,
+    'instance': instance.name
+  };
+}
+
+// library movies are known by their id only
+function media(instance, mediaId) {
+  return { 'type': 'movie', 'id': mediaId, 'name': mediaId, 'instance': instance.name };
+}
+
+function request(movieRequest) {
+  return {
+    'type': 'request', 'id': movieRequest.id, 'name': movieRequest.movie.keyboard_value,
+    'user': audit.user(movieRequest.user)
+  };
+}
+
+module.exports = {
+  user: user,
+  chat: chat,
+  invite: invite,
+  movie: movie,
+  media: media,
+  request: request
+};
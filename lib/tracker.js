@@ -0,0 +1,76 @@
+var _ = require('lodash');
+var storage = require(__dirname + '/../lib/storage');
+
+var tracker = storage.load('tracker', { 'movies': [] });
+
+/*
+ * release states in the order a movie goes through them
+ */
+var STATUSES = ['requested', 'snatched', 'downloaded', 'done'];
+
+/*
+ * save the tracker file
+ */
+function save() {
+  storage.save('tracker', tracker);
+}
+
+/*
+ * find the entry of a movie, the same movie can be tracked once per couchpotato instance
+ */
+function find(identifier, instance) {
+  return _.find(tracker.movies, function(entry) {
+    return entry.identifier === identifier && entry.instance === instance;
+  });
+}
+
+/*
+ * remember who requested a movie so they can be told when it changes state
+ */
+function track(movie, user, chatId) {
+  var entry = find(movie.identifier, movie.instance);
+  if (!entry) {
+    entry = {
+      'identifier': movie.identifier,
+      'instance': movie.instance,
+      'title': movie.title,
+      'status': STATUSES[0],
+      'requesters': []
+    };
+    tracker.movies.push(entry);
+  }
+
+  if (!_.some(entry.requesters, { 'id': user.id })) {
+    entry.requesters.push({ 'id': user.id, 'chatId': chatId || user.id, 'user': user });
+  }
+
+  save();
+  return entry;
+}
+
+/*
+ * move a tracked movie forward, returns false when the status is not newer
+ */
+function update(identifier, status, instance) {
+  var entry = find(identifier, instance);
+  if (!entry || STATUSES.indexOf(status) <= STATUSES.indexOf(entry.status)) {
+    return false;
+  }
+
+  entry.status = status;
+
+  // nothing left to report once a movie is done
+  if (status === 'done') {
+    _.pull(tracker.movies, entry);
+  }
+
+  save();
+  return entry;
+}
+
+module.exports = {
+  STATUSES: STATUSES,
+  movies: function() { return tracker.movies; },
+  track: track,
+  update: update
+};
@@ -0,0 +1,192 @@
+var _ = require('lodash');                              // https://www.npmjs.com/package/lodash
+var Promise = require('bluebird');                      // https://www.npmjs.com/package/bluebird
+
+var logger  = require(__dirname + '/../lib/logger');    // logs to file and console
+var i18n    = require(__dirname + '/../lib/lang');      // set up multilingual support
+var roles   = require(__dirname + '/../lib/roles');     // user roles from guest to owner
+var storage = require(__dirname + '/../lib/storage');   // JSON data files
+var metrics = require(__dirname + '/../lib/metrics');   // counters served on /metrics
+
+/*
+ * The users in the access control list, their roles, languages and the command lists
+ * telegram shows them. The helpers are added to the app, see lib/bot.js.
+ */
+module.exports = function(app) {
+  var bot = app.bot;
+  var config = app.config;
+  var acl = app.acl;
+
+  /*
+   * save access control list
+   */
+  function updateACL() {
+    storage.save('acl', acl);
+  }
+
+  /*
+   * check to see is user is authenticated
+   * returns true/false
+   */
+  function isAuthorized(userId) {
+    return _.some(acl.allowedUsers, { 'id': userId });
+  }
+
+  /*
+   * check to see is user is banned
+   * returns true/false
+   */
+  function isRevoked(userId) {
+    return _.some(acl.revokedUsers, { 'id': userId });
+  }
+
+  /*
+   * add a user to the acl with a role, the first user is asked to become the owner
+   */
+  function addUser(user, role) {
+    var record = _.assign({}, user, { 'role': role });
+    acl.allowedUsers.push(record);
+    updateACL();
+
+    if (acl.allowedUsers.length === 1) {
+      app.promptOwnerConfig(user.id);
+    }
+
+    // admins have commands of their own
+    if (roles.atLeast(role, roles.ADMIN)) {
+      updateUserCommands(record);
+    }
+  }
+
+  /*
+   * check if the actor has a higher role than the user
+   */
+  function canManage(actor, user) {
+    return roles.ORDER.indexOf(app.getRole(actor)) > roles.ORDER.indexOf(app.getRole(user));
+  }
+
+  /*
+   * the assignable role a step up or down from the current role of a user
+   */
+  function getNextRole(user, step) {
+    var key = roles.ASSIGNABLE.indexOf(user.role);
+    return key === -1 ? undefined : roles.ASSIGNABLE[key + step];
+  }
+
+  /*
+   * the owner and every user with the admin role
+   */
+  function getAdmins() {
+    var admins = _.filter(acl.allowedUsers, function(user) { return roles.atLeast(user.role, roles.ADMIN); });
+    if (config.bot.owner && !_.some(admins, { 'id': config.bot.owner })) {
+      admins.push({ id: config.bot.owner });
+    }
+
+    return admins;
+  }
+
+  /*
+   * register the command lists shown by telegram, in `bot.language` and in every locale for the
+   * users with that language, admins and users who picked a language get their own list in their chat
+   */
+  function updateBotCommands() {
+    var languages = [null].concat(i18n.getLocales());
+
+    var updates = _.map(languages, function(locale) {
+      var lang = i18n.forLocale(locale || config.bot.language);
+      var opts = locale ? { language_code: locale } : {};
+
+      return bot.setMyCommands(app.router.botCommands(roles.REQUESTER, lang.__), opts).catch(function(err) {
+        logger.warn('could not update the bot commands: %s', err.message);
+      });
+    });
+
+    var users = _.uniq(getAdmins().concat(_.filter(acl.allowedUsers, 'language')), 'id');
+
+    return Promise.all(updates.concat(_.map(users, updateUserCommands)));
+  }
+
+  /*
+   * register the command list for the role of a single user in their chat
+   */
+  function updateUserCommands(user) {
+    return bot.setMyCommands(app.router.botCommands(app.getRole(user), app.getLang(user).__), {
+      scope: { type: 'chat', chat_id: user.id }
+    }).catch(function(err) {
+      logger.warn('could not update the bot commands of user %s: %s', user.id, err.message);
+    });
+  }
+
+  /*
+   * store the language of a user in their acl record, `reply` is called with the outcome
+   */
+  function setLanguage(user, locale, reply) {
+    var lang = app.getLang(user);
+    var allowedUser = _.find(acl.allowedUsers, { 'id': user.id });
+
+    if (!_.contains(i18n.getLocales(), locale)) {
+      return reply(lang.__('languageNotFound', i18n.getLocales().join(', ')));
+    }
+
+    // users without an acl record of their own, like members of an authorized group, have nowhere to keep it
+    if (!allowedUser) {
+      return reply(lang.__('languageNotSaved'));
+    }
+
+    logger.info('user: %s, message: changed the language to %s', user.id, locale);
+
+    allowedUser.language = locale;
+    updateACL();
+    updateUserCommands(allowedUser);
+
+    lang = app.getLang(user);
+    return reply(lang.__('languageChanged', lang.__('languageName')));
+  }
+
+  /*
+   * Failed `/auth` and `/join` attempts by user id. After `bot.authAttempts` failures within
+   * `bot.authLockout` minutes a user has to wait until the oldest of them is that old.
+   */
+  var authFailures = {};
+
+  /*
+   * the minutes a user is locked out for, 0 when they may try again
+   */
+  function getLockout(userId) {
+    var since = Date.now() - config.bot.authLockout * 60000;
+    var failures = _.filter(authFailures[userId], function(time) { return time > since; });
+    authFailures[userId] = failures;
+
+    if (failures.length < config.bot.authAttempts) {
+      return 0;
+    }
+
+    return Math.ceil((failures[failures.length - config.bot.authAttempts] - since) / 60000);
+  }
+
+  /*
+   * count a failed `auth` or `join`, they are logged for the admin to spot guessing
+   */
+  function recordAuthFailure(user, action, target) {
+    authFailures[user.id] = (authFailures[user.id] || []).concat([Date.now()]);
+    metrics.increment('cpbot_auth_failures_total');
+    app.audit.record(user, action, target, 'failure');
+
+    logger.warn('user: %s (%s), message: failed to %s, %s of %s attempts', user.id,
+      app.getTelegramName(user), action, authFailures[user.id].length, config.bot.authAttempts);
+  }
+
+  _.assign(app, {
+    updateACL: updateACL,
+    isAuthorized: isAuthorized,
+    isRevoked: isRevoked,
+    addUser: addUser,
+    canManage: canManage,
+    getNextRole: getNextRole,
+    getAdmins: getAdmins,
+    updateBotCommands: updateBotCommands,
+    updateUserCommands: updateUserCommands,
+    setLanguage: setLanguage,
+    getLockout: getLockout,
+    recordAuthFailure: recordAuthFailure
+  });
+};
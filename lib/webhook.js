@@ -0,0 +1,134 @@
+var fs = require('fs-extra');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var Promise = require('bluebird');
+var logger = require(__dirname + '/../lib/logger');
+
+// telegram updates are small, anything bigger is not from telegram
+var MAX_BODY = 1024 * 1024;
+
+/*
+ * Webhook listener, receives the updates telegram posts to the public url and hands them
+ * to the bot. Requests without the secret token the webhook was registered with are refused.
+ *
+ *   options.host, options.port    where to listen
+ *   options.path                  path the updates are posted to
+ *   options.url                   public url telegram posts to, usually a reverse proxy
+ *   options.key, options.cert     key and certificate files to listen over https
+ *   options.secretToken           token telegram sends in `X-Telegram-Bot-Api-Secret-Token`
+ */
+function Webhook(bot, options) {
+  this.bot = bot;
+  this.options = options;
+  this.server = null;
+}
+
+/*
+ * start listening and register the webhook with telegram
+ */
+Webhook.prototype.start = function() {
+  var self = this;
+  var options = this.options;
+  var listener = this.handle.bind(this);
+
+  this.server = options.key && options.cert ?
+    https.createServer({ key: fs.readFileSync(options.key), cert: fs.readFileSync(options.cert) }, listener) :
+    http.createServer(listener);
+
+  return new Promise(function(resolve, reject) {
+    self.server.once('error', reject);
+    self.server.listen(options.port, options.host, resolve);
+  })
+    .then(function() {
+      logger.info('webhook listening on %s:%s%s', options.host, self.server.address().port, options.path);
+
+      var params = { 'secret_token': options.secretToken };
+
+      // a self-signed certificate has to be sent along for telegram to trust it
+      if (options.cert) {
+        params.certificate = options.cert;
+      }
+
+      return self.bot.setWebHook(options.url, params);
+    })
+    .then(function() {
+      logger.info('webhook registered at %s', options.url);
+    });
+};
+
+/*
+ * unregister the webhook and stop listening
+ */
+Webhook.prototype.stop = function() {
+  var server = this.server;
+
+  return Promise.resolve(this.bot.deleteWebHook())
+    .then(function() {
+      logger.info('webhook unregistered');
+    })
+    .catch(function(err) {
+      logger.warn('could not unregister the webhook: %s', err.message);
+    })
+    .finally(function() {
+      if (server) {
+        return Promise.promisify(server.close, server)();
+      }
+    });
+};
+
+/*
+ * check an incoming request and pass its update to the bot
+ */
+Webhook.prototype.handle = function(req, res) {
+  var self = this;
+
+  if (url.parse(req.url).pathname !== this.options.path) {
+    return reply(res, 404);
+  }
+
+  if (req.method !== 'POST') {
+    return reply(res, 405);
+  }
+
+  if (req.headers['x-telegram-bot-api-secret-token'] !== this.options.secretToken) {
+    logger.warn('webhook request from %s without the secret token', req.socket.remoteAddress);
+    return reply(res, 401);
+  }
+
+  var chunks = [];
+  var size = 0;
+
+  req.on('data', function(chunk) {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      reply(res, 413);
+      return req.destroy();
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', function() {
+    if (res.headersSent) {
+      return;
+    }
+
+    var update;
+    try {
+      update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (err) {
+      return reply(res, 400);
+    }
+
+    // answer right away, telegram sends the update again when the answer is slow
+    reply(res, 200);
+    self.bot.processUpdate(update);
+  });
+};
+
+function reply(res, statusCode) {
+  res.statusCode = statusCode;
+  res.end();
+}
+
+module.exports = Webhook;
@@ -0,0 +1,215 @@
+var assert = require('assert');
+var fs = require('fs-extra');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var FakeBot = require(__dirname + '/helpers/fake-bot');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+
+describe('user administration', function() {
+  var t;
+
+  beforeEach(function() {
+    return helpers.createApp().then(function(app) {
+      t = app;
+    });
+  });
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  /*
+   * resolves to the acl once the bot has saved it to the data directory
+   */
+  function savedACL() {
+    return t.saved().then(function() {
+      return fs.readJsonSync(t.dataDir + '/acl.json');
+    });
+  }
+
+  it('lists the users with their roles', function() {
+    t.bot.send(USERS.admin, '/users');
+    return t.bot.nextReply().then(function(reply) {
+      assert.equal(reply.text, [
+        '*' + i18n.__('allowedUsers') + ':*',
+        '*1*) admin - _admin_',
+        '*2*) requester - _requester_',
+        '*3*) viewer - _viewer_'
+      ].join('\n'));
+    });
+  });
+
+  it('is only for admins', function() {
+    t.bot.send(USERS.requester, '/users');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, i18n.__('adminOnly')));
+    });
+  });
+
+  describe('revoke', function() {
+    it('only offers users with a lower role', function() {
+      t.bot.send(USERS.admin, '/revoke');
+      return t.bot.nextReply().then(function(reply) {
+        assert.deepEqual(FakeBot.buttons(reply), ['r:3', 'r:4']);
+        assert.equal(t.sessions.get(USERS.admin.id, USERS.admin.id).state, 'adminRevoke');
+      });
+    });
+
+    it('revokes the user after the confirmation', function() {
+      t.bot.send(USERS.admin, '/revoke');
+      return t.bot.nextReply()
+        .then(function() {
+          t.bot.press(USERS.admin, 'r:3');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('revokeConfirm') + ' @requester?');
+          assert.deepEqual(FakeBot.buttons(reply), ['rc:3:no', 'rc:3:yes']);
+
+          t.bot.press(USERS.admin, 'rc:3:yes');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('accessRevoked') + ' @requester.');
+          assert.equal(t.sessions.get(USERS.admin.id, USERS.admin.id).state, null);
+          return savedACL();
+        })
+        .then(function(saved) {
+          assert.deepEqual(_.map(saved.allowedUsers, 'id'), [USERS.admin.id, USERS.viewer.id]);
+          assert.deepEqual(_.map(saved.revokedUsers, 'id'), [USERS.revoked.id, USERS.requester.id]);
+        });
+    });
+
+    it('keeps the user when the admin says no', function() {
+      t.bot.press(USERS.admin, 'rc:3:no');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('accessNotRevoked') + ' @requester.');
+        assert.equal(t.acl.allowedUsers.length, 3);
+      });
+    });
+
+    it('does not let admins revoke other admins', function() {
+      t.bot.press(USERS.admin, 'r:2');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('userNotFound')));
+      });
+    });
+
+    it('lets the owner revoke admins', function() {
+      t.bot.press(USERS.owner, 'rc:2:yes');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('accessRevoked') + ' @admin.');
+      });
+    });
+  });
+
+  describe('unrevoke', function() {
+    it('lists the revoked users and unrevokes after the confirmation', function() {
+      t.bot.send(USERS.admin, '/unrevoke');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.deepEqual(FakeBot.buttons(reply), ['u:6']);
+
+          t.bot.press(USERS.admin, 'u:6');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('unrevokeConfirm') + ' @revoked?');
+
+          t.bot.press(USERS.admin, 'uc:6:yes');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('accessUnrevoked') + ' @revoked.');
+          return savedACL();
+        })
+        .then(function(saved) {
+          assert.deepEqual(saved.revokedUsers, []);
+        });
+    });
+
+    it('keeps the user revoked when the admin says no', function() {
+      t.bot.press(USERS.admin, 'uc:6:no');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('accessNotUnrevoked') + ' @revoked.');
+        assert.equal(t.acl.revokedUsers.length, 1);
+      });
+    });
+
+    it('says so when nobody is revoked', function() {
+      t.acl.revokedUsers = [];
+      t.bot.send(USERS.admin, '/unrevoke');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('noRevokedUsers'));
+      });
+    });
+  });
+
+  describe('roles', function() {
+    it('promotes a user and tells them', function() {
+      t.bot.send(USERS.admin, '/promote');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, 'viewer - _viewer_ → _requester_'));
+          assert.deepEqual(FakeBot.buttons(reply), ['pr:3', 'pr:4']);
+
+          t.bot.press(USERS.admin, 'pr:4');
+          return t.bot.nextReplies(2);
+        })
+        .then(function(replies) {
+          assert.equal(replies[0].text, '@viewer ' + i18n.__('roleChanged') + ' _requester_.');
+          assert.equal(replies[1].chatId, USERS.viewer.id);
+          assert.ok(_.includes(replies[1].text, i18n.__('yourRoleChanged') + ' _requester_.'));
+          var scoped = _.filter(t.bot.calls, function(call) {
+            return call.method === 'setMyCommands' && _.get(call.args[1], 'scope.chat_id') === USERS.viewer.id;
+          });
+          assert.ok(_.some(scoped[0].args[0], { command: 'q' }));
+          return savedACL();
+        })
+        .then(function(saved) {
+          assert.equal(_.find(saved.allowedUsers, { id: USERS.viewer.id }).role, 'requester');
+        });
+    });
+
+    it('demotes a user', function() {
+      t.bot.send(USERS.admin, '/demote');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          // viewers can't go lower
+          assert.deepEqual(FakeBot.buttons(reply), ['dm:3']);
+
+          t.bot.press(USERS.admin, 'dm:3');
+          return t.bot.nextReplies(2);
+        })
+        .then(function(replies) {
+          assert.equal(replies[0].text, '@requester ' + i18n.__('roleChanged') + ' _viewer_.');
+          assert.equal(t.acl.allowedUsers[1].role, 'viewer');
+        });
+    });
+
+    it('does not let admins demote other admins', function() {
+      t.bot.press(USERS.admin, 'dm:2');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('userNotFound')));
+        assert.equal(t.acl.allowedUsers[0].role, 'admin');
+      });
+    });
+
+    it('lets the owner demote admins', function() {
+      t.bot.press(USERS.owner, 'dm:2');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, '@admin ' + i18n.__('roleChanged') + ' _requester_.');
+      });
+    });
+
+    it('says so when nobody can be changed', function() {
+      _.remove(t.acl.allowedUsers, { role: 'requester' });
+      t.bot.send(USERS.admin, '/demote');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('noUsersToChange'));
+      });
+    });
+  });
+});
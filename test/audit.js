@@ -0,0 +1,247 @@
+var assert = require('assert');
+var fs = require('fs');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+var FakeBot = require(__dirname + '/helpers/fake-bot');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+var HD = fixtures.profiles.list[0]._id;
+
+describe('audit log', function() {
+  var t;
+
+  function start(options) {
+    return helpers.createApp(options).then(function(app) {
+      t = app;
+      t.couchpotato
+        .respond('movie.search', fixtures.search)
+        .respond('profile.list', fixtures.profiles)
+        .respond('media.list', { movies: [], total: 0 });
+    });
+  }
+
+  /*
+   * every entry of the log file, oldest first
+   */
+  function entries() {
+    return t.audit.find(_.constant(true), Infinity).then(function(found) {
+      return found.reverse();
+    });
+  }
+
+  /*
+   * add the first movie of the search as the user
+   */
+  function addMovie(user) {
+    t.bot.send(user, '/q alien');
+    return t.bot.nextReply()
+      .then(function(reply) {
+        t.bot.press(user, FakeBot.button(reply, 'm'));
+        return t.bot.nextReply();
+      })
+      .then(function(reply) {
+        t.bot.press(user, FakeBot.button(reply, 'p', HD));
+        return t.bot.settle();
+      });
+  }
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  describe('recording', function() {
+    beforeEach(function() {
+      return start();
+    });
+
+    it('writes who authorized with the password and who failed to', function() {
+      t.bot.send(USERS.guest, '/auth wrong');
+      t.bot.send(USERS.guest, '/auth ' + helpers.PASSWORD);
+      return t.bot.nextReplies(3)
+        .then(entries)
+        .then(function(found) {
+          assert.deepEqual(_.map(found, 'action'), ['auth', 'auth']);
+          assert.deepEqual(_.map(found, 'outcome'), ['failure', 'success']);
+          assert.deepEqual(found[1].actor, { id: USERS.guest.id, name: 'guest' });
+          assert.deepEqual(found[1].target, { type: 'user', id: USERS.guest.id, name: 'guest' });
+          assert.ok(!isNaN(Date.parse(found[1].time)));
+        });
+    });
+
+    it('writes one JSON object per line', function() {
+      return addMovie(USERS.requester)
+        .then(entries)
+        .then(function() {
+          var lines = fs.readFileSync(t.config.audit.file, 'utf8').trim().split('\n');
+          assert.equal(lines.length, 1);
+          assert.deepEqual(_.omit(JSON.parse(lines[0]), 'time'), {
+            actor: { id: USERS.requester.id, name: 'requester' },
+            action: 'movie.add',
+            target: { type: 'movie', id: 'tt0078748', name: 'Alien - 1979', instance: 'default' },
+            outcome: 'success'
+          });
+        });
+    });
+
+    it('writes revocations with the admin and the user', function() {
+      t.bot.send(USERS.admin, '/revoke');
+      return t.bot.nextReply()
+        .then(function() {
+          t.bot.press(USERS.admin, 'rc:3:yes');
+          return t.bot.nextReply();
+        })
+        .then(entries)
+        .then(function(found) {
+          assert.equal(found[0].action, 'user.revoke');
+          assert.equal(found[0].actor.id, USERS.admin.id);
+          assert.equal(found[0].target.id, USERS.requester.id);
+        });
+    });
+
+    it('skips lines that were cut off', function() {
+      fs.writeFileSync(t.config.audit.file, '{"action":"auth","actor":{"id":1}');
+      t.bot.send(USERS.guest, '/auth wrong');
+      return t.bot.nextReply()
+        .then(entries)
+        .then(function(found) {
+          assert.equal(found.length, 0);
+
+          fs.writeFileSync(t.config.audit.file, '{"action":"au\n');
+          t.bot.send(USERS.guest, '/auth wrong');
+          return t.bot.nextReply();
+        })
+        .then(entries)
+        .then(function(found) {
+          assert.equal(found.length, 1);
+        });
+    });
+  });
+
+  describe('reading and rotating', function() {
+    /*
+     * log lines of auth attempts by the users 1 to count, the names take several bytes each
+     */
+    function lines(count) {
+      return _.map(_.range(1, count + 1), function(id) {
+        return JSON.stringify({ actor: { id: id, name: 'Jürgen ' + id }, action: 'auth', outcome: 'failure' });
+      }).join('\n') + '\n';
+    }
+
+    beforeEach(function() {
+      return start({ config: { audit: { maxSize: 1 } } });
+    });
+
+    it('reads a long log back from its end', function() {
+      fs.writeFileSync(t.config.audit.file, lines(3000));
+
+      return t.audit.find(_.constant(true), 3)
+        .then(function(found) {
+          assert.deepEqual(_.map(found, 'actor.id'), [3000, 2999, 2998]);
+          return t.audit.find(function(entry) { return entry.actor.id === 1; }, 5);
+        })
+        .then(function(found) {
+          assert.equal(found.length, 1);
+          assert.equal(found[0].actor.name, 'Jürgen 1');
+        });
+    });
+
+    it('moves a full log aside and keeps finding its entries', function() {
+      fs.writeFileSync(t.config.audit.file, lines(20000));
+      t.bot.send(USERS.guest, '/auth wrong');
+      return t.bot.nextReply()
+        .then(function() {
+          return t.audit.find(_.constant(true), 2);
+        })
+        .then(function(found) {
+          assert.ok(fs.existsSync(t.config.audit.file + '.1'));
+          assert.ok(!fs.existsSync(t.config.audit.file));
+          assert.deepEqual(_.map(found, 'actor.id'), [USERS.guest.id, 20000]);
+
+          t.bot.send(USERS.guest, '/auth wrong');
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          return t.audit.find(_.constant(true), 3);
+        })
+        .then(function(found) {
+          assert.deepEqual(_.map(found, 'actor.id'), [USERS.guest.id, USERS.guest.id, 20000]);
+          assert.equal(fs.readFileSync(t.config.audit.file, 'utf8').split('\n').length, 2);
+        });
+    });
+  });
+
+  describe('/history', function() {
+    beforeEach(function() {
+      return start({ config: { bot: { requireApproval: true } } }).then(function() {
+        return addMovie(USERS.requester);
+      })
+        .then(function() {
+          t.bot.press(USERS.admin, 'ap:1');
+          return t.bot.settle();
+        })
+        .then(function() {
+          return addMovie(USERS.admin);
+        });
+    });
+
+    it('shows users their own requests', function() {
+      t.bot.send(USERS.requester, '/history');
+      return t.bot.nextReply().then(function(reply) {
+        var lines = reply.text.split('\n');
+        assert.equal(lines[0], '*' + i18n.__('history') + ':*');
+        assert.equal(lines.length, 4);
+        assert.ok(_.endsWith(lines[1], i18n.__('action_movie_request', '@requester', 'Alien - 1979') + ' - _' +
+          i18n.__('outcome_pending') + '_'));
+        assert.ok(_.endsWith(lines[2], i18n.__('action_movie_add', '@requester', 'Alien - 1979')));
+        assert.ok(_.endsWith(lines[3], i18n.__('action_request_approve', '@admin', 'Alien - 1979')));
+      });
+    });
+
+    it('does not let users see the history of others', function() {
+      t.bot.send(USERS.requester, '/history @admin');
+      t.bot.send(USERS.viewer, '/history');
+      return t.bot.nextReplies(2).then(function(replies) {
+        assert.ok(_.includes(replies[0].text, i18n.__('historyOwn')));
+        assert.ok(_.includes(replies[1].text, i18n.__('requesterOnly')));
+      });
+    });
+
+    it('lets admins see anyone and filter by action', function() {
+      t.bot.send(USERS.admin, '/history');
+      t.bot.send(USERS.admin, '/history @requester action:request');
+      t.bot.send(USERS.admin, '/history action:movie.add');
+      return t.bot.nextReplies(3).then(function(replies) {
+        assert.equal(replies[0].text.split('\n').length, 5);
+
+        var lines = replies[1].text.split('\n');
+        assert.equal(lines.length, 2);
+        assert.ok(_.includes(lines[1], i18n.__('action_request_approve', '@admin', 'Alien - 1979')));
+
+        assert.ok(_.includes(replies[2].text, '@requester'));
+        assert.ok(_.includes(replies[2].text, i18n.__('action_movie_add', '@admin', 'Alien - 1979')));
+      });
+    });
+
+    it('escapes the names in the history for markdown', function() {
+      return addMovie(_.assign({}, USERS.requester, { username: 'movie_fan' }))
+        .then(function() {
+          t.bot.send(USERS.admin, '/history movie_fan action:movie.request');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          var lines = reply.text.split('\n');
+          assert.equal(lines.length, 2);
+          assert.ok(_.includes(lines[1], i18n.__('action_movie_request', '@movie\\_fan', 'Alien - 1979')));
+        });
+    });
+
+    it('tells admins about unknown actions', function() {
+      t.bot.send(USERS.admin, '/history action:nothing');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, 'movie.add, movie.request'));
+      });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+var assert = require('assert');
+var fs = require('fs');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+
+describe('authorization', function() {
+  var t;
+
+  beforeEach(function() {
+    return helpers.createApp().then(function(app) { t = app; });
+  });
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  it('tells guests they are not authorized', function() {
+    t.bot.send(USERS.guest, '/start');
+    return t.bot.nextReply().then(function(reply) {
+      assert.equal(reply.chatId, USERS.guest.id);
+      assert.ok(_.includes(reply.text, i18n.__('notAuthorized')));
+    });
+  });
+
+  it('tells guests sending text they are not authorized', function() {
+    t.bot.send(USERS.guest, 'alien');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, i18n.__('notAuthorized')));
+    });
+  });
+
+  it('rejects a wrong password', function() {
+    t.bot.send(USERS.guest, '/auth wrong');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, i18n.__('invalidPassword')));
+      assert.ok(!_.some(t.acl.allowedUsers, { id: USERS.guest.id }));
+    });
+  });
+
+  it('asks for the password', function() {
+    t.bot.send(USERS.guest, '/auth');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, '/auth [password]'));
+    });
+  });
+
+  it('authorizes a guest with the default role and tells the owner', function() {
+    t.bot.send(USERS.guest, '/auth ' + helpers.PASSWORD);
+    return t.bot.nextReplies(2).then(function(replies) {
+      assert.equal(replies[0].text, i18n.__('isAuthorized'));
+      assert.equal(replies[1].chatId, USERS.owner.id);
+      assert.ok(_.includes(replies[1].text, USERS.guest.username));
+
+      var user = _.find(t.acl.allowedUsers, { id: USERS.guest.id });
+      assert.equal(user.role, 'requester');
+      return t.saved();
+    })
+      .then(function() {
+        var saved = JSON.parse(fs.readFileSync(t.dataDir + '/acl.json', 'utf8'));
+        assert.ok(_.some(saved.allowedUsers, { id: USERS.guest.id }));
+      });
+  });
+
+  it('tells authorized users they already are', function() {
+    t.bot.send(USERS.requester, '/auth ' + helpers.PASSWORD);
+    return t.bot.nextReply().then(function(reply) {
+      assert.equal(reply.text, i18n.__('alreadyAuthorized'));
+    });
+  });
+
+  it('does not authorize revoked users', function() {
+    t.bot.send(USERS.revoked, '/auth ' + helpers.PASSWORD);
+    return t.bot.nextReply().then(function(reply) {
+      assert.equal(reply.text, i18n.__('isRevoked'));
+    });
+  });
+
+  it('tells revoked users they are revoked', function() {
+    t.bot.send(USERS.revoked, '/start');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, i18n.__('isRevoked')));
+    });
+  });
+
+  it('greets users on /start', function() {
+    t.bot.send(USERS.viewer, '/start');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, 'Hello @viewer!'));
+    });
+  });
+
+  it('answers unknown commands', function() {
+    t.bot.send(USERS.requester, '/nope');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, i18n.__('unknownCommand')));
+    });
+  });
+
+  it('asks for a command when there is nothing going on', function() {
+    t.bot.send(USERS.requester, 'hello');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, i18n.__('noState')));
+    });
+  });
+
+  it('prompts a first user for the owner id when there is no owner', function() {
+    return t.stop()
+      .then(function() {
+        return helpers.createApp({
+          config: { bot: { owner: 0 } },
+          acl: { version: 2, allowedUsers: [], revokedUsers: [] }
+        });
+      })
+      .then(function(app) {
+        t = app;
+        t.bot.send(USERS.guest, '/auth ' + helpers.PASSWORD);
+        return t.bot.nextReplies(2);
+      })
+      .then(function(replies) {
+        assert.ok(_.includes(replies[0].text, i18n.__('yourUserId') + ': ' + USERS.guest.id));
+        assert.equal(replies[1].text, i18n.__('isAuthorized'));
+      });
+  });
+
+  describe('/help', function() {
+    it('lists the commands of the role', function() {
+      t.bot.send(USERS.viewer, '/help');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, '/library'));
+        assert.ok(!_.includes(reply.text, '/q '));
+        assert.ok(!_.includes(reply.text, 'Admin commands'));
+      });
+    });
+
+    it('lists the admin commands for admins', function() {
+      t.bot.send(USERS.admin, '/help');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, '/q [movie name]'));
+        assert.ok(_.includes(reply.text, 'Admin commands'));
+        assert.ok(_.includes(reply.text, '/revoke'));
+      });
+    });
+
+    it('only lists /auth and /help for guests', function() {
+      t.bot.send(USERS.guest, '/help');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, '/auth [password]'));
+        assert.ok(!_.includes(reply.text, '/library'));
+      });
+    });
+  });
+
+  it('registers the command lists with telegram', function() {
+    return t.bot.settle().then(function() {
+      var calls = _.filter(t.bot.calls, { method: 'setMyCommands' });
+      var scopes = _.map(calls, function(call) { return call.args[1].scope && call.args[1].scope.chat_id; });
+
+      assert.ok(_.includes(scopes, undefined));
+      assert.ok(_.includes(scopes, USERS.owner.id));
+      assert.ok(_.includes(scopes, USERS.admin.id));
+    });
+  });
+});
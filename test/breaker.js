@@ -0,0 +1,135 @@
+var assert = require('assert');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+var FakeBot = require(__dirname + '/helpers/fake-bot');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+var HD = fixtures.profiles.list[0]._id;
+
+describe('unreachable backend', function() {
+  var t;
+
+  beforeEach(function() {
+    var couchpotato = { retries: 2, retryDelay: 1, breakerThreshold: 2, breakerCooldown: 30 };
+
+    return helpers.createApp({ config: { couchpotato: couchpotato } }).then(function(app) {
+      t = app;
+      t.couchpotato
+        .respond('movie.search', fixtures.search)
+        .respond('profile.list', fixtures.profiles)
+        .respond('media.list', { movies: [], total: 0 });
+    });
+  });
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  function breaker() {
+    return t.instances.list()[0].breaker;
+  }
+
+  it('sends searches again until they get through', function() {
+    t.couchpotato.hangUp(2, 'movie.search');
+    t.bot.send(USERS.requester, '/q alien');
+    return t.bot.nextReply().then(function(reply) {
+      assert.equal(t.couchpotato.calls('movie.search').length, 3);
+      assert.ok(_.includes(reply.text, '[Alien]'));
+      assert.ok(!breaker().isOpen());
+    });
+  });
+
+  it('tells users to try again later instead of the error', function() {
+    t.couchpotato.hangUp(Infinity);
+    t.bot.send(USERS.requester, '/q alien');
+    // the admins are alerted too, the search and the library both failed
+    return t.bot.nextReplies(3).then(function(replies) {
+      var reply = _.find(replies, { chatId: USERS.requester.id });
+      assert.equal(t.couchpotato.calls('movie.search').length, 3);
+      assert.ok(_.includes(reply.text, i18n.__('backendUnavailable', 'CouchPotato')));
+      assert.ok(!_.includes(reply.text, 'hang up'));
+    });
+  });
+
+  it('does not send a movie again that may have been added', function() {
+    t.bot.send(USERS.requester, '/q alien');
+    return t.bot.nextReply()
+      .then(function(reply) {
+        t.bot.press(USERS.requester, FakeBot.button(reply, 'm'));
+        return t.bot.nextReply();
+      })
+      .then(function(reply) {
+        t.couchpotato.hangUp(1, 'movie.add');
+        t.bot.press(USERS.requester, FakeBot.button(reply, 'p', HD));
+        return t.bot.nextReply();
+      })
+      .then(function(reply) {
+        assert.equal(t.couchpotato.calls('movie.add').length, 1);
+        assert.ok(_.includes(reply.text, i18n.__('backendUnavailable', 'CouchPotato')));
+      });
+  });
+
+  // a search also fetches the library, with both failing the breaker opens
+  it('stops sending requests while it is down and alerts the admins once each way', function() {
+    t.couchpotato.hangUp(Infinity);
+
+    t.bot.send(USERS.requester, '/q alien');
+    return t.bot.nextReplies(3)
+      .then(function(replies) {
+        assert.ok(breaker().isOpen());
+        var alerts = _.reject(replies, { chatId: USERS.requester.id });
+        assert.deepEqual(_.map(alerts, 'chatId').sort(), [USERS.owner.id, USERS.admin.id]);
+        assert.ok(_.includes(alerts[0].text, 'CouchPotato'));
+
+        t.bot.send(USERS.requester, '/q alien');
+        return t.bot.nextReply();
+      })
+      .then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('backendUnavailable', 'CouchPotato')));
+        assert.equal(t.couchpotato.calls('movie.search').length, 3);
+
+        // the cooldown is over and the backend is back
+        t.couchpotato.hangUp(0);
+        breaker().openedAt -= 30000;
+        t.bot.send(USERS.requester, '/q alien');
+        return t.bot.nextReplies(3);
+      })
+      .then(function(replies) {
+        assert.ok(!breaker().isOpen());
+        assert.ok(_.some(replies, { chatId: USERS.admin.id, text: i18n.__('backendUp', 'CouchPotato') }));
+        assert.ok(_.includes(_.find(replies, { chatId: USERS.requester.id }).text, '[Alien]'));
+      });
+  });
+
+  it('stays down without another alert when the backend is still unreachable', function() {
+    t.couchpotato.hangUp(Infinity);
+
+    t.bot.send(USERS.requester, '/q alien');
+    return t.bot.nextReplies(3)
+      .then(function() {
+        breaker().openedAt -= 30000;
+        t.bot.send(USERS.requester, '/q alien');
+        return t.bot.nextReply();
+      })
+      .then(function(reply) {
+        assert.equal(reply.chatId, USERS.requester.id);
+        assert.equal(t.couchpotato.calls('movie.search').length, 6);
+        return t.bot.settle();
+      })
+      .then(function(replies) {
+        assert.deepEqual(replies, []);
+        assert.ok(breaker().isOpen());
+      });
+  });
+
+  it('lets errors the backend answers with through', function() {
+    t.couchpotato.respond('movie.search', { error: 'Unauthorized' });
+    t.bot.send(USERS.requester, '/q alien');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(!_.includes(reply.text, i18n.__('backendUnavailable', 'CouchPotato')));
+      assert.equal(breaker().failures, 0);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+var assert = require('assert');
+var fs = require('fs-extra');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var settings = require(__dirname + '/../lib/settings');
+
+var USERS = helpers.USERS;
+var API_KEY = 'abcdefghijklmnopqrstuvwxyz012345';
+
+describe('configuration', function() {
+  var dir, env;
+
+  /*
+   * load a config file with the content and the environment variables
+   */
+  function load(content, variables) {
+    var file = dir + '/config.json';
+    fs.writeFileSync(file, _.isString(content) ? content : JSON.stringify(content));
+    _.assign(process.env, variables);
+    return settings.load(file);
+  }
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpbot-config-'));
+    env = _.clone(process.env);
+  });
+
+  afterEach(function() {
+    _.forEach(_.difference(_.keys(process.env), _.keys(env)), function(name) {
+      delete process.env[name];
+    });
+    _.assign(process.env, env);
+    fs.removeSync(dir);
+  });
+
+  it('fills in the defaults', function() {
+    var result = load({ telegram: { botToken: 'token' }, couchpotato: { apiKey: API_KEY } });
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.config.telegram.mode, 'polling');
+    assert.equal(result.config.bot.maxResults, 15);
+    assert.equal(path.resolve(result.config.session.file), path.resolve(__dirname, '../sessions.json'));
+    assert.deepEqual(result.config.couchpotato.instances, [{
+      name: 'default', backend: 'couchpotato', hostname: 'localhost', apiKey: API_KEY, port: 5050,
+      urlBase: undefined, ssl: false, username: undefined, password: undefined, rootFolder: undefined
+    }]);
+  });
+
+  it('takes what the file leaves empty from the environment, coerced to its type', function() {
+    var result = load({ telegram: { botToken: '' }, bot: { maxResults: '' } }, {
+      TELEGRAM_BOTTOKEN: 'token',
+      COUCHPOTATO_APIKEY: API_KEY,
+      COUCHPOTATO_SSL: 'false',
+      COUCHPOTATO_PORT: '5051',
+      BOT_MAXRESULTS: '7',
+      BOT_REQUIREAPPROVAL: 'yes',
+      NOTIFY_ENABLED: '0'
+    });
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.config.telegram.botToken, 'token');
+    assert.strictEqual(result.config.couchpotato.instances[0].ssl, false);
+    assert.strictEqual(result.config.couchpotato.instances[0].port, 5051);
+    assert.strictEqual(result.config.bot.maxResults, 7);
+    assert.strictEqual(result.config.bot.requireApproval, true);
+    assert.strictEqual(result.config.notifications.enabled, false);
+  });
+
+  it('prefers the file over the environment', function() {
+    var result = load({ telegram: { botToken: 'file' }, couchpotato: { apiKey: API_KEY } }, {
+      TELEGRAM_BOTTOKEN: 'env'
+    });
+
+    assert.equal(result.config.telegram.botToken, 'file');
+  });
+
+  it('reports every problem at once', function() {
+    var result = load({
+      bot: { maxResults: 'lots', defaultRole: 'owner', language: 'xx' },
+      couchpotato: { instances: [{ name: 'a b', apiKey: API_KEY }, { name: 'kids' }] },
+      session: { ttl: 0 }
+    }, { COUCHPOTATO_SSL: 'maybe', TELEGRAM_MODE: 'hook' });
+
+    assert.deepEqual(result.errors, [
+      'telegram.botToken is required, set it in the config file or TELEGRAM_BOTTOKEN',
+      'telegram.mode must be one of polling, webhook, got "hook" (from TELEGRAM_MODE)',
+      'bot.defaultRole must be one of viewer, requester, got "owner"',
+      'bot.language must be one of de, en, got "xx"',
+      'bot.maxResults must be a whole number, got "lots"',
+      'session.ttl must be at least 1, got 0',
+      'couchpotato.instances[0].name must be up to 16 letters, digits, - or _, got "a b"',
+      'couchpotato.instances[1].apiKey is required'
+    ]);
+  });
+
+  it('checks settings that depend on each other', function() {
+    var result = load({
+      telegram: { botToken: 'token', mode: 'webhook', webhook: { key: 'key.pem' } },
+      couchpotato: {
+        instances: [{ name: 'hd', apiKey: API_KEY }],
+        defaults: { roles: { viewer: 'kids' } }
+      }
+    });
+
+    assert.deepEqual(result.errors, [
+      'telegram.webhook.url is required in webhook mode, set it in the config file or WEBHOOK_URL',
+      'telegram.webhook.key and telegram.webhook.cert are needed together to listen over https',
+      'couchpotato.defaults.roles.viewer is the unknown instance "kids"'
+    ]);
+  });
+
+  it('needs unique instance names', function() {
+    var result = load({
+      telegram: { botToken: 'token' },
+      couchpotato: { instances: [{ name: 'hd', apiKey: API_KEY }, { name: 'hd', apiKey: API_KEY }] }
+    });
+
+    assert.deepEqual(result.errors, ['couchpotato.instances must have unique names']);
+  });
+
+  it('checks the quota limits of roles and users', function() {
+    var result = load({
+      telegram: { botToken: 'token' },
+      couchpotato: { apiKey: API_KEY },
+      quotas: {
+        roles: { requester: { day: '2', week: -1 }, boss: { day: 1 } },
+        users: { '12345': { week: 1.5, month: 3 }, someone: { day: 1 }, '678': 5 }
+      }
+    });
+
+    assert.deepEqual(result.errors, [
+      'quotas.roles.requester.week must be at least 0, got -1',
+      'quotas.roles.boss is not a role, use one of guest, viewer, requester, admin, owner',
+      'quotas.users.678 must be an object, got 5',
+      'quotas.users.12345.week must be a whole number, got 1.5',
+      'quotas.users.someone is not a telegram user id'
+    ]);
+    assert.deepEqual(result.warnings, ['unknown setting quotas.users.12345.month is ignored']);
+    assert.deepEqual(result.config.quotas.roles.requester, { day: 2 });
+  });
+
+  it('warns about unknown settings', function() {
+    var result = load({ telegram: { botToken: 'token' }, couchpotato: { apiKey: API_KEY, host: 'x' }, extra: {} });
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, [
+      'unknown section extra is ignored',
+      'unknown setting couchpotato.host is ignored'
+    ]);
+  });
+
+  it('reports a file that is not JSON', function() {
+    var result = load('{ "telegram": ');
+
+    assert.equal(result.errors.length, 1);
+    assert.ok(_.includes(result.errors[0], 'is not valid JSON'));
+  });
+
+  it('works from the environment alone', function() {
+    _.assign(process.env, { TELEGRAM_BOTTOKEN: 'token', COUCHPOTATO_APIKEY: API_KEY });
+    var result = settings.load(dir + '/missing.json');
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.config.telegram.botToken, 'token');
+  });
+
+  it('loads the template with the required settings from the environment', function() {
+    var template = fs.readFileSync(__dirname + '/../config.json.template', 'utf8');
+    var result = load(template, { TELEGRAM_BOTTOKEN: 'token', COUCHPOTATO_APIKEY: API_KEY });
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  it('takes the environment over the empty values of the template', function() {
+    var template = fs.readFileSync(__dirname + '/../config.json.template', 'utf8');
+    var result = load(template, {
+      TELEGRAM_BOTTOKEN: 'token', COUCHPOTATO_APIKEY: API_KEY, BOT_OWNER: '42', COUCHPOTATO_SSL: 'true',
+      COUCHPOTATO_PORT: '9000', BOT_MAXRESULTS: '3', TELEGRAM_MODE: 'webhook', WEBHOOK_URL: 'https://bot.example.com',
+      NOTIFY_INTERVAL: '60', HTTP_PORT: '9090'
+    });
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.config.bot.owner, 42);
+    assert.equal(result.config.couchpotato.ssl, true);
+    assert.equal(result.config.couchpotato.port, 9000);
+    assert.equal(result.config.bot.maxResults, 3);
+    assert.equal(result.config.telegram.mode, 'webhook');
+    assert.equal(result.config.notifications.interval, 60);
+    assert.equal(result.config.http.port, 9090);
+
+    // the rest falls back to the defaults
+    assert.equal(result.config.telegram.webhook.port, 8443);
+    assert.equal(result.config.notifications.enabled, true);
+    assert.equal(result.config.bot.libraryPageSize, 20);
+  });
+});
+
+describe('reloading', function() {
+  var t, reload;
+
+  beforeEach(function() {
+    return helpers.createApp().then(function(app) {
+      t = app;
+      reload = require(__dirname + '/../lib/reload');
+    });
+  });
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  function writeConfig(changes) {
+    var file = t.dataDir + '/config.json';
+    fs.writeFileSync(file, JSON.stringify(_.merge(fs.readJsonSync(file), changes)));
+  }
+
+  it('applies the settings that are safe to change', function() {
+    writeConfig({ bot: { password: 'changed', maxResults: 3 }, session: { ttl: 5 } });
+
+    assert.equal(reload.reloadConfig(), true);
+    assert.equal(t.config.bot.password, 'changed');
+    assert.equal(t.config.bot.maxResults, 3);
+    assert.notEqual(t.config.session.ttl, 5);
+
+    t.bot.send(USERS.guest, '/auth changed');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, helpers.i18n.__('isAuthorized')));
+    });
+  });
+
+  it('keeps the running configuration when the file is invalid', function() {
+    writeConfig({ bot: { password: 'changed', maxResults: 'lots' } });
+
+    assert.equal(reload.reloadConfig(), false);
+    assert.equal(t.config.bot.password, helpers.PASSWORD);
+  });
+
+  it('picks up users added to the acl file by hand', function() {
+    var file = t.dataDir + '/acl.json';
+    var acl = fs.readJsonSync(file);
+    acl.allowedUsers.push(_.assign({ role: 'viewer' }, USERS.guest));
+    fs.writeFileSync(file, JSON.stringify(acl));
+
+    assert.equal(reload.reloadAcl(), true);
+    assert.equal(reload.reloadAcl(), false);
+
+    t.bot.send(USERS.guest, '/library');
+    return t.bot.nextReply().then(function(reply) {
+      assert.equal(t.couchpotato.calls('media.list').length, 1);
+      assert.ok(!_.includes(reply.text, helpers.i18n.__('notAuthorized')));
+    });
+  });
+
+  it('keeps the users when the acl file is broken', function() {
+    fs.writeFileSync(t.dataDir + '/acl.json', '{ "allowedUsers": ');
+
+    assert.equal(reload.reloadAcl(), false);
+    assert.equal(t.acl.allowedUsers.length, 3);
+  });
+});
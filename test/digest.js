@@ -0,0 +1,219 @@
+var assert = require('assert');
+var fs = require('fs-extra');
+var _ = require('lodash');
+var moment = require('moment');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+
+// a movie that is only wanted, it has no releases
+var PROMETHEUS = {
+  _id: 'p3p3p3p3p3p3p3p3p3p3p3p3p3p3p3p3', title: 'Prometheus', status: 'active',
+  info: { imdb: 'tt1446714', tmdb_id: 70981, year: 2012 }, releases: []
+};
+
+describe('digest', function() {
+  var t;
+
+  function start(digest) {
+    // the first snapshot is taken when the bot starts
+    return helpers.createApp({
+      config: { digest: digest || { enabled: true } },
+      responses: { 'media.list': { movies: fixtures.library(), total: 2 } }
+    }).then(function(app) {
+      t = app;
+    });
+  }
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  describe('/status', function() {
+    beforeEach(function() {
+      return start().then(function() {
+        t.couchpotato.respond('media.list', { movies: fixtures.library().concat([PROMETHEUS]), total: 3 });
+      });
+    });
+
+    it('counts the movies of every status and lists what is wanted and on its way', function() {
+      t.bot.send(USERS.viewer, '/status');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, [
+          '*' + i18n.__('libraryStatus') + ':*',
+          'wanted: 1, snatched: 1, downloaded: 0, done: 1',
+          '',
+          '*' + i18n.__('section_wanted') + ' (1):*',
+          '- Prometheus (2012)',
+          '',
+          '*' + i18n.__('section_snatched') + ' (1):*',
+          '- Alien (1979)'
+        ].join('\n'));
+      });
+    });
+
+    it('does not let guests see it', function() {
+      t.bot.send(USERS.guest, '/status');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('notAuthorized')));
+      });
+    });
+  });
+
+  describe('sending the digest', function() {
+    beforeEach(function() {
+      return start();
+    });
+
+    it('reports what changed since the last digest', function() {
+      var library = fixtures.library();
+      library[0].status = 'done';
+      t.couchpotato.respond('media.list', { movies: library.concat([PROMETHEUS]), total: 3 });
+
+      return t.app.sendDigest().then(function() {
+        var replies = t.bot.replies();
+        assert.equal(replies.length, 1);
+        assert.equal(replies[0].chatId, USERS.owner.id);
+        assert.ok(_.includes(replies[0].text, '*' + i18n.__('section_added') + ' (1):*\n- Prometheus (2012)'));
+        assert.ok(_.includes(replies[0].text, '*' + i18n.__('section_completed') + ' (1):*\n- Alien (1979)'));
+        assert.ok(_.includes(replies[0].text, '*' + i18n.__('section_wanted') + ' (1):*\n- Prometheus (2012)'));
+        assert.ok(!_.includes(replies[0].text, i18n.__('section_snatched')));
+      });
+    });
+
+    it('says when nothing changed', function() {
+      return t.app.sendDigest().then(function() {
+        assert.ok(_.includes(t.bot.replies()[0].text, i18n.__('digestNoChanges')));
+      });
+    });
+
+    it('keeps the snapshot for the next digest', function() {
+      t.couchpotato.respond('media.list', { movies: fixtures.library().concat([PROMETHEUS]), total: 3 });
+
+      return t.app.sendDigest()
+        .then(function() {
+          return t.app.sendDigest();
+        })
+        .then(function() {
+          var replies = t.bot.replies();
+          assert.ok(_.includes(replies[0].text, i18n.__('section_added')));
+          assert.ok(!_.includes(replies[1].text, i18n.__('section_added')));
+          return t.saved();
+        })
+        .then(function() {
+          assert.ok(fs.readJsonSync(t.dataDir + '/digest.json').snapshot['default:' + PROMETHEUS._id]);
+        });
+    });
+
+    it('sends it to the subscribers who still have a role', function() {
+      t.bot.send(USERS.viewer, '/subscribe');
+      t.bot.send(USERS.admin, '/subscribe');
+      return t.bot.nextReplies(2)
+        .then(function(replies) {
+          assert.equal(replies[0].text, i18n.__('subscribed', i18n.__('digestDaily', '09:00')));
+          assert.deepEqual(t.digests.getSubscribers(), [USERS.viewer.id, USERS.admin.id]);
+
+          _.remove(t.acl.allowedUsers, { id: USERS.viewer.id });
+          return t.app.sendDigest();
+        })
+        .then(function() {
+          return t.bot.settle();
+        })
+        .then(function(replies) {
+          assert.deepEqual(_.map(replies, 'chatId'), [USERS.owner.id, USERS.admin.id]);
+        });
+    });
+  });
+
+  describe('subscriptions', function() {
+    it('unsubscribes', function() {
+      return start()
+        .then(function() {
+          t.bot.send(USERS.viewer, '/subscribe');
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          t.bot.send(USERS.viewer, '/subscribe');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('alreadySubscribed'));
+
+          t.bot.send(USERS.viewer, '/unsubscribe');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('unsubscribed'));
+          assert.deepEqual(t.digests.getSubscribers(), []);
+
+          t.bot.send(USERS.viewer, '/unsubscribe');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('notSubscribed'));
+        });
+    });
+
+    it('tells the day of the weekly digest', function() {
+      return start({ enabled: true, schedule: 'weekly', day: 'friday', time: '18:30' }).then(function() {
+        t.bot.send(USERS.viewer, '/subscribe');
+        return t.bot.nextReply();
+      })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('subscribed', i18n.__('digestWeekly', 'Friday', '18:30')));
+        });
+    });
+
+    it('does not subscribe when the digest is off', function() {
+      return start({ enabled: false }).then(function() {
+        t.bot.send(USERS.viewer, '/subscribe');
+        return t.bot.nextReply();
+      })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('digestDisabled'));
+          assert.deepEqual(t.digests.getSubscribers(), []);
+        });
+    });
+
+    it('does not subscribe members of a group without a role of their own', function() {
+      var group = { chat: { id: -100, type: 'group', title: 'Movie night' } };
+
+      return start()
+        .then(function() {
+          t.bot.send(USERS.admin, '/authchat viewer', group);
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          t.bot.send(USERS.guest, '/subscribe', group);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('digestOwnRole'));
+        });
+    });
+  });
+
+  describe('schedule', function() {
+    var NOW = moment('2024-05-15T10:00:00'); // a wednesday
+
+    it('is due at the time every day', function() {
+      return start({ enabled: true, time: '09:00' }).then(function() {
+        assert.equal(t.digests.getNextRun(NOW).format(), moment('2024-05-16T09:00:00').format());
+        assert.equal(t.digests.getNextRun(moment('2024-05-15T08:59:00')).format(),
+          moment('2024-05-15T09:00:00').format());
+      });
+    });
+
+    it('is due at the time on the day every week', function() {
+      return start({ enabled: true, schedule: 'weekly', day: 'monday', time: '09:00' }).then(function() {
+        assert.equal(t.digests.getNextRun(NOW).format(), moment('2024-05-20T09:00:00').format());
+
+        t.config.digest.day = 'wednesday';
+        t.config.digest.time = '12:00';
+        assert.equal(t.digests.getNextRun(NOW).format(), moment('2024-05-15T12:00:00').format());
+      });
+    });
+  });
+});
@@ -0,0 +1,272 @@
+var assert = require('assert');
+var fs = require('fs-extra');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+var FakeBot = require(__dirname + '/helpers/fake-bot');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+
+// the group chat the users talk to the bot in, the fake bot is @cpbot
+var GROUP = { id: -100, type: 'supergroup', title: 'Movie night' };
+var IN_GROUP = { chat: GROUP };
+var BOT = { id: 1000, username: 'cpbot', is_bot: true };
+
+describe('group chats', function() {
+  var t;
+
+  beforeEach(function() {
+    return helpers.createApp().then(function(app) {
+      t = app;
+      t.couchpotato
+        .respond('movie.search', fixtures.search)
+        .respond('media.list', { movies: fixtures.library(), total: 3 });
+    });
+  });
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  /*
+   * an admin authorizes the group, resolves once the acl is saved
+   */
+  function authorizeGroup(role) {
+    t.bot.send(USERS.admin, '/authchat' + (role ? ' ' + role : ''), IN_GROUP);
+    return t.bot.nextReply().then(function(reply) {
+      return t.bot.settle().return(reply);
+    });
+  }
+
+  describe('addressing the bot', function() {
+    it('ignores messages that are not for the bot', function() {
+      t.bot.send(USERS.requester, 'what are we watching tonight?', IN_GROUP);
+      t.bot.send(USERS.requester, '/unknown', IN_GROUP);
+      t.bot.send(USERS.requester, '/help@otherbot', IN_GROUP);
+      return t.bot.settle().then(function(replies) {
+        assert.deepEqual(replies, []);
+      });
+    });
+
+    it('answers commands with its name', function() {
+      t.bot.send(USERS.requester, '/q@cpbot alien', IN_GROUP);
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.chatId, GROUP.id);
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'alien' }]);
+      });
+    });
+
+    it('accepts its name in private chats too', function() {
+      t.bot.send(USERS.requester, '/q@CPBot alien');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.chatId, USERS.requester.id);
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'alien' }]);
+      });
+    });
+
+    it('tells about unknown commands with its name', function() {
+      t.bot.send(USERS.requester, '/unknown@cpbot', IN_GROUP);
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('unknownCommand')));
+      });
+    });
+
+    it('takes the answer to its prompt as a reply', function() {
+      t.bot.send(USERS.requester, '/q', IN_GROUP);
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('moviesLookup'));
+          t.bot.send(USERS.requester, 'alien', {
+            chat: GROUP,
+            reply_to_message: { message_id: 1, from: BOT, chat: GROUP, text: reply.text }
+          });
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'alien' }]);
+          assert.ok(_.includes(reply.text, 'Found 2 movies'));
+        });
+    });
+
+    it('takes a message mentioning it without the mention', function() {
+      t.bot.send(USERS.requester, '/q', IN_GROUP);
+      return t.bot.nextReply()
+        .then(function() {
+          t.bot.send(USERS.requester, '@cpbot alien', IN_GROUP);
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'alien' }]);
+        });
+    });
+  });
+
+  describe('sessions', function() {
+    it('keeps a session per chat and user', function() {
+      t.bot.send(USERS.requester, '/q', IN_GROUP);
+      return t.bot.nextReply().then(function() {
+        assert.equal(t.sessions.get(GROUP.id, USERS.requester.id).state, 'cpMovieSearch');
+        assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, null);
+        assert.equal(t.sessions.get(GROUP.id, USERS.admin.id).state, null);
+        assert.deepEqual(_.map(t.sessions.list(), function(session) {
+          return _.pick(session, ['chatId', 'userId', 'state']);
+        }), [{ chatId: GROUP.id, userId: USERS.requester.id, state: 'cpMovieSearch' }]);
+      });
+    });
+
+    it('does not let others pick from a search result', function() {
+      t.bot.send(USERS.requester, '/q alien', IN_GROUP);
+      return t.bot.nextReply()
+        .then(function(reply) {
+          t.bot.press(USERS.admin, FakeBot.button(reply, 'm'), { chat: GROUP });
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('searchAgain')));
+        });
+    });
+  });
+
+  describe('authorization', function() {
+    it('only lets authorized users use the bot in a group that is not authorized', function() {
+      t.bot.send(USERS.guest, '/library', IN_GROUP);
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('notAuthorized')));
+        assert.equal(t.couchpotato.calls('media.list').length, 0);
+      });
+    });
+
+    it('gives everyone in an authorized group its role', function() {
+      return authorizeGroup('viewer')
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('chatAuthorized') + ' _viewer_.');
+          return t.saved();
+        })
+        .then(function() {
+          assert.deepEqual(fs.readJsonSync(t.dataDir + '/acl.json').allowedChats, [
+            { id: GROUP.id, title: GROUP.title, role: 'viewer' }
+          ]);
+
+          t.bot.send(USERS.guest, '/library', IN_GROUP);
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          assert.equal(t.couchpotato.calls('media.list').length, 1);
+
+          t.bot.send(USERS.guest, '/q alien', IN_GROUP);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('requesterOnly')));
+        });
+    });
+
+    it('gives the default role when none is named', function() {
+      return authorizeGroup().then(function() {
+        assert.equal(t.acl.allowedChats[0].role, 'requester');
+      });
+    });
+
+    it('keeps the own role of users and the group role outside the group', function() {
+      return authorizeGroup('viewer')
+        .then(function() {
+          t.bot.send(USERS.requester, '/q alien', IN_GROUP);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, 'Found 2 movies'));
+
+          t.bot.send(USERS.guest, '/library');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('notAuthorized')));
+        });
+    });
+
+    it('does not let revoked users in through the group', function() {
+      return authorizeGroup().then(function() {
+        t.bot.send(USERS.revoked, '/library', IN_GROUP);
+        return t.bot.nextReply();
+      })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('isRevoked')));
+        });
+    });
+
+    it('lists the authorized groups with the users', function() {
+      return authorizeGroup().then(function() {
+        t.bot.send(USERS.admin, '/users');
+        return t.bot.nextReply();
+      })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, '*' + i18n.__('allowedChats') + ':*\n*1*) Movie night - _requester_'));
+        });
+    });
+
+    it('revokes a group', function() {
+      return authorizeGroup()
+        .then(function() {
+          t.bot.send(USERS.admin, '/revokechat', IN_GROUP);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('chatRevoked'));
+          assert.deepEqual(t.acl.allowedChats, []);
+
+          t.bot.send(USERS.guest, '/library', IN_GROUP);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('notAuthorized')));
+        });
+    });
+
+    it('only lets admins authorize a group', function() {
+      t.bot.send(USERS.requester, '/authchat', IN_GROUP);
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('adminOnly')));
+        assert.deepEqual(t.acl.allowedChats, []);
+      });
+    });
+
+    it('only authorizes groups as viewer or requester', function() {
+      t.bot.send(USERS.admin, '/authchat admin', IN_GROUP);
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('chatRoles')));
+        assert.deepEqual(t.acl.allowedChats, []);
+      });
+    });
+
+    it('does not authorize private chats', function() {
+      t.bot.send(USERS.admin, '/authchat');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('groupOnly')));
+      });
+    });
+
+    it('does not take the password in a group', function() {
+      t.bot.send(USERS.guest, '/auth ' + helpers.PASSWORD, IN_GROUP);
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('authInPrivate')));
+        assert.ok(!_.some(t.acl.allowedUsers, { id: USERS.guest.id }));
+      });
+    });
+
+    it('checks the role of the group for buttons', function() {
+      return authorizeGroup('viewer')
+        .then(function() {
+          t.bot.send(USERS.guest, '/library', IN_GROUP);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          t.bot.press(USERS.guest, FakeBot.buttons(reply)[0], { chat: GROUP });
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(!_.includes(reply.text, i18n.__('notAuthorized')));
+        });
+    });
+  });
+});
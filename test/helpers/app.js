@@ -0,0 +1,133 @@
+var fs = require('fs-extra');
+var os = require('os');
+var path = require('path');
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+var FakeBot = require(__dirname + '/fake-bot');
+var CouchPotatoServer = require(__dirname + '/couchpotato-server');
+
+var ROOT = path.resolve(__dirname, '../..');
+var API_KEY = 'abcdefghijklmnopqrstuvwxyz012345';
+var PASSWORD = 'secret';
+
+/*
+ * a user of every role, the owner is configured and the others are in the acl file
+ */
+var USERS = {
+  owner: { id: 1, username: 'owner' },
+  admin: { id: 2, username: 'admin' },
+  requester: { id: 3, username: 'requester' },
+  viewer: { id: 4, username: 'viewer' },
+  guest: { id: 5, username: 'guest' },
+  revoked: { id: 6, username: 'revoked' }
+};
+
+// the bot logs every step, keep the test output clean
+var logger = require(ROOT + '/lib/logger');
+_.forEach(_.keys(logger.transports), function(name) {
+  logger.remove(name);
+});
+
+/*
+ * Build the bot around a fake telegram bot and a stub couchpotato, its config and data
+ * files live in a temporary directory. Every call gives a fresh bot once it has started:
+ *
+ *   options.config    merged into the configuration
+ *   options.acl       replaces the acl file
+ *   options.responses the answers of the stub couchpotato by command, e.g. for the bot starting up
+ *
+ * `saved` resolves when the bot has handled every update and the stores have written their files.
+ */
+function createApp(options) {
+  options = options || {};
+
+  var couchpotato = new CouchPotatoServer(API_KEY);
+  _.forEach(options.responses, function(response, command) {
+    couchpotato.respond(command, response);
+  });
+
+  return couchpotato.listen().then(function(port) {
+    var dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpbot-'));
+
+    var config = _.merge({
+      telegram: { botToken: 'test' },
+      bot: { password: PASSWORD, owner: USERS.owner.id, dataDir: dataDir },
+      couchpotato: { hostname: '127.0.0.1', port: port, apiKey: API_KEY },
+      notifications: { enabled: false }
+    }, options.config);
+
+    var acl = options.acl || {
+      version: 3,
+      allowedUsers: [
+        _.assign({ role: 'admin' }, USERS.admin),
+        _.assign({ role: 'requester' }, USERS.requester),
+        _.assign({ role: 'viewer' }, USERS.viewer)
+      ],
+      revokedUsers: [_.assign({ role: 'requester' }, USERS.revoked)],
+      allowedChats: []
+    };
+
+    fs.writeFileSync(dataDir + '/config.json', JSON.stringify(config));
+    fs.writeFileSync(dataDir + '/acl.json', JSON.stringify(acl));
+    process.env.CONFIG_FILE = dataDir + '/config.json';
+
+    // the stores load their files when they are required, start from scratch
+    _.forEach(_.keys(require.cache), function(file) {
+      if (file.indexOf(ROOT + '/lib/') === 0 && file !== ROOT + '/lib/logger.js') {
+        delete require.cache[file];
+      }
+    });
+
+    var bot = new FakeBot();
+    var stores = {
+      config: require(ROOT + '/lib/config'),
+      acl: require(ROOT + '/lib/acl'),
+      tracker: require(ROOT + '/lib/tracker'),
+      sessions: require(ROOT + '/lib/session'),
+      approvals: require(ROOT + '/lib/approvals'),
+      quotas: require(ROOT + '/lib/quotas'),
+      digests: require(ROOT + '/lib/digests'),
+      invites: require(ROOT + '/lib/invites'),
+      audit: require(ROOT + '/lib/audit'),
+      instances: require(ROOT + '/lib/instances'),
+      library: require(ROOT + '/lib/library')
+    };
+
+    var app = require(ROOT + '/lib/bot')(_.assign({ bot: bot }, stores));
+    var storage = require(ROOT + '/lib/storage');
+
+    // the stores and the audit log write their files in the background
+    function saved() {
+      return bot.idle().then(function() {
+        return Promise.all([storage.flush(), stores.audit.flush()]);
+      });
+    }
+
+    return app.ready.return(_.assign({
+      bot: bot,
+      app: app,
+      couchpotato: couchpotato,
+      dataDir: dataDir,
+      storage: storage,
+      saved: saved,
+      stop: function() {
+        app.stop();
+        delete process.env.CONFIG_FILE;
+        return saved().finally(function() {
+          return couchpotato.close();
+        }).then(function() {
+          fs.removeSync(dataDir);
+        });
+      }
+    }, stores));
+  });
+}
+
+module.exports = {
+  createApp: createApp,
+  i18n: require(ROOT + '/lib/lang'),
+  USERS: USERS,
+  PASSWORD: PASSWORD,
+  API_KEY: API_KEY
+};
@@ -0,0 +1,81 @@
+var http = require('http');
+var url = require('url');
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+/*
+ * Local HTTP server that answers like the JSON API of CouchPotato, `/api/<api key>/<command>`
+ *
+ *   server.respond('movie.search', { movies: [] });
+ *   server.respond('media.get', function(query) { return { media: movies[query.id] }; });
+ *
+ * Commands without a response answer `{ success: true }`, the requests are kept in `requests`.
+ * `hangUp(n, command)` closes the connection of the next n requests without an answer, of
+ * every command when none is given.
+ */
+function CouchPotatoServer(apiKey) {
+  this.apiKey = apiKey;
+  this.responses = {};
+  this.requests = [];
+  this.hangUps = { count: 0, command: null };
+  this.server = http.createServer(this.handle.bind(this));
+}
+
+CouchPotatoServer.prototype.listen = function() {
+  var server = this.server;
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      resolve(server.address().port);
+    });
+  });
+};
+
+CouchPotatoServer.prototype.close = function() {
+  var server = this.server;
+  return new Promise(function(resolve) {
+    server.close(resolve);
+  });
+};
+
+CouchPotatoServer.prototype.hangUp = function(count, command) {
+  this.hangUps = { count: count, command: command || null };
+  return this;
+};
+
+CouchPotatoServer.prototype.respond = function(command, response) {
+  this.responses[command] = response;
+  return this;
+};
+
+/*
+ * the queries sent with a command
+ */
+CouchPotatoServer.prototype.calls = function(command) {
+  return _.map(_.filter(this.requests, { command: command }), 'query');
+};
+
+CouchPotatoServer.prototype.handle = function(req, res) {
+  var parsed = url.parse(req.url, true);
+  var match = /^\/api\/([^\/]+)\/(.+)$/.exec(parsed.pathname);
+  var body;
+
+  if (!match || match[1] !== this.apiKey) {
+    res.statusCode = 401;
+    body = { error: 'Unauthorized' };
+  } else {
+    var response = this.responses[match[2]];
+    this.requests.push({ command: match[2], query: parsed.query });
+
+    if (this.hangUps.count > 0 && (!this.hangUps.command || this.hangUps.command === match[2])) {
+      this.hangUps.count--;
+      return req.socket.destroy();
+    }
+
+    body = typeof response === 'function' ? response(parsed.query) : response || { success: true };
+  }
+
+  res.setHeader('Content-Type', 'application/json; charset=UTF-8');
+  res.end(JSON.stringify(body));
+};
+
+module.exports = CouchPotatoServer;
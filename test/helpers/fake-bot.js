@@ -0,0 +1,179 @@
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+/*
+ * methods of the telegram bot the fake records, the calls that answer a user are replies
+ */
+var METHODS = [
+  'sendMessage', 'sendPhoto', 'editMessageText', 'editMessageCaption',
+  'answerCallbackQuery', 'setMyCommands', 'deleteMessage'
+];
+var REPLIES = ['sendMessage', 'sendPhoto', 'editMessageText', 'editMessageCaption'];
+
+/*
+ * Telegram bot that records what the bot sends instead of talking to telegram,
+ * users talk to the bot with `send` and `press`
+ */
+function FakeBot() {
+  EventEmitter.call(this);
+  this.calls = [];
+  this.read = 0;
+  this.handling = [];
+  this.messageId = 100;
+}
+
+util.inherits(FakeBot, EventEmitter);
+
+_.forEach(METHODS, function(method) {
+  FakeBot.prototype[method] = function() {
+    this.calls.push({ method: method, args: _.toArray(arguments) });
+    return Promise.resolve({ message_id: ++this.messageId });
+  };
+});
+
+FakeBot.prototype.getMe = function() {
+  return Promise.resolve({ id: 1000, username: 'cpbot' });
+};
+
+/*
+ * a user sends a text message in their private chat, `opt_message` sends it elsewhere,
+ * e.g. `{ chat: GROUP }`, or as a reply. Resolves when the bot has handled it.
+ */
+FakeBot.prototype.send = function(user, text, opt_message) {
+  return this.deliver('message', _.assign({
+    message_id: ++this.messageId,
+    from: user,
+    chat: { id: user.id, type: 'private' },
+    date: Math.floor(Date.now() / 1000),
+    text: text
+  }, opt_message));
+};
+
+/*
+ * a user presses an inline keyboard button, `opt_message` is the message the button is on.
+ * Resolves when the bot has handled it.
+ */
+FakeBot.prototype.press = function(user, data, opt_message) {
+  return this.deliver('callback_query', {
+    id: String(++this.messageId),
+    from: user,
+    message: _.assign({ message_id: 1, chat: { id: user.id, type: 'private' } }, opt_message),
+    data: data
+  });
+};
+
+/*
+ * hand an update to the listeners of the bot and keep the promises of their handlers,
+ * the replies of the bot are waited for with them instead of a timer
+ */
+FakeBot.prototype.deliver = function(event, update) {
+  var self = this;
+  var handled = Promise.all(_.map(this.listeners(event), function(listener) {
+    return Promise.try(function() { return listener.call(self, update); });
+  }));
+
+  this.handling.push(handled);
+  return handled;
+};
+
+/*
+ * resolves when the bot has handled every update, also the ones sent while it waits
+ */
+FakeBot.prototype.idle = function() {
+  var self = this;
+  var count = this.handling.length;
+
+  return Promise.all(this.handling).then(function() {
+    return self.handling.length > count ? self.idle() : null;
+  });
+};
+
+/*
+ * everything the bot sent to users as `{ method, chatId, text, options }`
+ */
+FakeBot.prototype.replies = function() {
+  return _.map(_.filter(this.calls, function(call) { return _.contains(REPLIES, call.method); }), toReply);
+};
+
+/*
+ * resolves to the next reply the test hasn't looked at yet, rejects when the bot has
+ * handled every update without sending one
+ */
+FakeBot.prototype.nextReply = function() {
+  var self = this;
+
+  var take = function() {
+    var replies = self.replies();
+    return replies.length > self.read ? replies[self.read++] : null;
+  };
+
+  var reply = take();
+  if (reply) {
+    return Promise.resolve(reply);
+  }
+
+  return this.idle().then(function() {
+    var reply = take();
+    if (!reply) {
+      throw new Error('the bot did not reply');
+    }
+    return reply;
+  });
+};
+
+/*
+ * resolves to the next `count` replies
+ */
+FakeBot.prototype.nextReplies = function(count) {
+  var self = this;
+  return Promise.reduce(_.range(count), function(replies) {
+    return self.nextReply().then(function(reply) { return replies.concat([reply]); });
+  }, []);
+};
+
+/*
+ * resolves when the bot has handled every update, with the replies the test hasn't looked at
+ */
+FakeBot.prototype.settle = function() {
+  var self = this;
+  return this.idle().then(function() {
+    var replies = self.replies().slice(self.read);
+    self.read += replies.length;
+    return replies;
+  });
+};
+
+/*
+ * callback data of every button of an inline keyboard
+ */
+FakeBot.buttons = function(reply) {
+  var keyboard = reply.options && reply.options.reply_markup && reply.options.reply_markup.inline_keyboard;
+  return _.map(_.flatten(keyboard || []), 'callback_data');
+};
+
+/*
+ * callback data of the first button of an inline keyboard with the action, and ending with
+ * `opt_end`, e.g. `FakeBot.button(reply, 'p', profileId)` for the button of a profile
+ */
+FakeBot.button = function(reply, action, opt_end) {
+  return _.find(FakeBot.buttons(reply), function(data) {
+    return data.indexOf(action + ':') === 0 && (!opt_end || _.endsWith(data, ':' + opt_end));
+  });
+};
+
+function toReply(call) {
+  switch (call.method) {
+    case 'sendPhoto':
+      return { method: call.method, chatId: call.args[0], photo: call.args[1], text: call.args[2].caption,
+        options: call.args[2] };
+    case 'editMessageText':
+    case 'editMessageCaption':
+      return { method: call.method, chatId: call.args[1].chat_id, text: call.args[0], options: call.args[1] };
+    default:
+      return { method: call.method, chatId: call.args[0], text: call.args[1], options: call.args[2] };
+  }
+}
+
+module.exports = FakeBot;
@@ -0,0 +1,53 @@
+/*
+ * CouchPotato answers shared by the tests
+ */
+var ALIEN_ID = 'a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1';
+var ALIENS_ID = 'a2a2a2a2a2a2a2a2a2a2a2a2a2a2a2a2';
+
+module.exports = {
+  ALIEN_ID: ALIEN_ID,
+  ALIENS_ID: ALIENS_ID,
+
+  search: {
+    movies: [
+      {
+        original_title: 'Alien', year: 1979, imdb: 'tt0078748', tmdb_id: 348, via_imdb: true,
+        rating: { imdb: [8.5, 900000] }, runtime: 117, plot: 'In space no one can hear you scream.',
+        genres: ['Horror', 'Sci-Fi'], images: { poster: ['http://posters/alien.jpg'] }
+      },
+      { original_title: 'Aliens', year: 1986, imdb: 'tt0090605', tmdb_id: 679, via_imdb: true }
+    ]
+  },
+
+  profiles: {
+    list: [
+      { _id: 'p1p1p1p1p1p1p1p1p1p1p1p1p1p1p1p1', label: 'HD' },
+      { _id: 'p2p2p2p2p2p2p2p2p2p2p2p2p2p2p2p2', label: 'SD' },
+      { _id: 'p3p3p3p3p3p3p3p3p3p3p3p3p3p3p3p3', label: 'Hidden', hide: true }
+    ]
+  },
+
+  /*
+   * Alien is wanted with a snatched release, Aliens is done
+   */
+  library: function() {
+    return [
+      {
+        _id: ALIEN_ID, title: 'Alien', status: 'active',
+        profile_id: 'p1p1p1p1p1p1p1p1p1p1p1p1p1p1p1p1',
+        info: { imdb: 'tt0078748', tmdb_id: 348, year: 1979, plot: 'In space no one can hear you scream.' },
+        releases: [
+          {
+            _id: 'r1r1r1r1r1r1r1r1r1r1r1r1r1r1r1r1', status: 'snatched', quality: '720p',
+            info: { name: 'Alien.720p' }
+          },
+          { _id: 'r2r2r2r2r2r2r2r2r2r2r2r2r2r2r2r2', status: 'ignored', quality: 'sd' }
+        ]
+      },
+      {
+        _id: ALIENS_ID, title: 'Aliens', status: 'done', profile_id: 'p2p2p2p2p2p2p2p2p2p2p2p2p2p2p2p2',
+        info: { imdb: 'tt0090605', tmdb_id: 679, year: 1986 }, releases: []
+      }
+    ];
+  }
+};
@@ -0,0 +1,86 @@
+var http = require('http');
+var url = require('url');
+var _ = require('lodash');
+var Promise = require('bluebird');
+
+/*
+ * Local HTTP server that answers like the v3 API of Radarr, `/api/v3/<path>` with the
+ * api key in the `X-Api-Key` header. Answers are set by method and path:
+ *
+ *   server.respond('GET movie/lookup', [movie]);
+ *   server.respond('GET movie/7', { message: 'NotFound' }, 404);
+ *   server.respond('POST movie', function(request) { return request.body; });
+ *
+ * Calls without an answer get `{}`, the requests are kept in `requests` as
+ * `{ route, query, body }`.
+ */
+function RadarrServer(apiKey) {
+  this.apiKey = apiKey;
+  this.responses = {};
+  this.requests = [];
+  this.server = http.createServer(this.handle.bind(this));
+}
+
+RadarrServer.prototype.listen = function() {
+  var server = this.server;
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      resolve(server.address().port);
+    });
+  });
+};
+
+RadarrServer.prototype.close = function() {
+  var server = this.server;
+  return new Promise(function(resolve) {
+    server.close(resolve);
+  });
+};
+
+RadarrServer.prototype.respond = function(route, response, opt_statusCode) {
+  this.responses[route] = { body: response, statusCode: opt_statusCode || 200 };
+  return this;
+};
+
+/*
+ * the requests sent to a route, `{ query, body }`
+ */
+RadarrServer.prototype.calls = function(route) {
+  return _.map(_.filter(this.requests, { route: route }), function(request) {
+    return _.pick(request, 'query', 'body');
+  });
+};
+
+RadarrServer.prototype.handle = function(req, res) {
+  var self = this;
+  var parsed = url.parse(req.url, true);
+  var match = /^\/api\/v3\/(.+)$/.exec(parsed.pathname);
+  var data = '';
+
+  req.on('data', function(chunk) {
+    data += chunk;
+  });
+
+  req.on('end', function() {
+    var statusCode = 200;
+    var body;
+
+    if (!match || req.headers['x-api-key'] !== self.apiKey) {
+      statusCode = 401;
+      body = { message: 'Unauthorized' };
+    } else {
+      var request = { route: req.method + ' ' + match[1], query: parsed.query, body: data ? JSON.parse(data) : null };
+      var response = self.responses[request.route] || { body: {}, statusCode: 200 };
+      self.requests.push(request);
+
+      statusCode = response.statusCode;
+      body = typeof response.body === 'function' ? response.body(request) : response.body;
+    }
+
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json; charset=UTF-8');
+    res.end(JSON.stringify(body));
+  });
+};
+
+module.exports = RadarrServer;
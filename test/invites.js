@@ -0,0 +1,188 @@
+var assert = require('assert');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+
+describe('invites', function() {
+  var t;
+
+  beforeEach(function() {
+    return helpers.createApp({ config: { bot: { authAttempts: 2 } } }).then(function(app) { t = app; });
+  });
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  function invite(command) {
+    t.bot.send(USERS.admin, command);
+    return t.bot.nextReply().then(function(reply) {
+      return { reply: reply, code: /`([A-Z0-9]+)`/.exec(reply.text)[1] };
+    });
+  }
+
+  describe('codes', function() {
+    it('creates a code with a deep link', function() {
+      return invite('/invite viewer 3 7d').then(function(created) {
+        assert.ok(_.includes(created.reply.text, '_' + i18n.__('role_viewer') + '_'));
+        assert.ok(_.includes(created.reply.text, i18n.__('inviteUses', 3, 3)));
+        assert.ok(_.includes(created.reply.text, 'https://t.me/cpbot?start=join-' + created.code));
+
+        var saved = t.invites.get(created.code.toLowerCase());
+        assert.equal(saved.role, 'viewer');
+        assert.ok(saved.expires > Date.now() + 6 * 24 * 3600 * 1000);
+      });
+    });
+
+    it('takes the options in any order and the default role without one', function() {
+      return invite('/invite 2030-01-31 2').then(function(created) {
+        var saved = t.invites.get(created.code);
+        assert.equal(saved.role, 'requester');
+        assert.equal(saved.uses, 2);
+      });
+    });
+
+    it('rejects options it does not know', function() {
+      t.bot.send(USERS.admin, '/invite viewer soon');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('inviteOptions')));
+        assert.deepEqual(t.invites.list(), []);
+      });
+    });
+
+    it('only lets the owner invite admins', function() {
+      t.bot.send(USERS.requester, '/invite viewer');
+      t.bot.send(USERS.admin, '/invite admin');
+      t.bot.send(USERS.owner, '/invite admin');
+      return t.bot.nextReplies(3).then(function(replies) {
+        assert.ok(_.includes(replies[0].text, i18n.__('adminOnly')));
+        assert.ok(_.includes(replies[1].text, i18n.__('inviteRoleTooHigh')));
+        assert.ok(_.includes(replies[2].text, i18n.__('inviteCreated')));
+        assert.equal(t.invites.list()[0].role, 'admin');
+      });
+    });
+
+    it('lets guests join with the deep link until the code is used up', function() {
+      var other = { id: 7, username: 'other' };
+
+      return invite('/invite viewer').then(function(created) {
+        t.bot.send(USERS.guest, '/start join-' + created.code);
+        return t.bot.nextReplies(3).then(function(replies) {
+          assert.equal(replies[0].text, i18n.__('isAuthorized'));
+          assert.deepEqual(_.map(replies.slice(1), 'chatId'), [USERS.owner.id, USERS.admin.id]);
+          assert.ok(_.includes(replies[1].text, i18n.__('joinedWithInvite', created.code)));
+          assert.equal(_.find(t.acl.allowedUsers, { id: USERS.guest.id }).role, 'viewer');
+
+          t.bot.send(other, '/join ' + created.code);
+          return t.bot.nextReply();
+        });
+      })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('invalidInvite')));
+          assert.ok(!_.some(t.acl.allowedUsers, { id: other.id }));
+        });
+    });
+
+    it('lists and revokes codes', function() {
+      return invite('/invite').then(function(created) {
+        t.bot.send(USERS.admin, '/invites');
+        return t.bot.nextReply().then(function(reply) {
+          assert.ok(_.includes(reply.text, '`' + created.code + '`'));
+          assert.equal(reply.options.reply_markup.inline_keyboard[0][0].callback_data, 'ir:' + created.code);
+
+          t.bot.press(USERS.admin, 'ir:' + created.code);
+          return t.bot.nextReply();
+        });
+      })
+        .then(function(reply) {
+          assert.equal(reply.method, 'editMessageText');
+          assert.deepEqual(t.invites.list(), []);
+
+          t.bot.send(USERS.admin, '/invites');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('noInvites'));
+        });
+    });
+  });
+
+  describe('failed attempts', function() {
+    it('locks a user out after too many of them', function() {
+      t.bot.send(USERS.guest, '/auth wrong');
+      t.bot.send(USERS.guest, '/join NOSUCHCODE');
+      t.bot.send(USERS.guest, '/auth ' + helpers.PASSWORD);
+      return t.bot.nextReplies(3).then(function(replies) {
+        assert.ok(_.includes(replies[0].text, i18n.__('invalidPassword')));
+        assert.ok(_.includes(replies[1].text, i18n.__('invalidInvite')));
+        assert.ok(_.includes(replies[2].text, i18n.__n('authLocked', 15)));
+        assert.ok(!_.some(t.acl.allowedUsers, { id: USERS.guest.id }));
+      });
+    });
+
+    it('deletes the message with the password', function() {
+      t.bot.send(USERS.guest, '/auth ' + helpers.PASSWORD);
+      return t.bot.nextReply().then(function() {
+        var deleted = _.find(t.bot.calls, { method: 'deleteMessage' });
+        assert.equal(deleted.args[0], USERS.guest.id);
+      });
+    });
+  });
+
+  describe('requests for access', function() {
+    function request() {
+      t.bot.send(USERS.guest, '/access');
+      return t.bot.nextReplies(2).then(function(replies) {
+        assert.equal(replies[0].text, i18n.__('accessRequested'));
+        assert.equal(replies[1].chatId, USERS.owner.id);
+        return replies[1].options.reply_markup.inline_keyboard[0];
+      });
+    }
+
+    it('asks the owner, who can approve it', function() {
+      return request().then(function(buttons) {
+        t.bot.press(USERS.owner, buttons[0].callback_data);
+        return t.bot.nextReplies(2);
+      })
+        .then(function(replies) {
+          assert.equal(replies[0].chatId, USERS.guest.id);
+          assert.equal(replies[0].text, i18n.__('isAuthorized'));
+          assert.equal(replies[1].method, 'editMessageText');
+          assert.equal(_.find(t.acl.allowedUsers, { id: USERS.guest.id }).role, 'requester');
+        });
+    });
+
+    it('tells the user when it is denied', function() {
+      return request().then(function(buttons) {
+        t.bot.press(USERS.owner, buttons[1].callback_data);
+        return t.bot.nextReplies(2);
+      })
+        .then(function(replies) {
+          assert.ok(_.includes(replies[0].text, i18n.__('accessRequestDenied')));
+          assert.equal(replies[1].text, i18n.__('accessDenied'));
+          assert.ok(!_.some(t.acl.allowedUsers, { id: USERS.guest.id }));
+        });
+    });
+
+    it('asks only once', function() {
+      return request().then(function() {
+        t.bot.send(USERS.guest, '/access');
+        return t.bot.nextReply();
+      })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('accessPending'));
+        });
+    });
+
+    it('does not take requests of authorized or revoked users', function() {
+      t.bot.send(USERS.viewer, '/access');
+      t.bot.send(USERS.revoked, '/access');
+      return t.bot.nextReplies(2).then(function(replies) {
+        assert.equal(replies[0].text, i18n.__('alreadyAuthorized'));
+        assert.equal(replies[1].text, i18n.__('isRevoked'));
+      });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+var assert = require('assert');
+var fs = require('fs-extra');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var FakeBot = require(__dirname + '/helpers/fake-bot');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+
+var en = i18n.forLocale('en');
+var de = i18n.forLocale('de');
+
+// the same users with the language of their telegram app
+var GERMAN = _.assign({ language_code: 'de' }, USERS.requester);
+var FRENCH = _.assign({ language_code: 'fr' }, USERS.requester);
+
+describe('languages', function() {
+  var t;
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  describe('translations', function() {
+    beforeEach(function() {
+      return helpers.createApp().then(function(app) {
+        t = app;
+      });
+    });
+
+    it('picks the plural form of the language', function() {
+      assert.equal(en.__n('foundMovies', 1), 'Found 1 movie');
+      assert.equal(en.__n('foundMovies', 0), 'Found 0 movies');
+      assert.equal(de.__n('foundMovies', 2), '2 Filme gefunden');
+    });
+
+    it('uses the default locale for unknown locales', function() {
+      assert.equal(i18n.forLocale('xx').locale, 'en');
+      assert.equal(i18n.forLocale('xx').__('hello'), 'Hello');
+    });
+  });
+
+  describe('picking the language', function() {
+    beforeEach(function() {
+      return helpers.createApp().then(function(app) {
+        t = app;
+      });
+    });
+
+    it('answers in the language of the telegram app', function() {
+      t.bot.send(GERMAN, '/clear');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, de.__('clear'));
+      });
+    });
+
+    it('answers in the default language when there is no locale for the app', function() {
+      t.bot.send(FRENCH, '/clear');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, en.__('clear'));
+      });
+    });
+
+    it('lists the languages as buttons', function() {
+      t.bot.send(USERS.requester, '/language');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, en.__('currentLanguage', 'English')));
+        assert.deepEqual(FakeBot.buttons(reply), ['lg:de', 'lg:en']);
+      });
+    });
+
+    it('keeps the language picked over the one of the app', function() {
+      t.bot.send(USERS.requester, '/language DE');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.equal(reply.text, de.__('languageChanged', 'Deutsch'));
+          return t.saved();
+        })
+        .then(function() {
+          var saved = _.find(fs.readJsonSync(t.dataDir + '/acl.json').allowedUsers, { id: USERS.requester.id });
+          assert.equal(saved.language, 'de');
+
+          t.bot.send(_.assign({ language_code: 'en' }, USERS.requester), '/clear');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, de.__('clear'));
+        });
+    });
+
+    it('picks the language with a button', function() {
+      t.bot.press(USERS.viewer, 'lg:de');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, de.__('languageChanged', 'Deutsch'));
+        assert.equal(_.find(t.acl.allowedUsers, { id: USERS.viewer.id }).language, 'de');
+      });
+    });
+
+    it('registers the commands of a user in their language', function() {
+      t.bot.send(USERS.requester, '/language de');
+      return t.bot.nextReply().then(function() {
+        var call = _.findLast(t.bot.calls, { method: 'setMyCommands' });
+        assert.equal(call.args[1].scope.chat_id, USERS.requester.id);
+        assert.ok(_.some(call.args[0], { command: 'q', description: de.__('command_q') }));
+      });
+    });
+
+    it('refuses languages it does not have', function() {
+      t.bot.send(USERS.requester, '/language xx');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, en.__('languageNotFound', 'de, en')));
+        assert.ok(!_.find(t.acl.allowedUsers, { id: USERS.requester.id }).language);
+      });
+    });
+
+    it('does not keep a language for users without their own role', function() {
+      var group = { id: -100, type: 'group', title: 'Movie night' };
+
+      t.bot.send(USERS.admin, '/authchat', { chat: group });
+      return t.bot.nextReply()
+        .then(function() {
+          t.bot.send(USERS.guest, '/language de', { chat: group });
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, en.__('languageNotSaved')));
+        });
+    });
+  });
+
+  describe('command lists', function() {
+    beforeEach(function() {
+      return helpers.createApp({ config: { bot: { language: 'de' } } }).then(function(app) {
+        t = app;
+      });
+    });
+
+    it('registers the command list in every language', function() {
+      return t.bot.settle().then(function() {
+        var calls = _.filter(t.bot.calls, function(call) {
+          return call.method === 'setMyCommands' && !call.args[1].scope;
+        });
+
+        assert.deepEqual(_.map(calls, function(call) { return call.args[1].language_code; }), [undefined, 'de', 'en']);
+        assert.ok(_.some(calls[0].args[0], { command: 'q', description: de.__('command_q') }));
+        assert.ok(_.some(calls[2].args[0], { command: 'q', description: en.__('command_q') }));
+      });
+    });
+
+    it('answers in the configured language', function() {
+      t.bot.send(FRENCH, '/clear');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, de.__('clear'));
+      });
+    });
+  });
+});
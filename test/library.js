@@ -0,0 +1,222 @@
+var assert = require('assert');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+var FakeBot = require(__dirname + '/helpers/fake-bot');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+var HD = fixtures.profiles.list[0]._id;
+
+describe('library', function() {
+  var t;
+
+  beforeEach(function() {
+    return helpers.createApp({ config: { bot: { libraryPageSize: 1 } } }).then(function(app) {
+      t = app;
+      t.couchpotato
+        .respond('profile.list', fixtures.profiles)
+        .respond('media.list', { movies: fixtures.library(), total: 2 })
+        .respond('media.get', function(query) {
+          return { media: _.find(fixtures.library(), { _id: query.id }) };
+        });
+    });
+  });
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  it('lists the first page with detail and next buttons', function() {
+    t.bot.send(USERS.viewer, '/library');
+    return t.bot.nextReply().then(function(reply) {
+      assert.deepEqual(t.couchpotato.calls('media.list'), [{ type: 'movie' }]);
+      assert.ok(_.includes(reply.text, '*' + i18n.__('libraryFound') + '* (1-1 / 2)'));
+      assert.ok(_.includes(reply.text, '*1*) [Alien](http://imdb.com/title/tt0078748) - _1979_ - _snatched_ - _HD_'));
+      assert.deepEqual(FakeBot.buttons(reply), ['li:default:' + fixtures.ALIEN_ID, 'lp:1']);
+    });
+  });
+
+  it('pages through the library', function() {
+    t.bot.send(USERS.viewer, '/library');
+    return t.bot.nextReply()
+      .then(function() {
+        t.bot.press(USERS.viewer, 'lp:1');
+        return t.bot.nextReply();
+      })
+      .then(function(reply) {
+        assert.equal(reply.method, 'editMessageText');
+        assert.equal(t.couchpotato.calls('media.list').length, 1);
+        assert.ok(_.includes(reply.text, '*2*) [Aliens](http://imdb.com/title/tt0090605) - _1986_ - _done_ - _SD_'));
+        assert.deepEqual(FakeBot.buttons(reply), ['li:default:' + fixtures.ALIENS_ID, 'lp:0']);
+      });
+  });
+
+  it('filters the library', function() {
+    t.bot.send(USERS.viewer, '/library ALIEN status:done');
+    t.bot.send(USERS.viewer, '/library release:snatched starts:a');
+    t.bot.send(USERS.viewer, '/library alien starts:b');
+    return t.bot.nextReplies(3).then(function(replies) {
+      assert.ok(_.includes(replies[0].text, '(1-1 / 1)'));
+      assert.ok(_.includes(replies[0].text, '[Aliens]'));
+      assert.ok(_.includes(replies[1].text, '[Alien]'));
+      assert.ok(_.includes(replies[2].text, i18n.__('queryNoResults') + ': alien'));
+      assert.equal(t.couchpotato.calls('media.list').length, 1);
+    });
+  });
+
+  it('tells the user when nothing matches', function() {
+    t.couchpotato.respond('media.list', { movies: [] });
+    t.bot.send(USERS.viewer, '/library nothing');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, i18n.__('queryNoResults') + ': nothing'));
+    });
+  });
+
+  it('rejects an unknown instance', function() {
+    t.bot.send(USERS.viewer, '/library in:other');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, i18n.__('instanceNotFound') + ': other'));
+      assert.equal(t.couchpotato.calls('media.list').length, 0);
+    });
+  });
+
+  it('asks for a new search when paging without one', function() {
+    t.bot.press(USERS.viewer, 'lp:1');
+    return t.bot.nextReply().then(function(reply) {
+      assert.ok(_.includes(reply.text, i18n.__('libraryAgain')));
+    });
+  });
+
+  it('sends the card of a library movie', function() {
+    t.bot.press(USERS.viewer, 'li:default:' + fixtures.ALIENS_ID);
+    return t.bot.nextReply().then(function(reply) {
+      assert.deepEqual(t.couchpotato.calls('media.get'), [{ id: fixtures.ALIENS_ID }]);
+      assert.ok(_.includes(reply.text, '*Aliens* (1986)'));
+      assert.ok(_.includes(reply.text, '*' + i18n.__('inLibrary') + ':* _done_ - _SD_'));
+    });
+  });
+
+  it('does not let guests browse the library', function() {
+    t.bot.send(USERS.guest, '/library');
+    return t.bot.nextReply().then(function(reply) {
+      assert.equal(t.couchpotato.calls('media.list').length, 0);
+      assert.ok(!_.includes(reply.text, i18n.__('libraryFound')));
+    });
+  });
+
+  describe('snapshot', function() {
+    var PROMETHEUS = {
+      _id: 'p3p3p3p3p3p3p3p3p3p3p3p3p3p3p3p3', title: 'Prometheus', status: 'active',
+      info: { imdb: 'tt1446714', tmdb_id: 70981, year: 2012 }, releases: []
+    };
+
+    it('is fetched once for the search markers and the duplicate check', function() {
+      t.couchpotato.respond('movie.search', fixtures.search);
+      t.bot.send(USERS.requester, '/q alien');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'm'));
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('movieExists')));
+          assert.equal(t.couchpotato.calls('media.list').length, 1);
+        });
+    });
+
+    it('finds a movie with other ids by its title and year', function() {
+      t.couchpotato.respond('movie.search', { movies: [{ original_title: 'Aliëns', year: 1986, tmdb_id: 1 }] });
+      t.bot.send(USERS.requester, '/q aliens');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, '✅ _' + i18n.__('inLibrary') + '_'));
+      });
+    });
+
+    it('is fetched again after the bot adds a movie', function() {
+      t.couchpotato
+        .respond('movie.search', { movies: [_.assign({ original_title: 'Prometheus', year: 2012 }, PROMETHEUS.info)] })
+        .respond('media.list', { movies: fixtures.library(), total: 2 });
+
+      t.bot.send(USERS.requester, '/q prometheus');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'm'));
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          t.couchpotato.respond('media.list', { movies: fixtures.library().concat([PROMETHEUS]), total: 3 });
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'p', HD));
+          return t.bot.settle();
+        })
+        .then(function() {
+          t.bot.send(USERS.viewer, '/library prometheus');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(t.couchpotato.calls('media.list').length, 2);
+          assert.ok(_.includes(reply.text, '[Prometheus]'));
+        });
+    });
+
+    it('is fetched again after a movie is deleted', function() {
+      t.bot.send(USERS.viewer, '/library');
+      return t.bot.nextReply()
+        .then(function() {
+          t.couchpotato.respond('media.list', { movies: fixtures.library().slice(1), total: 1 });
+          t.bot.press(USERS.admin, 'mdc:default:' + fixtures.ALIEN_ID + ':yes');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('movieDeleted'));
+          t.bot.send(USERS.viewer, '/library');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(t.couchpotato.calls('media.list').length, 2);
+          assert.ok(!_.includes(reply.text, '[Alien]'));
+        });
+    });
+
+    it('keeps the snapshot it has when a refresh fails', function() {
+      return t.library.refreshAll(t.instances.list())
+        .then(function() {
+          t.couchpotato.respond('media.list', { error: 'Unauthorized' });
+          return t.library.refreshAll(t.instances.list());
+        })
+        .then(function() {
+          return t.library.get(t.instances.get('default'));
+        })
+        .then(function(snapshot) {
+          assert.equal(t.couchpotato.calls('media.list').length, 2);
+          assert.deepEqual(_.keys(snapshot.titles), ['alien', 'aliens']);
+          assert.equal(snapshot.ids.tt0090605._id, fixtures.ALIENS_ID);
+        });
+    });
+  });
+
+  describe('wanted', function() {
+    it('searches for every wanted movie', function() {
+      t.bot.send(USERS.admin, '/wanted');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(t.couchpotato.calls('movie.searcher.full_search').length, 1);
+        assert.equal(reply.text, i18n.__('moviesWanted'));
+      });
+    });
+
+    it('rejects an unknown instance', function() {
+      t.bot.send(USERS.admin, '/wanted other');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('instanceNotFound') + ': other'));
+        assert.equal(t.couchpotato.calls('movie.searcher.full_search').length, 0);
+      });
+    });
+
+    it('is only for admins', function() {
+      t.bot.send(USERS.requester, '/wanted');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('adminOnly')));
+      });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+var assert = require('assert');
+var http = require('http');
+var _ = require('lodash');
+var Promise = require('bluebird');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+var FakeBot = require(__dirname + '/helpers/fake-bot');
+var links = require(__dirname + '/../lib/links');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+var HD = fixtures.profiles.list[0]._id;
+
+var ALIEN = fixtures.search.movies[0];
+var ALIENS = fixtures.search.movies[1];
+
+describe('movie links', function() {
+  describe('finding links', function() {
+    it('finds imdb urls and ids', function() {
+      assert.deepEqual(links.find('watch this https://m.imdb.com/title/tt0078748/?ref_=ext_shr'), {
+        site: 'imdb', id: 'tt0078748'
+      });
+      assert.deepEqual(links.find('https://www.imdb.com/de/title/tt0078748'), { site: 'imdb', id: 'tt0078748' });
+      assert.deepEqual(links.find('tt0078748'), { site: 'imdb', id: 'tt0078748' });
+    });
+
+    it('finds tmdb urls with the title of their slug', function() {
+      assert.deepEqual(links.find('https://www.themoviedb.org/movie/679-aliens?language=de'), {
+        site: 'tmdb', id: '679', title: 'aliens'
+      });
+      assert.deepEqual(links.find('https://www.themoviedb.org/movie/679'), { site: 'tmdb', id: '679', title: null });
+    });
+
+    it('finds letterboxd urls', function() {
+      assert.deepEqual(links.find('https://letterboxd.com/film/alien-1979/'), {
+        site: 'letterboxd', url: 'https://letterboxd.com/film/alien-1979/', title: 'alien'
+      });
+      assert.deepEqual(links.find('https://boxd.it/2b0k'), {
+        site: 'letterboxd', url: 'https://boxd.it/2b0k', title: null
+      });
+    });
+
+    it('ignores other text', function() {
+      assert.equal(links.find('alien 1979'), undefined);
+      assert.equal(links.find('https://example.com/title/tt0078748x'), undefined);
+    });
+  });
+
+  describe('letterboxd pages', function() {
+    var server, page, port;
+
+    beforeEach(function() {
+      server = http.createServer(function(req, res) {
+        res.statusCode = page ? 200 : 404;
+        res.end(page || 'Not found');
+      });
+      return Promise.fromNode(function(callback) { server.listen(0, '127.0.0.1', callback); }).then(function() {
+        port = server.address().port;
+      });
+    });
+
+    afterEach(function() {
+      return Promise.fromNode(function(callback) { server.close(callback); });
+    });
+
+    function resolve() {
+      return links.resolve({ site: 'letterboxd', url: 'http://127.0.0.1:' + port + '/film/alien/', title: 'alien' });
+    }
+
+    it('takes the ids from the links on the page', function() {
+      page = '<body class="film" data-tmdb-id="348"><a href="http://www.imdb.com/title/tt0078748/maindetails">' +
+        'IMDb</a><a href="https://www.themoviedb.org/movie/348/">TMDb</a></body>';
+      return resolve().then(function(ids) {
+        assert.deepEqual(ids, { imdb: 'tt0078748', tmdb: '348', title: 'alien' });
+      });
+    });
+
+    it('keeps the title when the page is missing', function() {
+      page = null;
+      return resolve().then(function(ids) {
+        assert.deepEqual(ids, { imdb: null, tmdb: null, title: 'alien' });
+      });
+    });
+  });
+
+  describe('sharing links with the bot', function() {
+    var t;
+
+    beforeEach(function() {
+      return helpers.createApp().then(function(app) {
+        t = app;
+        t.couchpotato
+          .respond('movie.search', function(query) {
+            return query.q === ALIEN.imdb ? { movies: [ALIEN] } : fixtures.search;
+          })
+          .respond('profile.list', fixtures.profiles)
+          .respond('media.list', { movies: [], total: 0 });
+      });
+    });
+
+    afterEach(function() {
+      return t.stop();
+    });
+
+    it('goes straight to the profiles of the movie', function() {
+      t.bot.send(USERS.requester, 'we should get https://www.imdb.com/title/tt0078748/');
+      return t.bot.nextReplies(2).then(function(replies) {
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: ALIEN.imdb }]);
+        assert.ok(_.includes(replies[0].text, '[Alien]'));
+        assert.equal(replies[1].method, 'editMessageText');
+        assert.ok(_.includes(replies[1].text, i18n.__('foundProfiles') + ': 2'));
+        assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, 'cpProfile');
+
+        t.bot.press(USERS.requester, FakeBot.button(replies[1], 'p', HD));
+        return t.bot.nextReply();
+      })
+        .then(function() {
+          assert.deepEqual(t.couchpotato.calls('movie.add'), [
+            { identifier: ALIEN.imdb, title: 'Alien', profile_id: HD }
+          ]);
+        });
+    });
+
+    it('finds the movie of a tmdb link by its title', function() {
+      t.bot.send(USERS.requester, 'https://www.themoviedb.org/movie/679-aliens');
+      return t.bot.nextReplies(2).then(function(replies) {
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'aliens' }]);
+        assert.ok(_.includes(replies[1].text, '*Aliens - 1986*'));
+        assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).data.movieList[0].tmdb_id, ALIENS.tmdb_id);
+      });
+    });
+
+    it('tells when the movie is already in the library', function() {
+      t.couchpotato.respond('media.list', { movies: fixtures.library() });
+      t.bot.send(USERS.requester, 'https://www.imdb.com/title/tt0078748/');
+      return t.bot.nextReplies(2).then(function(replies) {
+        assert.ok(_.includes(replies[0].text, i18n.__('inLibrary')));
+        assert.ok(_.includes(replies[1].text, i18n.__('movieExists')));
+      });
+    });
+
+    it('takes links in the middle of another flow', function() {
+      t.bot.send(USERS.requester, '/q alien');
+      return t.bot.nextReply()
+        .then(function() {
+          t.bot.send(USERS.requester, 'https://www.imdb.com/title/tt0078748/');
+          return t.bot.nextReplies(2);
+        })
+        .then(function(replies) {
+          assert.ok(_.includes(replies[1].text, i18n.__('foundProfiles')));
+        });
+    });
+
+    it('does not let viewers add movies from links', function() {
+      t.bot.send(USERS.viewer, 'https://www.imdb.com/title/tt0078748/');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('requesterOnly')));
+        assert.deepEqual(t.couchpotato.calls('movie.search'), []);
+      });
+    });
+
+    it('ignores links in groups that are not for the bot', function() {
+      var group = { chat: { id: -100, type: 'group', title: 'Movie night' } };
+
+      t.bot.send(USERS.requester, 'https://www.imdb.com/title/tt0078748/', group);
+      return t.bot.settle().then(function(replies) {
+        assert.deepEqual(replies, []);
+
+        t.bot.send(USERS.requester, '@cpbot https://www.imdb.com/title/tt0078748/', group);
+        return t.bot.nextReplies(2);
+      })
+        .then(function(replies) {
+          assert.equal(replies[1].chatId, -100);
+          assert.ok(_.includes(replies[1].text, i18n.__('foundProfiles')));
+        });
+    });
+  });
+});
@@ -0,0 +1,270 @@
+var assert = require('assert');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+var FakeBot = require(__dirname + '/helpers/fake-bot');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+var ALIEN = 'default:' + fixtures.ALIEN_ID;
+var RELEASE_ID = fixtures.library()[0].releases[0]._id;
+
+describe('library management', function() {
+  var t;
+
+  function start(options) {
+    return helpers.createApp(options).then(function(app) {
+      t = app;
+      t.couchpotato
+        .respond('profile.list', fixtures.profiles)
+        .respond('media.list', { movies: fixtures.library() })
+        .respond('media.get', function(query) {
+          return { media: _.find(fixtures.library(), { _id: query.id }) };
+        });
+    });
+  }
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  describe('as an admin', function() {
+    beforeEach(function() {
+      return start();
+    });
+
+    it('lists the matching library movies to act on', function() {
+      t.bot.send(USERS.admin, '/delete alien');
+      return t.bot.nextReply().then(function(reply) {
+        assert.deepEqual(t.couchpotato.calls('media.list'), [{ type: 'movie', limit_offset: '15,0', search: 'alien' }]);
+        assert.ok(_.includes(reply.text, '*2*) [Aliens](http://imdb.com/title/tt0090605) - _1986_ - _done_'));
+        assert.deepEqual(FakeBot.buttons(reply), ['md:' + ALIEN, 'md:default:' + fixtures.ALIENS_ID]);
+      });
+    });
+
+    it('tries the next release of a movie picked with /research', function() {
+      t.bot.send(USERS.admin, '/research alien');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.deepEqual(FakeBot.buttons(reply), ['mt:' + ALIEN, 'mt:default:' + fixtures.ALIENS_ID]);
+
+          t.bot.press(USERS.admin, 'mt:' + ALIEN);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('tryNextConfirm'));
+          assert.equal(t.sessions.get(USERS.admin.id, USERS.admin.id).state, 'manageTryNextConfirm');
+        });
+    });
+
+    it('changes the profile of a movie picked with /profile', function() {
+      t.bot.send(USERS.admin, '/profile alien');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.deepEqual(FakeBot.buttons(reply), ['mp:' + ALIEN, 'mp:default:' + fixtures.ALIENS_ID]);
+
+          t.bot.press(USERS.admin, 'mp:' + ALIEN);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(t.couchpotato.calls('profile.list').length, 1);
+          assert.deepEqual(FakeBot.buttons(reply), _.map(fixtures.profiles.list.slice(0, 2), function(profile) {
+            return 'mps:' + profile._id;
+          }));
+        });
+    });
+
+    it('lists the releases of a movie picked with /ignore', function() {
+      t.bot.send(USERS.admin, '/ignore alien');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.deepEqual(FakeBot.buttons(reply), ['mi:' + ALIEN, 'mi:default:' + fixtures.ALIENS_ID]);
+
+          t.bot.press(USERS.admin, 'mi:' + ALIEN);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.deepEqual(t.couchpotato.calls('media.get'), [{ id: fixtures.ALIEN_ID }]);
+          assert.deepEqual(FakeBot.buttons(reply), ['mis:default:' + RELEASE_ID]);
+        });
+    });
+
+    it('says so when no library movie matches', function() {
+      t.couchpotato.respond('media.list', { movies: [] });
+      t.bot.send(USERS.admin, '/research prometheus');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('queryNoResults') + ': prometheus'));
+      });
+    });
+
+    it('needs a movie name', function() {
+      t.bot.send(USERS.admin, '/refresh');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, '/refresh [movie name]'));
+        assert.equal(t.couchpotato.calls('media.list').length, 0);
+      });
+    });
+
+    it('refreshes a movie', function() {
+      t.bot.press(USERS.admin, 'mr:' + ALIEN);
+      return t.bot.nextReply().then(function(reply) {
+        assert.deepEqual(t.couchpotato.calls('media.refresh'), [{ id: fixtures.ALIEN_ID }]);
+        assert.equal(reply.text, i18n.__('movieRefreshed'));
+      });
+    });
+
+    it('tells the admin when couchpotato refuses an action', function() {
+      t.couchpotato.respond('media.refresh', { success: false });
+      t.bot.press(USERS.admin, 'mr:' + ALIEN);
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('tryAgain')));
+      });
+    });
+
+    it('tries the next release after the confirmation', function() {
+      t.bot.press(USERS.admin, 'mt:' + ALIEN);
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('tryNextConfirm'));
+          assert.deepEqual(FakeBot.buttons(reply), ['mtc:' + ALIEN + ':no', 'mtc:' + ALIEN + ':yes']);
+
+          t.bot.press(USERS.admin, 'mtc:' + ALIEN + ':yes');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.deepEqual(t.couchpotato.calls('movie.searcher.try_next'), [{ media_id: fixtures.ALIEN_ID }]);
+          assert.equal(reply.text, i18n.__('movieResearched'));
+        });
+    });
+
+    it('keeps the release when the admin says no', function() {
+      t.bot.press(USERS.admin, 'mtc:' + ALIEN + ':no');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('movieNotResearched'));
+        assert.equal(t.couchpotato.calls('movie.searcher.try_next').length, 0);
+      });
+    });
+
+    it('changes the quality profile', function() {
+      t.bot.press(USERS.admin, 'mp:' + ALIEN);
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.deepEqual(FakeBot.buttons(reply), _.map(fixtures.profiles.list.slice(0, 2), function(profile) {
+            return 'mps:' + profile._id;
+          }));
+
+          t.bot.press(USERS.admin, 'mps:' + fixtures.profiles.list[1]._id);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.deepEqual(t.couchpotato.calls('movie.edit'), [
+            { id: fixtures.ALIEN_ID, profile_id: fixtures.profiles.list[1]._id }
+          ]);
+          assert.equal(reply.text, i18n.__('profileChanged'));
+        });
+    });
+
+    it('asks to start over when picking a profile without a movie', function() {
+      t.bot.press(USERS.admin, 'mps:' + fixtures.profiles.list[1]._id);
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('tryAgain')));
+        assert.equal(t.couchpotato.calls('movie.edit').length, 0);
+      });
+    });
+
+    it('ignores a release after the confirmation', function() {
+      t.bot.press(USERS.admin, 'mi:' + ALIEN);
+      return t.bot.nextReply()
+        .then(function(reply) {
+          // the ignored release is not offered again
+          assert.ok(_.includes(reply.text, '*1*) _snatched_ - 720p - Alien.720p'));
+          assert.deepEqual(FakeBot.buttons(reply), ['mis:default:' + RELEASE_ID]);
+
+          t.bot.press(USERS.admin, 'mis:default:' + RELEASE_ID);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('ignoreConfirm'));
+
+          t.bot.press(USERS.admin, 'mic:default:' + RELEASE_ID + ':yes');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.deepEqual(t.couchpotato.calls('release.ignore'), [{ id: RELEASE_ID }]);
+          assert.equal(reply.text, i18n.__('releaseIgnored'));
+        });
+    });
+
+    it('says so when a movie has no releases to ignore', function() {
+      t.bot.press(USERS.admin, 'mi:default:' + fixtures.ALIENS_ID);
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('noReleases')));
+      });
+    });
+
+    it('keeps the release when the admin does not ignore it', function() {
+      t.bot.press(USERS.admin, 'mic:default:' + RELEASE_ID + ':no');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('releaseNotIgnored'));
+      });
+    });
+
+    it('deletes a movie after the confirmation', function() {
+      t.bot.press(USERS.admin, 'md:' + ALIEN);
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('deleteConfirm'));
+          assert.equal(t.sessions.get(USERS.admin.id, USERS.admin.id).state, 'manageDeleteConfirm');
+
+          t.bot.press(USERS.admin, 'mdc:' + ALIEN + ':yes');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.deepEqual(t.couchpotato.calls('media.delete'), [{ id: fixtures.ALIEN_ID, delete_from: 'all' }]);
+          assert.equal(reply.text, i18n.__('movieDeleted'));
+        });
+    });
+
+    it('keeps the movie when the admin says no', function() {
+      t.bot.press(USERS.admin, 'mdc:' + ALIEN + ':no');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('movieNotDeleted'));
+        assert.equal(t.couchpotato.calls('media.delete').length, 0);
+      });
+    });
+
+    it('rejects an unknown instance', function() {
+      t.bot.press(USERS.admin, 'md:other:' + fixtures.ALIEN_ID);
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('instanceNotFound')));
+      });
+    });
+  });
+
+  it('is only for admins by default', function() {
+    return start().then(function() {
+      t.bot.send(USERS.requester, '/delete alien');
+      return t.bot.nextReply();
+    })
+      .then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('adminOnly')));
+
+        t.bot.press(USERS.requester, 'mdc:' + ALIEN + ':yes');
+        return t.bot.nextReply();
+      })
+      .then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('adminOnly')));
+        assert.equal(t.couchpotato.calls('media.delete').length, 0);
+      });
+  });
+
+  it('lets requesters manage the library with the manage role lowered', function() {
+    return start({ config: { bot: { manageRole: 'requester' } } }).then(function() {
+      t.bot.press(USERS.requester, 'mr:' + ALIEN);
+      return t.bot.nextReply();
+    })
+      .then(function(reply) {
+        assert.equal(reply.text, i18n.__('movieRefreshed'));
+      });
+  });
+});
@@ -0,0 +1,130 @@
+var assert = require('assert');
+var http = require('http');
+var _ = require('lodash');
+var Promise = require('bluebird');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+
+var USERS = helpers.USERS;
+
+describe('monitor', function() {
+  var t, monitor, receiving;
+
+  /*
+   * get a page of the monitor, resolves to the status code and the body
+   */
+  function get(path, headers) {
+    return new Promise(function(resolve, reject) {
+      http.get({ host: '127.0.0.1', port: monitor.server.address().port, path: path, headers: headers }, function(res) {
+        var body = '';
+        res.on('data', function(chunk) { body += chunk; });
+        res.on('end', function() {
+          var json = /json/.test(res.headers['content-type']);
+          resolve({ statusCode: res.statusCode, body: json ? JSON.parse(body) : body });
+        });
+      }).on('error', reject);
+    });
+  }
+
+  beforeEach(function() {
+    receiving = true;
+
+    return helpers.createApp().then(function(app) {
+      t = app;
+      t.couchpotato.respond('movie.search', fixtures.search);
+
+      var Monitor = require(__dirname + '/../lib/monitor');
+      monitor = new Monitor({
+        bot: t.bot,
+        config: { host: '127.0.0.1', port: 0, token: 'letmein', timeout: 1 },
+        acl: t.acl,
+        sessions: t.sessions,
+        instances: t.instances,
+        isReceiving: function() { return receiving; }
+      });
+
+      return monitor.start();
+    });
+  });
+
+  afterEach(function() {
+    return monitor.stop().then(function() {
+      return t.stop();
+    });
+  });
+
+  describe('/healthz', function() {
+    it('is healthy when telegram and couchpotato answer', function() {
+      return get('/healthz').then(function(res) {
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, { ok: true, telegram: { ok: true }, instances: { default: { ok: true } } });
+        assert.equal(t.couchpotato.calls('app.available').length, 1);
+      });
+    });
+
+    it('fails when couchpotato is not available', function() {
+      t.couchpotato.respond('app.available', { success: false });
+      return get('/healthz').then(function(res) {
+        assert.equal(res.statusCode, 503);
+        assert.deepEqual(res.body.instances, { default: { ok: false, error: 'not available' } });
+      });
+    });
+
+    it('fails when no updates come in', function() {
+      receiving = false;
+      return get('/healthz').then(function(res) {
+        assert.equal(res.statusCode, 503);
+        assert.deepEqual(res.body.telegram, { ok: false, error: 'not receiving updates' });
+      });
+    });
+  });
+
+  it('serves the metrics', function() {
+    t.bot.send(USERS.requester, '/q alien');
+    t.bot.send(USERS.requester, '/nothing');
+
+    return t.bot.nextReplies(2)
+      .then(function() {
+        return get('/metrics');
+      })
+      .then(function(res) {
+        assert.equal(res.statusCode, 200);
+        assert.ok(_.includes(res.body, '# TYPE cpbot_commands_total counter'));
+        assert.ok(_.includes(res.body, 'cpbot_commands_total{command="q"} 1'));
+        assert.ok(_.includes(res.body, 'cpbot_searches_total 1'));
+        assert.ok(_.includes(res.body, 'cpbot_errors_total{type="reply"} 1'));
+        assert.ok(_.includes(res.body,
+          'cpbot_api_request_duration_seconds_count{instance="default",method="search"} 1'));
+      });
+  });
+
+  it('shows the acl and the sessions with the token', function() {
+    var auth = { Authorization: 'Bearer letmein' };
+
+    t.bot.send(USERS.requester, '/q alien');
+    return t.bot.nextReply()
+      .then(function() {
+        return Promise.all([get('/acl', auth), get('/sessions', auth)]);
+      })
+      .spread(function(acl, sessions) {
+        assert.deepEqual(_.map(acl.body.allowedUsers, 'id'), [USERS.admin.id, USERS.requester.id, USERS.viewer.id]);
+        assert.deepEqual(_.map(acl.body.revokedUsers, 'id'), [USERS.revoked.id]);
+        assert.equal(sessions.body.length, 1);
+        assert.equal(sessions.body[0].userId, USERS.requester.id);
+        assert.equal(sessions.body[0].state, 'cpMovie');
+      });
+  });
+
+  it('refuses the acl and the sessions without the token', function() {
+    return Promise.all([get('/acl'), get('/sessions', { Authorization: 'Bearer wrong' })])
+      .then(function(responses) {
+        assert.deepEqual(_.map(responses, 'statusCode'), [401, 401]);
+      });
+  });
+
+  it('does not know other pages', function() {
+    return get('/').then(function(res) {
+      assert.equal(res.statusCode, 404);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+var assert = require('assert');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+var ALIEN = { identifier: 'tt0078748', title: 'Alien', instance: 'default' };
+var ALIENS = { identifier: 'tt0090605', title: 'Aliens', instance: 'default' };
+
+describe('notifications', function() {
+  var t;
+
+  function start(options) {
+    return helpers.createApp(options).then(function(app) {
+      t = app;
+      t.couchpotato.respond('media.list', { movies: fixtures.library() });
+    });
+  }
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  it('tells the requesters when a movie moves on', function() {
+    return start()
+      .then(function() {
+        t.tracker.track(ALIEN, USERS.requester);
+        t.tracker.track(ALIEN, USERS.viewer);
+        return t.app.checkTrackedMovies().then(function() {
+          return t.bot.nextReplies(2);
+        });
+      })
+      .then(function(replies) {
+        assert.deepEqual(t.couchpotato.calls('media.list'), [
+          { type: 'movie', release_status: 'snatched,downloaded,done' }
+        ]);
+        assert.deepEqual(_.map(replies, 'chatId'), [USERS.requester.id, USERS.viewer.id]);
+        assert.equal(replies[0].text, '*Alien* ' + i18n.__('movieStatus_snatched'));
+        assert.equal(t.tracker.movies()[0].status, 'snatched');
+
+        // nothing changed since the last check
+        return t.app.checkTrackedMovies().then(function() {
+          return t.bot.settle();
+        });
+      })
+      .then(function(replies) {
+        assert.deepEqual(replies, []);
+      });
+  });
+
+  it('stops tracking movies that are done', function() {
+    return start()
+      .then(function() {
+        t.tracker.track(ALIENS, USERS.requester);
+        return t.app.checkTrackedMovies().then(function() {
+          return t.bot.nextReply();
+        });
+      })
+      .then(function(reply) {
+        assert.equal(reply.text, '*Aliens* ' + i18n.__('movieStatus_done'));
+        assert.deepEqual(t.tracker.movies(), []);
+      });
+  });
+
+  it('tells the owner who requested the movie', function() {
+    return start({ config: { notifications: { notifyOwner: true } } })
+      .then(function() {
+        t.tracker.track(ALIEN, USERS.requester);
+        return t.app.checkTrackedMovies().then(function() {
+          return t.bot.nextReplies(2);
+        });
+      })
+      .then(function(replies) {
+        assert.equal(replies[1].chatId, USERS.owner.id);
+        assert.ok(_.includes(replies[1].text, i18n.__('requestedBy') + ' @requester'));
+      });
+  });
+
+  it('ignores movies that have not moved on', function() {
+    return start()
+      .then(function() {
+        t.couchpotato.respond('media.list', { movies: [] });
+        t.tracker.track(ALIEN, USERS.requester);
+        return t.app.checkTrackedMovies().then(function() {
+          return t.bot.settle();
+        });
+      })
+      .then(function(replies) {
+        assert.deepEqual(replies, []);
+        assert.equal(t.tracker.movies()[0].status, 'requested');
+      });
+  });
+});
@@ -0,0 +1,255 @@
+var assert = require('assert');
+var _ = require('lodash');
+var RadarrBackend = require(__dirname + '/../lib/backends/radarr');
+var RadarrServer = require(__dirname + '/helpers/radarr-server');
+
+var API_KEY = 'abcdefghijklmnopqrstuvwxyz012345';
+
+// the library is not sorted, Radarr sorts by `sortTitle`
+var MOVIES = [
+  {
+    id: 2, title: 'Aliens', sortTitle: 'aliens', year: 1986, imdbId: 'tt0090605', tmdbId: 679, hasFile: true,
+    qualityProfileId: 1, images: []
+  },
+  {
+    id: 1, title: 'Alien', sortTitle: 'alien', year: 1979, imdbId: 'tt0078748', tmdbId: 348, hasFile: false,
+    qualityProfileId: 1, overview: 'In space no one can hear you scream.', genres: ['Horror'],
+    images: [{ coverType: 'poster', remoteUrl: 'http://posters/alien.jpg' }]
+  },
+  {
+    id: 3, title: 'Prometheus', sortTitle: 'prometheus', year: 2012, tmdbId: 70981, hasFile: false,
+    qualityProfileId: 4
+  }
+];
+
+// Alien is downloading
+var QUEUE = [
+  {
+    id: 11, movieId: 1, status: 'downloading', title: 'Alien.720p', downloadId: 'd1',
+    quality: { quality: { name: 'Bluray-720p' } }
+  }
+];
+
+var LOOKUP = [
+  {
+    title: 'Alien', year: 1979, imdbId: 'tt0078748', tmdbId: 348, runtime: 117, genres: ['Horror'],
+    overview: 'In space no one can hear you scream.', ratings: { imdb: { value: 8.5 } },
+    images: [{ coverType: 'poster', remoteUrl: 'http://posters/alien.jpg' }]
+  }
+];
+
+describe('Radarr backend', function() {
+  var radarr, backend;
+
+  function start(options) {
+    radarr = new RadarrServer(API_KEY);
+    return radarr.listen().then(function(port) {
+      backend = new RadarrBackend(_.assign({ hostname: 'http://127.0.0.1', port: port, apiKey: API_KEY }, options));
+      radarr
+        .respond('GET movie', MOVIES)
+        .respond('GET queue/details', QUEUE)
+        .respond('GET movie/lookup', LOOKUP)
+        .respond('GET rootfolder', [{ id: 1, path: '/movies' }, { id: 2, path: '/more' }])
+        .respond('GET qualityprofile', [{ id: 1, name: 'HD-1080p' }, { id: 4, name: 'Any' }]);
+    });
+  }
+
+  afterEach(function() {
+    return radarr.close();
+  });
+
+  describe('searching', function() {
+    beforeEach(function() {
+      return start();
+    });
+
+    it('answers with search results shaped like the ones of couchpotato', function() {
+      return backend.search('alien').then(function(movies) {
+        assert.deepEqual(radarr.calls('GET movie/lookup'), [{ query: { term: 'alien' }, body: null }]);
+        assert.deepEqual(movies, [{
+          original_title: 'Alien', year: 1979, tmdb_id: 348, plot: 'In space no one can hear you scream.',
+          genres: ['Horror'], runtime: 117, images: { poster: ['http://posters/alien.jpg'] },
+          imdb: 'tt0078748', via_imdb: true, rating: { imdb: [8.5] }
+        }]);
+      });
+    });
+
+    it('looks movies up by their imdb or tmdb id', function() {
+      return backend.lookup('tt0078748')
+        .then(function() {
+          return backend.lookup('348');
+        })
+        .then(function() {
+          assert.deepEqual(_.map(radarr.calls('GET movie/lookup'), 'query.term'), ['imdb:tt0078748', 'tmdb:348']);
+        });
+    });
+  });
+
+  describe('the library', function() {
+    beforeEach(function() {
+      return start();
+    });
+
+    it('lists the movies by title with their queued downloads as releases', function() {
+      return backend.list().then(function(result) {
+        assert.equal(result.total, 3);
+        assert.deepEqual(_.map(result.movies, 'title'), ['Alien', 'Aliens', 'Prometheus']);
+        assert.deepEqual(_.map(result.movies, 'status'), ['active', 'done', 'active']);
+        assert.deepEqual(result.movies[0].releases, [
+          { _id: '11', status: 'snatched', quality: 'Bluray-720p', identifier: 'd1', info: { name: 'Alien.720p' } }
+        ]);
+        assert.deepEqual(result.movies[0].info.images.poster, ['http://posters/alien.jpg']);
+        assert.equal(result.movies[0]._id, '1');
+        assert.equal(result.movies[0].profile_id, '1');
+      });
+    });
+
+    it('filters the movies like couchpotato', function() {
+      return backend.list({ search: 'alien' })
+        .then(function(result) {
+          assert.deepEqual(_.map(result.movies, 'title'), ['Alien', 'Aliens']);
+          return backend.list({ starts: 'p' });
+        })
+        .then(function(result) {
+          assert.deepEqual(_.map(result.movies, 'title'), ['Prometheus']);
+          return backend.list({ status: 'done' });
+        })
+        .then(function(result) {
+          assert.deepEqual(_.map(result.movies, 'title'), ['Aliens']);
+          return backend.list({ release: 'snatched' });
+        })
+        .then(function(result) {
+          assert.deepEqual(_.map(result.movies, 'title'), ['Alien']);
+        });
+    });
+
+    it('pages the movies', function() {
+      return backend.list({ limit: 1, offset: 1 }).then(function(result) {
+        assert.deepEqual(_.map(result.movies, 'title'), ['Aliens']);
+        assert.equal(result.total, 3);
+      });
+    });
+
+    it('marks completed downloads as downloaded', function() {
+      radarr.respond('GET queue/details', [_.assign({}, QUEUE[0], { status: 'completed' })]);
+      return backend.list({ release: 'downloaded' }).then(function(result) {
+        assert.deepEqual(_.map(result.movies[0].releases, 'status'), ['downloaded']);
+      });
+    });
+
+    it('gets a movie by its id', function() {
+      radarr.respond('GET movie/1', MOVIES[1]);
+      return backend.get('1').then(function(movie) {
+        assert.equal(movie.title, 'Alien');
+        assert.equal(movie.releases.length, 1);
+      });
+    });
+
+    it('gets nothing for a movie radarr does not know', function() {
+      radarr.respond('GET movie/9', { message: 'NotFound' }, 404);
+      return backend.get('9').then(function(movie) {
+        assert.equal(movie, undefined);
+      });
+    });
+  });
+
+  describe('profiles', function() {
+    beforeEach(function() {
+      return start();
+    });
+
+    it('answers with quality profiles shaped like the ones of couchpotato', function() {
+      return backend.profiles().then(function(profiles) {
+        assert.deepEqual(profiles, [
+          { _id: '1', label: 'HD-1080p', hide: false },
+          { _id: '4', label: 'Any', hide: false }
+        ]);
+      });
+    });
+  });
+
+  describe('adding', function() {
+    var ALIEN = { identifier: 'tt0078748', title: 'Alien' };
+
+    it('adds the movie to the first root folder and searches for it', function() {
+      return start()
+        .then(function() {
+          return backend.add(ALIEN, '4');
+        })
+        .then(function(added) {
+          assert.equal(added, true);
+          assert.deepEqual(_.map(radarr.calls('GET movie/lookup'), 'query.term'), ['imdb:tt0078748']);
+
+          var body = radarr.calls('POST movie')[0].body;
+          assert.equal(body.tmdbId, 348);
+          assert.equal(body.qualityProfileId, 4);
+          assert.equal(body.rootFolderPath, '/movies');
+          assert.equal(body.monitored, true);
+          assert.deepEqual(body.addOptions, { searchForMovie: true });
+        });
+    });
+
+    it('adds the movie to the configured root folder', function() {
+      return start({ rootFolder: '/films' })
+        .then(function() {
+          return backend.add({ identifier: '348', title: 'Alien' }, '1');
+        })
+        .then(function() {
+          assert.deepEqual(_.map(radarr.calls('GET movie/lookup'), 'query.term'), ['tmdb:348']);
+          assert.equal(radarr.calls('GET rootfolder').length, 0);
+          assert.equal(radarr.calls('POST movie')[0].body.rootFolderPath, '/films');
+        });
+    });
+
+    it('does not add a movie radarr can not find', function() {
+      return start()
+        .then(function() {
+          radarr.respond('GET movie/lookup', []);
+          return backend.add(ALIEN, '1');
+        })
+        .then(function(added) {
+          assert.equal(added, false);
+          assert.equal(radarr.calls('POST movie').length, 0);
+        });
+    });
+  });
+
+  describe('errors', function() {
+    beforeEach(function() {
+      return start();
+    });
+
+    it('rejects with the message of radarr and the status code', function() {
+      radarr.respond('POST movie', [{ propertyName: 'Path', errorMessage: 'This movie has already been added' }], 400);
+      return backend.add({ identifier: 'tt0078748' }, '1')
+        .then(function() {
+          assert.fail('the movie was added');
+        }, function(err) {
+          assert.equal(err.message, 'Radarr: This movie has already been added');
+          assert.equal(err.statusCode, 400);
+        });
+    });
+
+    it('rejects with the status without a message', function() {
+      radarr.respond('GET system/status', undefined, 500);
+      return backend.ping()
+        .then(function() {
+          assert.fail('the ping got through');
+        }, function(err) {
+          assert.equal(err.message, 'Radarr: Internal Server Error');
+          assert.equal(err.statusCode, 500);
+        });
+    });
+
+    it('rejects a wrong api key', function() {
+      backend.apiKey = 'wrong';
+      return backend.profiles()
+        .then(function() {
+          assert.fail('the profiles were listed');
+        }, function(err) {
+          assert.equal(err.message, 'Radarr: Unauthorized');
+          assert.equal(err.statusCode, 401);
+        });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var Router = require(__dirname + '/../lib/router');
+
+describe('Router', function() {
+  var router, handled, denied, invalid;
+
+  beforeEach(function() {
+    handled = denied = invalid = null;
+
+    router = new Router({
+      roles: ['guest', 'user', 'admin'],
+      getRole: function(user) { return user.role; },
+      deny: function(msg, command, role) { denied = { command: command.name, role: role }; },
+      invalid: function(msg, command) { invalid = command.name; }
+    });
+
+    router
+      .command({
+        name: 'q',
+        aliases: ['query'],
+        patterns: [/^\/s(?:\s+(.+))?$/],
+        description: 'search',
+        role: 'user',
+        args: [{ name: 'movieName', label: 'movie name', rest: true }],
+        handler: function(msg, args) { handled = { command: 'q', args: args }; }
+      })
+      .command({
+        name: 'rename',
+        description: 'rename',
+        role: 'admin',
+        args: [{ name: 'from', required: true }, { name: 'to', required: true }],
+        handler: function(msg, args) { handled = { command: 'rename', args: args }; }
+      })
+      .command({
+        name: 'secret',
+        hidden: true,
+        handler: function() { handled = { command: 'secret' }; }
+      });
+  });
+
+  function message(text, role) {
+    return { text: text, from: { id: 1, role: role || 'admin' }, chat: { id: 1 } };
+  }
+
+  it('matches commands by name, alias and pattern', function() {
+    assert.equal(router.match('/q alien').command.name, 'q');
+    assert.equal(router.match('/QUERY alien').command.name, 'q');
+    assert.equal(router.match('/s alien').input, 'alien');
+    assert.equal(router.match('/qq'), undefined);
+    assert.equal(router.match('alien'), undefined);
+  });
+
+  it('rejects commands with unknown roles', function() {
+    assert.throws(function() {
+      router.command({ name: 'x', role: 'nobody' });
+    }, /Unknown role "nobody"/);
+  });
+
+  it('parses the arguments', function() {
+    var q = router.match('/q').command;
+    var rename = router.match('/rename').command;
+
+    assert.deepEqual(router.parseArgs(q, 'the  alien'), { movieName: 'the alien' });
+    assert.deepEqual(router.parseArgs(q, ''), { movieName: undefined });
+    assert.deepEqual(router.parseArgs(rename, 'a b c'), { from: 'a', to: 'b' });
+    assert.equal(router.parseArgs(rename, 'a'), null);
+  });
+
+  it('runs the handler of an allowed command', function() {
+    return router.run(message('/q alien', 'user')).then(function() {
+      assert.deepEqual(handled, { command: 'q', args: { movieName: 'alien' } });
+    });
+  });
+
+  it('denies users below the role of the command', function() {
+    return router.run(message('/rename a b', 'user')).then(function() {
+      assert.equal(handled, null);
+      assert.deepEqual(denied, { command: 'rename', role: 'user' });
+    });
+  });
+
+  it('reports missing arguments', function() {
+    return router.run(message('/rename a')).then(function() {
+      assert.equal(handled, null);
+      assert.equal(invalid, 'rename');
+    });
+  });
+
+  it('does not run unknown commands', function() {
+    assert.equal(router.run(message('/unknown')), false);
+  });
+
+  it('resolves to what the handler returns', function() {
+    router.command({ name: 'count', handler: function() { return Promise.resolve(3); } });
+
+    return router.run(message('/count')).then(function(result) {
+      assert.equal(result, 3);
+    });
+  });
+
+  it('lists the visible commands of a role', function() {
+    assert.deepEqual(router.botCommands('user'), [{ command: 'q', description: 'search' }]);
+    assert.equal(router.commandsFor('admin').length, 2);
+    assert.equal(router.commandsFor('guest').length, 0);
+  });
+
+  it('builds the usage of a command', function() {
+    assert.equal(router.usage(router.match('/q').command), '/q [movie name]');
+    assert.equal(router.usage(router.match('/rename').command), '/rename [from] [to]');
+  });
+});
@@ -0,0 +1,760 @@
+var assert = require('assert');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+var fixtures = require(__dirname + '/helpers/fixtures');
+var FakeBot = require(__dirname + '/helpers/fake-bot');
+var CouchPotatoServer = require(__dirname + '/helpers/couchpotato-server');
+var Promise = require('bluebird');
+
+var i18n = helpers.i18n;
+var USERS = helpers.USERS;
+var HD = fixtures.profiles.list[0]._id;
+
+describe('searching and adding movies', function() {
+  var t;
+
+  function start(options) {
+    return helpers.createApp(options).then(function(app) {
+      t = app;
+      t.couchpotato
+        .respond('movie.search', fixtures.search)
+        .respond('profile.list', fixtures.profiles)
+        .respond('media.list', { movies: [], total: 0 });
+    });
+  }
+
+  /*
+   * search as the user and pick the first movie, resolves to the profile list
+   */
+  function pickMovie(user) {
+    t.bot.send(user, '/q alien');
+    return t.bot.nextReply().then(function(reply) {
+      t.bot.press(user, FakeBot.button(reply, 'm'));
+      return t.bot.nextReply();
+    });
+  }
+
+  /*
+   * the id of the search the buttons of a reply belong to
+   */
+  function searchOf(reply) {
+    return FakeBot.buttons(reply)[0].split(':')[1];
+  }
+
+  /*
+   * the add and details buttons of the first `count` results of a search
+   */
+  function resultButtons(search, count) {
+    return _.flatten(_.map(_.range(1, count + 1), function(id) {
+      return ['m:' + search + ':' + id, 'i:' + search + ':' + id];
+    }));
+  }
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  describe('without approval', function() {
+    beforeEach(function() {
+      return start();
+    });
+
+    it('lists the search results with add and details buttons', function() {
+      t.bot.send(USERS.requester, '/q alien');
+      return t.bot.nextReply().then(function(reply) {
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'alien' }]);
+        assert.ok(_.includes(reply.text, '*Found 2 movies:*'));
+        assert.ok(_.includes(reply.text, '[Alien](http://imdb.com/title/tt0078748) - _1979_ - _8.5/10_ - _117m_'));
+        assert.deepEqual(FakeBot.buttons(reply), resultButtons(searchOf(reply), 2));
+        assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, 'cpMovie');
+      });
+    });
+
+    it('asks for the movie name and searches for the answer', function() {
+      t.bot.send(USERS.requester, '/query');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('moviesLookup'));
+          assert.ok(reply.options.reply_markup.force_reply);
+          assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, 'cpMovieSearch');
+
+          t.bot.send(USERS.requester, 'aliens');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'aliens' }]);
+          assert.ok(_.includes(reply.text, 'Found 2 movies'));
+        });
+    });
+
+    it('asks to search again when nothing is found', function() {
+      t.couchpotato.respond('movie.search', {});
+      t.bot.send(USERS.requester, '/q nothing');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, 'Could not find nothing'));
+        assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, 'cpMovieSearch');
+      });
+    });
+
+    it('lists the enabled profiles of the picked movie', function() {
+      return pickMovie(USERS.requester).then(function(reply) {
+        assert.equal(reply.method, 'editMessageText');
+        assert.ok(_.includes(reply.text, '*Alien - 1979*'));
+        assert.ok(_.includes(reply.text, i18n.__('foundProfiles') + ': 2'));
+        var search = searchOf(reply);
+        assert.deepEqual(FakeBot.buttons(reply), [
+          'p:' + search + ':1:' + HD, 'p:' + search + ':1:' + fixtures.profiles.list[1]._id
+        ]);
+        assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, 'cpProfile');
+      });
+    });
+
+    it('starts a new search without the movie picked in the one before', function() {
+      return pickMovie(USERS.requester)
+        .then(function() {
+          t.bot.send(USERS.requester, '/q aliens');
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          var session = t.sessions.get(USERS.requester.id, USERS.requester.id);
+          assert.equal(session.state, 'cpMovie');
+          assert.deepEqual(_.keys(session.data), ['movieList']);
+        });
+    });
+
+    it('does not add a movie with a profile button of an earlier search', function() {
+      var stale;
+
+      return pickMovie(USERS.requester)
+        .then(function(reply) {
+          stale = FakeBot.button(reply, 'p', HD);
+          t.couchpotato.respond('movie.search', { movies: [fixtures.search.movies[1]] });
+          t.bot.send(USERS.requester, '/q aliens');
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          t.bot.press(USERS.requester, stale);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('tryAgain')));
+          assert.equal(t.couchpotato.calls('movie.add').length, 0);
+          assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, 'cpMovie');
+        });
+    });
+
+    it('does not pick a movie with a button of an earlier search', function() {
+      var stale;
+
+      t.bot.send(USERS.requester, '/q alien');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          stale = FakeBot.button(reply, 'm');
+          t.couchpotato.respond('movie.search', { movies: [fixtures.search.movies[1]] });
+          t.bot.send(USERS.requester, '/q aliens');
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          t.bot.press(USERS.requester, stale);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('searchAgain')));
+          assert.equal(t.couchpotato.calls('profile.list').length, 0);
+        });
+    });
+
+    it('adds the movie with the picked profile and tracks it', function() {
+      return pickMovie(USERS.requester)
+        .then(function(reply) {
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'p', HD));
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.deepEqual(t.couchpotato.calls('movie.add'), [
+            { identifier: 'tt0078748', title: 'Alien', profile_id: HD }
+          ]);
+          assert.ok(_.includes(reply.text, i18n.__('movieAdded')));
+          assert.ok(_.includes(reply.text, '*Alien - 1979* - _HD_'));
+
+          assert.equal(t.tracker.movies().length, 1);
+          assert.equal(t.tracker.movies()[0].requesters[0].id, USERS.requester.id);
+          return t.bot.settle();
+        })
+        .then(function() {
+          assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, null);
+        });
+    });
+
+    it('tells the user when couchpotato could not add the movie', function() {
+      t.couchpotato.respond('movie.add', { success: false });
+      return pickMovie(USERS.requester)
+        .then(function(reply) {
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'p', HD));
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('movieAddFail')));
+          assert.equal(t.tracker.movies().length, 0);
+        });
+    });
+
+    it('does not add a movie that is already in the library', function() {
+      t.couchpotato.respond('media.list', { movies: fixtures.library() });
+      return pickMovie(USERS.requester).then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('movieExists')));
+        assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, 'cpMovieSearch');
+      });
+    });
+
+    it('asks to search again without a search in the session', function() {
+      t.bot.press(USERS.requester, 'm:a1b2c3:1');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('searchAgain')));
+      });
+    });
+
+    it('rejects a profile that was not offered', function() {
+      return pickMovie(USERS.requester)
+        .then(function(reply) {
+          t.bot.press(USERS.requester, 'p:' + searchOf(reply) + ':1:unknown');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('profileNotFound')));
+        });
+    });
+
+    it('asks to use the buttons while a flow waits for one', function() {
+      return pickMovie(USERS.requester)
+        .then(function() {
+          t.bot.send(USERS.requester, 'HD');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('useButtons')));
+        });
+    });
+
+    it('forgets the flow on /clear', function() {
+      return pickMovie(USERS.requester)
+        .then(function() {
+          t.bot.send(USERS.requester, '/clear');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.text, i18n.__('clear'));
+          assert.equal(t.sessions.get(USERS.requester.id, USERS.requester.id).state, null);
+        });
+    });
+
+    it('does not let viewers search or add movies', function() {
+      t.bot.send(USERS.viewer, '/q alien');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('requesterOnly')));
+
+          t.bot.press(USERS.viewer, 'm:a1b2c3:1');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('requesterOnly')));
+          assert.equal(t.couchpotato.calls('movie.search').length, 0);
+        });
+    });
+  });
+
+  describe('search syntax', function() {
+    var MOVIES = [
+      { original_title: 'Alien Nation', year: 1988, imdb: 'tt0094631', tmdb_id: 10128, via_imdb: true },
+      { original_title: 'Alien', year: 1979, imdb: 'tt0078748', tmdb_id: 348, via_imdb: true },
+      { original_title: 'Aliens', year: 1986, imdb: 'tt0090605', tmdb_id: 679, via_imdb: true },
+      { original_title: 'Alien 3', year: 1992, imdb: 'tt0103644', tmdb_id: 8077, via_imdb: true }
+    ];
+
+    beforeEach(function() {
+      return start().then(function() {
+        t.couchpotato.respond('movie.search', function(query) {
+          return { movies: query.q === 'tt0078748' ? [MOVIES[1]] : MOVIES };
+        });
+      });
+    });
+
+    /*
+     * search as the requester, resolves to the titles of the results in their order
+     */
+    function search(text) {
+      t.bot.send(USERS.requester, '/q ' + text);
+      return t.bot.nextReply().then(function() {
+        return _.map(t.sessions.get(USERS.requester.id, USERS.requester.id).data.movieList, 'title');
+      });
+    }
+
+    it('puts the titles matching the search first', function() {
+      return search('alien').then(function(titles) {
+        assert.deepEqual(titles, ['Alien', 'Alien Nation', 'Aliens', 'Alien 3']);
+      });
+    });
+
+    it('sorts by year', function() {
+      return search('alien sort:year').then(function(titles) {
+        assert.deepEqual(titles, ['Alien 3', 'Alien Nation', 'Aliens', 'Alien']);
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'alien' }]);
+      });
+    });
+
+    it('filters by the year after the title', function() {
+      return search('alien 1986').then(function(titles) {
+        assert.deepEqual(titles, ['Aliens']);
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'alien' }]);
+      });
+    });
+
+    it('searches with the year when no movie has it', function() {
+      return search('alien 2049').then(function(titles) {
+        assert.equal(titles.length, 4);
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'alien' }, { q: 'alien 2049' }]);
+      });
+    });
+
+    it('keeps to the year it is given', function() {
+      t.bot.send(USERS.requester, '/q alien y:2049');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, 'Could not find alien y:2049'));
+      });
+    });
+
+    it('does not take a title for a year', function() {
+      return search('1917').then(function() {
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: '1917' }]);
+      });
+    });
+
+    it('looks up imdb ids and urls', function() {
+      return search('https://www.imdb.com/title/tt0078748/?ref_=fn_al_tt_1').then(function(titles) {
+        assert.deepEqual(titles, ['Alien']);
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'tt0078748' }]);
+      });
+    });
+
+    it('finds the movie of a tmdb url by its title', function() {
+      return search('https://www.themoviedb.org/movie/679-aliens').then(function(titles) {
+        assert.deepEqual(titles, ['Aliens']);
+        assert.deepEqual(t.couchpotato.calls('movie.search'), [{ q: 'aliens' }]);
+      });
+    });
+
+    it('shows at most maxResults movies', function() {
+      t.config.bot.maxResults = 2;
+      t.bot.send(USERS.requester, '/q alien');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, '*Found 4 movies:*'));
+        assert.ok(_.includes(reply.text, i18n.forLocale('en').__('moreResults', 2)));
+        assert.deepEqual(FakeBot.buttons(reply), resultButtons(searchOf(reply), 2));
+      });
+    });
+
+    it('marks the movies in the library', function() {
+      t.couchpotato.respond('media.list', { movies: fixtures.library() });
+      t.bot.send(USERS.requester, '/q alien');
+      return t.bot.nextReply().then(function(reply) {
+        var buttons = reply.options.reply_markup.inline_keyboard;
+        assert.equal(buttons[0][0].text, '✅ Alien - 1979');
+        assert.equal(buttons[1][0].text, 'Alien Nation - 1988');
+        assert.ok(_.includes(reply.text, '_1979_ - ✅ _' + i18n.__('inLibrary') + '_'));
+      });
+    });
+  });
+
+  describe('movie details', function() {
+    beforeEach(function() {
+      return start();
+    });
+
+    it('sends the card of a search result with an add button', function() {
+      var search;
+
+      t.bot.send(USERS.requester, '/q alien');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          search = searchOf(reply);
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'i'));
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.method, 'sendPhoto');
+          assert.equal(reply.photo, 'http://posters/alien.jpg');
+          assert.ok(_.includes(reply.text, '*Alien* (1979)'));
+          assert.ok(_.includes(reply.text, '_Horror, Sci-Fi_'));
+          assert.ok(_.includes(reply.text, '*' + i18n.__('notInLibrary') + '*'));
+          assert.deepEqual(FakeBot.buttons(reply), ['m:' + search + ':1']);
+        });
+    });
+
+    it('adds the movie from the card, editing the caption', function() {
+      t.bot.send(USERS.requester, '/info alien');
+      return t.bot.nextReply()
+        .then(function(reply) {
+          assert.equal(reply.method, 'sendPhoto');
+
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'm'), { photo: [{}] });
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.equal(reply.method, 'editMessageCaption');
+          assert.ok(_.includes(reply.text, i18n.__('foundProfiles')));
+        });
+    });
+
+    it('sends the card as text when telegram can not send the poster', function() {
+      t.bot.sendPhoto = function() {
+        return Promise.reject(new Error('wrong file identifier/HTTP URL specified'));
+      };
+
+      t.bot.send(USERS.requester, '/info alien');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.method, 'sendMessage');
+        assert.ok(_.includes(reply.text, '*Alien* (1979)'));
+        assert.equal(FakeBot.buttons(reply).length, 1);
+      });
+    });
+
+    it('escapes the title and plot of the card for markdown', function() {
+      t.couchpotato.respond('movie.search', { movies: [_.assign({}, fixtures.search.movies[0], {
+        original_title: 'Alien *Director\'s Cut*', plot: 'Ripley_s last stand'
+      })] });
+
+      t.bot.send(USERS.requester, '/info alien');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, '*Alien *\\**Director\'s Cut*\\*** (1979)'));
+        assert.ok(_.includes(reply.text, 'Ripley\\_s last stand'));
+      });
+    });
+
+    it('shows the library status and management buttons to admins', function() {
+      t.couchpotato.respond('media.list', { movies: fixtures.library() });
+      t.bot.send(USERS.admin, '/info alien');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, '*' + i18n.__('inLibrary') + ':* _snatched_ - _HD_'));
+        assert.deepEqual(FakeBot.buttons(reply), _.map(['mr', 'mt', 'mp', 'mi', 'md'], function(action) {
+          return action + ':default:' + fixtures.ALIEN_ID;
+        }));
+      });
+    });
+
+    it('shows no buttons to viewers', function() {
+      t.bot.send(USERS.viewer, '/info alien');
+      return t.bot.nextReply().then(function(reply) {
+        assert.deepEqual(FakeBot.buttons(reply), []);
+      });
+    });
+
+    it('tells the user when the movie is not found', function() {
+      t.couchpotato.respond('movie.search', { movies: [] });
+      t.bot.send(USERS.viewer, '/info nothing');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('movieNotFound') + ' "nothing"'));
+      });
+    });
+  });
+
+  describe('quotas', function() {
+    beforeEach(function() {
+      return start({ config: { quotas: { day: 1, roles: { admin: { day: 5 } } } } });
+    });
+
+    it('stops requesters at their limit', function() {
+      return pickMovie(USERS.requester)
+        .then(function(reply) {
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'p', HD));
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          t.bot.send(USERS.requester, '/q alien');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.forLocale('en').__n('quotaReached_day', 1)));
+          assert.equal(t.couchpotato.calls('movie.search').length, 1);
+        });
+    });
+
+    it('shows what is left on /quota', function() {
+      t.bot.send(USERS.requester, '/quota');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('quotaLeft')));
+        assert.ok(_.includes(reply.text, i18n.__('quotaPeriod_day', 1, 1)));
+      });
+    });
+
+    it('counts requests that wait for an admin', function() {
+      t.config.bot.requireApproval = true;
+
+      return pickMovie(USERS.requester)
+        .then(function(reply) {
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'p', HD));
+          return t.bot.settle();
+        })
+        .then(function() {
+          assert.equal(t.approvals.pending().length, 1);
+
+          t.bot.send(USERS.requester, '/quota');
+          t.bot.send(USERS.requester, '/q alien');
+          return t.bot.nextReplies(2);
+        })
+        .then(function(replies) {
+          assert.ok(_.includes(replies[0].text, i18n.__('quotaPeriod_day', 0, 1)));
+          assert.ok(_.includes(replies[1].text, i18n.__n('quotaReached_day', 1)));
+          assert.equal(t.couchpotato.calls('movie.search').length, 1);
+        });
+    });
+
+    it('does not limit admins', function() {
+      t.bot.send(USERS.admin, '/quota');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('quotaExempt'));
+      });
+    });
+  });
+
+  it('tells requesters without limits on /quota', function() {
+    return start().then(function() {
+      t.bot.send(USERS.requester, '/quota');
+      return t.bot.nextReply();
+    })
+      .then(function(reply) {
+        assert.equal(reply.text, i18n.__('quotaUnlimited'));
+      });
+  });
+
+  describe('with approval', function() {
+    beforeEach(function() {
+      return start({ config: { bot: { requireApproval: true } } });
+    });
+
+    /*
+     * file a request as the requester, resolves to the message of the admin
+     */
+    function fileRequest(opt_user) {
+      var user = opt_user || USERS.requester;
+      return pickMovie(user)
+        .then(function(reply) {
+          t.bot.press(user, FakeBot.button(reply, 'p', HD));
+          return t.bot.nextReplies(3);
+        })
+        .then(function(replies) {
+          assert.ok(_.includes(replies[0].text, i18n.__('requestPending')));
+          return _.find(replies, { chatId: USERS.admin.id });
+        });
+    }
+
+    it('sends the request to the admins instead of adding the movie', function() {
+      return fileRequest().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('newRequest')));
+        assert.ok(_.includes(reply.text, '@requester: Alien - 1979 - _HD_'));
+        assert.deepEqual(FakeBot.buttons(reply), ['ap:1', 'dn:1']);
+        assert.equal(t.couchpotato.calls('movie.add').length, 0);
+        assert.equal(t.approvals.pending().length, 1);
+      });
+    });
+
+    it('escapes the name of the requester for markdown', function() {
+      return fileRequest(_.assign({}, USERS.requester, { username: 'movie_fan' }))
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, '@movie\\_fan: Alien - 1979 - _HD_'));
+          t.bot.send(USERS.admin, '/requests');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, '@movie\\_fan: Alien - 1979 - _HD_'));
+        });
+    });
+
+    it('adds the movie when an admin approves it', function() {
+      return fileRequest()
+        .then(function() {
+          t.bot.press(USERS.admin, 'ap:1');
+          return t.bot.nextReplies(2);
+        })
+        .then(function(replies) {
+          assert.equal(t.couchpotato.calls('movie.add').length, 1);
+          assert.ok(_.includes(replies[0].text, i18n.__('requestApproved')));
+          assert.equal(replies[1].chatId, USERS.requester.id);
+          assert.ok(_.includes(replies[1].text, i18n.__('yourRequestApproved')));
+          assert.equal(t.approvals.pending().length, 0);
+          assert.equal(t.tracker.movies()[0].requesters[0].id, USERS.requester.id);
+        });
+    });
+
+    it('adds the movie once when two admins approve it at the same time', function() {
+      return fileRequest()
+        .then(function() {
+          t.bot.press(USERS.admin, 'ap:1');
+          t.bot.press(USERS.owner, 'ap:1');
+          return t.bot.nextReplies(3);
+        })
+        .then(function(replies) {
+          assert.equal(t.couchpotato.calls('movie.add').length, 1);
+          assert.equal(_.filter(replies, function(reply) {
+            return _.includes(reply.text, i18n.__('requestNotFound'));
+          }).length, 1);
+          assert.equal(t.quotas.getStatus(USERS.requester.id, 'requester').day.used, 1);
+          return t.bot.settle();
+        })
+        .then(function(replies) {
+          assert.deepEqual(replies, []);
+        });
+    });
+
+    it('keeps the request when the movie could not be added', function() {
+      t.couchpotato.respond('movie.add', { success: false });
+      return fileRequest()
+        .then(function() {
+          t.bot.press(USERS.admin, 'ap:1');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('movieAddFail')));
+          assert.equal(t.approvals.pending().length, 1);
+          return t.saved();
+        })
+        .then(function() {
+          return t.audit.find(function(entry) { return entry.action === 'request.approve'; }, 1);
+        })
+        .then(function(found) {
+          assert.deepEqual(found, []);
+        });
+    });
+
+    it('tells the requester when an admin denies it', function() {
+      return fileRequest()
+        .then(function() {
+          t.bot.press(USERS.admin, 'dn:1');
+          return t.bot.nextReplies(2);
+        })
+        .then(function(replies) {
+          assert.equal(t.couchpotato.calls('movie.add').length, 0);
+          assert.ok(_.includes(replies[0].text, i18n.__('requestDenied')));
+          assert.ok(_.includes(replies[1].text, i18n.__('yourRequestDenied')));
+          assert.equal(t.approvals.pending().length, 0);
+        });
+    });
+
+    it('lists pending requests on /requests', function() {
+      return fileRequest()
+        .then(function() {
+          t.bot.send(USERS.admin, '/requests');
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('pendingRequests')));
+          assert.deepEqual(FakeBot.buttons(reply), ['ap:1', 'dn:1']);
+        });
+    });
+
+    it('says so when there are no requests', function() {
+      t.bot.send(USERS.admin, '/requests');
+      return t.bot.nextReply().then(function(reply) {
+        assert.equal(reply.text, i18n.__('noPendingRequests'));
+      });
+    });
+
+    it('tells the admin when a request was already handled', function() {
+      t.bot.press(USERS.admin, 'ap:7');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('requestNotFound')));
+      });
+    });
+
+    it('does not let requesters approve requests', function() {
+      t.bot.press(USERS.requester, 'ap:1');
+      return t.bot.nextReply().then(function(reply) {
+        assert.ok(_.includes(reply.text, i18n.__('adminOnly')));
+      });
+    });
+
+    it('adds movies of admins right away', function() {
+      return pickMovie(USERS.admin)
+        .then(function(reply) {
+          t.bot.press(USERS.admin, FakeBot.button(reply, 'p', HD));
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('movieAdded')));
+          assert.equal(t.couchpotato.calls('movie.add').length, 1);
+        });
+    });
+  });
+
+  describe('with several instances', function() {
+    var servers;
+
+    beforeEach(function() {
+      servers = { hd: new CouchPotatoServer(helpers.API_KEY), '4k': new CouchPotatoServer(helpers.API_KEY) };
+
+      return Promise.props(_.mapValues(servers, function(server) {
+        server
+          .respond('movie.search', fixtures.search)
+          .respond('profile.list', fixtures.profiles)
+          .respond('media.list', { movies: [], total: 0 });
+        return server.listen();
+      }))
+        .then(function(ports) {
+          return start({ config: { couchpotato: { instances: _.map(ports, function(port, name) {
+            return { name: name, hostname: '127.0.0.1', port: port, apiKey: helpers.API_KEY };
+          }) } } });
+        });
+    });
+
+    afterEach(function() {
+      return Promise.all(_.invoke(servers, 'close'));
+    });
+
+    it('does not go on with an instance button of an earlier search', function() {
+      var stale;
+
+      return pickMovie(USERS.requester)
+        .then(function(reply) {
+          stale = FakeBot.button(reply, 'n:4k');
+          t.bot.send(USERS.requester, '/q alien');
+          return t.bot.nextReply();
+        })
+        .then(function() {
+          t.bot.press(USERS.requester, stale);
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('searchAgain')));
+          assert.equal(servers['4k'].calls('profile.list').length, 0);
+        });
+    });
+
+    it('adds the movie to the instance the user picks', function() {
+      return pickMovie(USERS.requester)
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('selectInstance')));
+          var search = FakeBot.buttons(reply)[0].split(':')[2];
+          assert.deepEqual(FakeBot.buttons(reply), ['n:hd:' + search + ':1', 'n:4k:' + search + ':1']);
+
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'n:4k'));
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, '*Alien - 1979* - _4k_'));
+          assert.equal(servers['4k'].calls('profile.list').length, 1);
+
+          t.bot.press(USERS.requester, FakeBot.button(reply, 'p', HD));
+          return t.bot.nextReply();
+        })
+        .then(function(reply) {
+          assert.ok(_.includes(reply.text, i18n.__('movieAdded')));
+          assert.deepEqual(servers['4k'].calls('movie.add'), [
+            { identifier: 'tt0078748', title: 'Alien', profile_id: HD }
+          ]);
+          assert.equal(servers.hd.calls('movie.add').length, 0);
+          assert.equal(t.couchpotato.calls('movie.add').length, 0);
+          assert.equal(t.tracker.movies()[0].instance, '4k');
+        });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+var assert = require('assert');
+var fs = require('fs-extra');
+var _ = require('lodash');
+var helpers = require(__dirname + '/helpers/app');
+
+describe('data files', function() {
+  var t;
+
+  beforeEach(function() {
+    return helpers.createApp().then(function(app) {
+      t = app;
+    });
+  });
+
+  afterEach(function() {
+    return t.stop();
+  });
+
+  it('writes the saves of a file one after the other, the last one wins', function() {
+    _.forEach(_.range(20), function(count) {
+      t.storage.save('counter', { count: count, padding: _.repeat('x', 1000 * (20 - count)) });
+    });
+
+    return t.storage.flush().then(function() {
+      var saved = JSON.parse(fs.readFileSync(t.storage.getFile('counter'), 'utf8'));
+      assert.equal(saved.count, 19);
+    });
+  });
+
+  it('keeps running when a file can not be written', function() {
+    t.storage.save('missing/counter', { count: 1 });
+    t.storage.save('counter', { count: 2 });
+
+    return t.storage.flush().then(function() {
+      assert.equal(fs.existsSync(t.storage.getFile('missing/counter')), false);
+      assert.equal(JSON.parse(fs.readFileSync(t.storage.getFile('counter'), 'utf8')).count, 2);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+var assert = require('assert');
+var http = require('http');
+var _ = require('lodash');
+var Promise = require('bluebird');
+var Webhook = require(__dirname + '/../lib/webhook');
+
+var SECRET = 'webhook-secret';
+
+describe('webhook', function() {
+  var bot, webhook, port;
+
+  /*
+   * post to the webhook, resolves to the status code of the answer
+   */
+  function post(path, body, headers) {
+    return new Promise(function(resolve, reject) {
+      var req = http.request({
+        host: '127.0.0.1', port: port, path: path, method: body === null ? 'GET' : 'POST',
+        headers: _.assign({ 'Content-Type': 'application/json' }, headers)
+      }, function(res) {
+        res.resume();
+        res.on('end', function() { resolve(res.statusCode); });
+      });
+
+      req.on('error', reject);
+      req.end(body || undefined);
+    });
+  }
+
+  beforeEach(function() {
+    bot = {
+      calls: [],
+      updates: [],
+      setWebHook: function(url, params) {
+        this.calls.push(['setWebHook', url, params]);
+        return Promise.resolve(true);
+      },
+      deleteWebHook: function() {
+        this.calls.push(['deleteWebHook']);
+        return Promise.resolve(true);
+      },
+      processUpdate: function(update) {
+        this.updates.push(update);
+      }
+    };
+
+    webhook = new Webhook(bot, {
+      host: '127.0.0.1', port: 0, path: '/telegram', url: 'https://bot.example.com/telegram', secretToken: SECRET
+    });
+
+    return webhook.start().then(function() {
+      port = webhook.server.address().port;
+    });
+  });
+
+  afterEach(function() {
+    return webhook.stop();
+  });
+
+  it('registers the public url with the secret token', function() {
+    assert.deepEqual(bot.calls, [['setWebHook', 'https://bot.example.com/telegram', { secret_token: SECRET }]]);
+  });
+
+  it('hands updates with the secret token to the bot', function() {
+    return post('/telegram', '{"update_id":1}', { 'X-Telegram-Bot-Api-Secret-Token': SECRET })
+      .then(function(statusCode) {
+        assert.equal(statusCode, 200);
+        assert.deepEqual(bot.updates, [{ update_id: 1 }]);
+      });
+  });
+
+  it('refuses updates without the secret token', function() {
+    return Promise.all([
+      post('/telegram', '{"update_id":1}'),
+      post('/telegram', '{"update_id":1}', { 'X-Telegram-Bot-Api-Secret-Token': 'wrong' })
+    ])
+      .then(function(statusCodes) {
+        assert.deepEqual(statusCodes, [401, 401]);
+        assert.deepEqual(bot.updates, []);
+      });
+  });
+
+  it('only listens on its path and to posts', function() {
+    var headers = { 'X-Telegram-Bot-Api-Secret-Token': SECRET };
+
+    return Promise.all([post('/other', '{}', headers), post('/telegram', null, headers)])
+      .then(function(statusCodes) {
+        assert.deepEqual(statusCodes, [404, 405]);
+      });
+  });
+
+  it('rejects bodies that are not JSON', function() {
+    return post('/telegram', 'update', { 'X-Telegram-Bot-Api-Secret-Token': SECRET })
+      .then(function(statusCode) {
+        assert.equal(statusCode, 400);
+        assert.deepEqual(bot.updates, []);
+      });
+  });
+
+  it('unregisters the webhook when stopped', function() {
+    return webhook.stop().then(function() {
+      assert.deepEqual(_.last(bot.calls), ['deleteWebHook']);
+      assert.equal(webhook.server.listening, false);
+
+      // afterEach stops it again
+      webhook.server = null;
+    });
+  });
+});